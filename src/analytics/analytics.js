@@ -0,0 +1,144 @@
+/* analytics.js
+ * Acceptance rates computed from the invitation history in chrome.storage.local
+ * ({ inviteHistory }): 'sent' records that the content script later saw as connections
+ * carry `acceptedAt` (HISTORY_MARK_ACCEPTED). Grouped by search (saved-search name
+ * when the URL matches one), by note template and by weekday the invite was sent.
+ */
+
+const overallEl = document.getElementById('overall');
+const bySearchEl = document.getElementById('bySearch');
+const byTemplateEl = document.getElementById('byTemplate');
+const byWeekdayEl = document.getElementById('byWeekday');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Identify a search regardless of its page (same rule as the content script's checkpoints).
+ * @param {string} href
+ */
+function searchKeyOf(href) {
+  try {
+    const url = new URL(href);
+    url.searchParams.delete('page');
+    url.searchParams.sort();
+    return `${url.origin}${url.pathname}?${url.searchParams}`;
+  } catch {
+    return '';
+  }
+}
+
+/** Readable label for a search URL without a saved-search name. */
+function searchLabel(href) {
+  try {
+    const keywords = new URL(href).searchParams.get('keywords');
+    if (keywords) return `“${keywords}”`;
+  } catch {}
+  return href || 'Unknown search';
+}
+
+/** @param {number[]} values */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** @param {number|null} ms */
+function formatDuration(ms) {
+  if (ms == null) return '–';
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 24) return `${Math.max(1, Math.round(hours))} h`;
+  return `${(hours / 24).toFixed(1)} days`;
+}
+
+/**
+ * @typedef {{ label: string, sent: number, accepted: number, delays: number[] }} Group
+ * @param {object[]} sent 'sent' records
+ * @param {(r: object) => { key: string, label: string }} keyOf
+ * @returns {Group[]} most invites first
+ */
+function groupBy(sent, keyOf) {
+  const groups = new Map();
+  for (const r of sent) {
+    const { key, label } = keyOf(r);
+    const g = groups.get(key) || { label, sent: 0, accepted: 0, delays: [] };
+    g.sent += 1;
+    if (r.acceptedAt) {
+      g.accepted += 1;
+      g.delays.push(r.acceptedAt - r.ts);
+    }
+    groups.set(key, g);
+  }
+  return Array.from(groups.values()).sort((a, b) => b.sent - a.sent);
+}
+
+/** @param {number} accepted @param {number} sent */
+function rate(accepted, sent) {
+  return sent ? `${Math.round((accepted / sent) * 100)}%` : '–';
+}
+
+/** @param {HTMLElement} tbody @param {Group[]} groups */
+function renderTable(tbody, groups) {
+  tbody.innerHTML = '';
+  if (groups.length === 0) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 5;
+    td.className = 'subtle';
+    td.textContent = 'No sent invitations yet.';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+    return;
+  }
+  for (const g of groups) {
+    const tr = document.createElement('tr');
+    const cells = [
+      [g.label, 'label'],
+      [g.sent, 'num'],
+      [g.accepted, 'num'],
+      [rate(g.accepted, g.sent), 'num'],
+      [formatDuration(median(g.delays)), 'num']
+    ];
+    for (const [text, className] of cells) {
+      const td = document.createElement('td');
+      td.className = className;
+      td.textContent = String(text);
+      if (className === 'label') td.title = String(text);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+async function render() {
+  const { inviteHistory, savedSearches } = await chrome.storage.local.get({ inviteHistory: [], savedSearches: [] });
+  const sent = (inviteHistory || []).filter(r => r.outcome === 'sent');
+  const names = new Map((savedSearches || []).map(s => [searchKeyOf(s.url), s.name]));
+
+  const accepted = sent.filter(r => r.acceptedAt);
+  overallEl.textContent = `${sent.length} sent · ${accepted.length} accepted (${rate(accepted.length, sent.length)}) · `
+    + `median time to accept ${formatDuration(median(accepted.map(r => r.acceptedAt - r.ts)))}`;
+
+  renderTable(bySearchEl, groupBy(sent, (r) => {
+    // Target list invites are sent from each profile's own page
+    if (r.targetList) return { key: 'target-list', label: 'Target list' };
+    const key = searchKeyOf(r.searchUrl);
+    return { key, label: names.get(key) || searchLabel(r.searchUrl) };
+  }));
+  renderTable(byTemplateEl, groupBy(sent, r => ({
+    key: r.noteTemplate || '',
+    label: r.noteTemplate ? (r.noteTemplateName || r.noteTemplate) : 'No note'
+  })));
+  renderTable(byWeekdayEl, groupBy(sent, (r) => {
+    const day = new Date(r.ts).getDay();
+    return { key: String(day), label: WEEKDAYS[day] };
+  }).sort((a, b) => (WEEKDAYS.indexOf(a.label) + 6) % 7 - (WEEKDAYS.indexOf(b.label) + 6) % 7));
+}
+
+(async function init() {
+  await render();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.inviteHistory || changes.savedSearches)) render();
+  });
+})();
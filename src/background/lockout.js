@@ -0,0 +1,74 @@
+// Safety lockout after LinkedIn warning signals: the weekly invitation limit, a
+// security check / CAPTCHA, or an "invitation couldn't be sent" toast. Content
+// scripts classify the signal and stop; the lockout itself lives here, in
+// chrome.storage.local { lockout }, so every tab, the budget, the schedule and the
+// queue refuse to start anything until it ends. The user gets a notification.
+
+import { serialized } from './storage-queue.js';
+
+const NOTIFICATION_ID = 'li-autoconnect-lockout';
+
+/** Upper bound for a single lockout, so a bad setting can't pause the extension for months. */
+const MAX_LOCKOUT_HOURS = 720;
+
+/**
+ * @typedef {{ kind: string, text: string, url: string, since: number, until: number }} Lockout
+ */
+
+/**
+ * The signal kind's name in the browser's language (lockoutKind_* messages in _locales/).
+ * The content script, popup and settings page use the copy in src/shared/i18n.js.
+ * @param {string} kind e.g. 'weekly-limit'
+ * @returns {string}
+ */
+export function lockoutLabel(kind) {
+  return chrome.i18n.getMessage(`lockoutKind_${String(kind).replace(/-/g, '_')}`) || chrome.i18n.getMessage('lockoutKind_other');
+}
+
+/** @returns {Promise<Lockout|null>} the lockout in force right now, if any */
+export async function getActiveLockout() {
+  const { lockout } = await chrome.storage.local.get({ lockout: null });
+  return lockout && lockout.until > Date.now() ? lockout : null;
+}
+
+/**
+ * Start (or extend) the lockout for a reported signal. A shorter lockout never
+ * cuts an existing longer one short.
+ * @param {{ kind: string, text?: string, url?: string }} signal
+ * @param {number} hours
+ * @returns {Promise<Lockout>}
+ */
+export function startLockout(signal, hours) {
+  return serialized(async () => {
+    const current = await getActiveLockout();
+    const now = Date.now();
+    const span = Math.min(Math.max(Number(hours) || 1, 1), MAX_LOCKOUT_HOURS);
+    const until = now + span * 60 * 60 * 1000;
+    if (current && current.until >= until) return current;
+
+    /** @type {Lockout} */
+    const lockout = {
+      kind: signal.kind,
+      text: String(signal.text || '').slice(0, 200),
+      url: signal.url || '',
+      since: now,
+      until
+    };
+    await chrome.storage.local.set({ lockout });
+    notifyLockout(lockout);
+    return lockout;
+  });
+}
+
+/** @param {Lockout} lockout */
+function notifyLockout(lockout) {
+  const until = new Date(lockout.until).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  const label = lockoutLabel(lockout.kind);
+  chrome.notifications.create(NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('src/icons/icon-128.png'),
+    title: chrome.i18n.getMessage('lockoutNotifyTitle', [label]),
+    message: chrome.i18n.getMessage('lockoutNotifyMessage', [lockout.text || label, until]),
+    priority: 2
+  }).catch(() => {});
+}
@@ -0,0 +1,19 @@
+// Profile URL normalization for the service worker: the module copy of
+// listProfileUrl() in src/shared/lists.js, which the content script and the options
+// page load as a classic script. Keep the two in step (test/lists.test.js compares them).
+
+/**
+ * https://www.linkedin.com/in/<slug>/ for a profile link (any subdomain, with or
+ * without scheme, query or hash), or '' when it isn't one.
+ * @param {string} text
+ * @returns {string}
+ */
+export function listProfileUrl(text) {
+  const m = String(text || '').trim().match(/^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/([^/?#\s]+)/i);
+  if (!m) return '';
+  try {
+    return `https://www.linkedin.com/in/${decodeURIComponent(m[1]).toLowerCase()}/`;
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,167 @@
+// Saved-search run queue. Named searches live in chrome.storage.local
+// { savedSearches: [{ id, name, url, maxInvites, maxPages }] }. Starting the queue
+// walks them one at a time in a single tab: navigate to the URL, ask the content
+// script for a run bounded by that search's caps, and move on when it reports
+// 'done'. Progress is kept in { searchQueue } so the popup can show it.
+
+import { serialized } from './storage-queue.js';
+import { openSearchTab, waitForTabComplete, sendWhenReady } from './tabs.js';
+import { getActiveLockout } from './lockout.js';
+
+/**
+ * @typedef {{ id: string, name: string, url: string, maxInvites: number, maxPages: number }} SavedSearch
+ * @typedef {{ searchId: string, name: string, result: string, sent: number, skipped: number }} QueueItemResult
+ * `waiting` while the current item's run is in line for another tab's click turn.
+ * @typedef {{ id: string, searchIds: string[], index: number, tabId: number|null, status: 'running'|'done'|'stopped', waiting?: boolean, startedAt: number, results: QueueItemResult[] }} SearchQueue
+ */
+
+/** @returns {Promise<SavedSearch[]>} */
+async function getSavedSearches() {
+  const { savedSearches } = await chrome.storage.local.get({ savedSearches: [] });
+  return savedSearches || [];
+}
+
+/**
+ * Update the stored queue under the storage lock.
+ * @param {(queue: SearchQueue|null) => SearchQueue|null} fn
+ * @returns {Promise<SearchQueue|null>}
+ */
+function updateQueue(fn) {
+  return serialized(async () => {
+    const { searchQueue } = await chrome.storage.local.get({ searchQueue: null });
+    const next = fn(searchQueue);
+    await chrome.storage.local.set({ searchQueue: next });
+    return next;
+  });
+}
+
+/**
+ * Navigate the queue's tab to the current item and start its bounded run.
+ * Items whose search was deleted or whose run can't start are recorded and skipped.
+ * @param {SearchQueue} queue
+ */
+async function runCurrentItem(queue) {
+  const searches = await getSavedSearches();
+  let current = queue;
+
+  while (current && current.status === 'running' && current.index < current.searchIds.length) {
+    // A lockout (LinkedIn warning) ends the queue rather than skipping through every search
+    if (await getActiveLockout()) {
+      await advance(current.id, { result: 'locked-out', sent: 0, skipped: 0 }, true);
+      return;
+    }
+
+    const search = searches.find(s => s.id === current.searchIds[current.index]);
+    if (!search) {
+      current = await advance(current.id, { result: 'missing', sent: 0, skipped: 0 });
+      continue;
+    }
+
+    const tab = await openSearchTab(search.url, current.tabId);
+    const queueId = current.id;
+    current = await updateQueue(q => (q && q.id === queueId ? { ...q, tabId: tab.id } : q));
+    await waitForTabComplete(tab.id);
+
+    const res = await sendWhenReady(tab.id, {
+      type: 'LINKEDIN_AUTOCONNECT_QUEUE_RUN',
+      queueRunId: `${queueId}:${current.index}`,
+      caps: { maxInvites: search.maxInvites, maxPages: search.maxPages }
+    });
+    if (res && res.ok) {
+      // onQueueProgress() picks it up from here (and clears `waiting` once it starts)
+      const index = current.index;
+      await updateQueue(q => (q && q.id === queueId && q.index === index ? { ...q, waiting: !!res.waiting } : q));
+      return;
+    }
+
+    current = await advance(queueId, {
+      result: res ? `not-started-${res.reason || 'unknown'}` : 'not-started-no-response',
+      sent: 0,
+      skipped: 0
+    });
+  }
+}
+
+/**
+ * Record the current item's result and move to the next one (or finish).
+ * @param {string} queueId
+ * @param {{ result: string, sent: number, skipped: number }} outcome
+ * @param {boolean} [stop] end the whole queue after recording this item
+ * @returns {Promise<SearchQueue|null>}
+ */
+async function advance(queueId, outcome, stop = false) {
+  const searches = await getSavedSearches();
+  return updateQueue((q) => {
+    if (!q || q.id !== queueId || q.status !== 'running') return q;
+    const searchId = q.searchIds[q.index];
+    const search = searches.find(s => s.id === searchId);
+    const results = [...q.results, { searchId, name: search ? search.name : searchId, ...outcome }];
+    const index = q.index + 1;
+    const status = stop ? 'stopped' : (index >= q.searchIds.length ? 'done' : 'running');
+    return { ...q, index, results, status, waiting: false };
+  });
+}
+
+/**
+ * Start a new queue over `searchIds` (default: every saved search, in order).
+ * @param {string[]} [searchIds]
+ */
+export async function startQueue(searchIds) {
+  const searches = await getSavedSearches();
+  const ids = (searchIds && searchIds.length ? searchIds : searches.map(s => s.id))
+    .filter(id => searches.some(s => s.id === id));
+  if (ids.length === 0) return { ok: false, reason: 'no-searches' };
+  if (await getActiveLockout()) return { ok: false, reason: 'locked-out' };
+
+  const { searchQueue } = await chrome.storage.local.get({ searchQueue: null });
+  if (searchQueue && searchQueue.status === 'running') return { ok: false, reason: 'already-running' };
+
+  const queue = await updateQueue(() => ({
+    id: `q-${Date.now().toString(36)}`,
+    searchIds: ids,
+    index: 0,
+    tabId: searchQueue ? searchQueue.tabId : null,
+    status: 'running',
+    startedAt: Date.now(),
+    results: []
+  }));
+  runCurrentItem(queue).catch(err => console.warn('[LI-AutoConnect] queue failed:', err));
+  return { ok: true };
+}
+
+/** Stop the queue and the run in its tab. */
+export async function stopQueue() {
+  const queue = await updateQueue(q => (q && q.status === 'running' ? { ...q, status: 'stopped' } : q));
+  if (queue && queue.tabId != null) {
+    chrome.tabs.sendMessage(queue.tabId, { type: 'LINKEDIN_AUTOCONNECT_TOGGLE', enabled: false }).catch(() => {});
+  }
+  return { ok: true };
+}
+
+/**
+ * Called for every RUN_PROGRESS message; advances the queue when its run ends.
+ * @param {number} tabId
+ * @param {object} progress RunProgress from the content script
+ */
+export async function onQueueProgress(tabId, progress) {
+  if (!progress || !progress.queueRunId) return;
+  const [queueId, index] = progress.queueRunId.split(':');
+  const { searchQueue } = await chrome.storage.local.get({ searchQueue: null });
+  if (!searchQueue || searchQueue.id !== queueId || searchQueue.index !== Number(index)) return;
+  if (searchQueue.status !== 'running') return;
+
+  if (progress.phase !== 'done' && progress.phase !== 'stopped') {
+    // The item's run got the click turn and started
+    if (searchQueue.waiting) {
+      await updateQueue(q => (q && q.id === queueId && q.index === Number(index) ? { ...q, waiting: false } : q));
+    }
+    return;
+  }
+
+  // A 'stopped' run (user toggled Off) ends the whole queue
+  const outcome = { result: progress.phase, sent: progress.sent, skipped: progress.skipped };
+  const next = await advance(queueId, outcome, progress.phase === 'stopped');
+  if (next && next.status === 'running') {
+    runCurrentItem(next).catch(err => console.warn('[LI-AutoConnect] queue failed:', err));
+  }
+}
@@ -0,0 +1,184 @@
+// Scheduled runs. The service worker owns a schedule (chrome.storage.local { schedule }):
+// saved search URLs, an allowed weekday/hour window and a spacing between runs.
+// A chrome.alarms alarm fires every `spacingMinutes`; inside the window it opens
+// (or focuses) the next search tab and asks its content script for one bounded run.
+// Every scheduled run and its result is appended to { scheduleLog }.
+
+import { serialized } from './storage-queue.js';
+import { tabExists, openSearchTab, waitForTabComplete, sendWhenReady } from './tabs.js';
+import { getActiveLockout, lockoutLabel } from './lockout.js';
+
+const ALARM_NAME = 'li-autoconnect-schedule';
+
+/** Oldest log entries are dropped past this many. */
+const SCHEDULE_LOG_MAX = 200;
+
+/** A scheduled run that hasn't reported progress for this long is treated as abandoned. */
+const STALE_RUN_MS = 2 * 60 * 60 * 1000;
+
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  searches: [],          // LinkedIn people-search URLs, run round-robin
+  days: [1, 2, 3, 4, 5], // 0 = Sunday … 6 = Saturday
+  startHour: 9,          // local time, inclusive
+  endHour: 17,           // local time, exclusive
+  spacingMinutes: 120    // minimum 15
+};
+
+/**
+ * @typedef {typeof DEFAULT_SCHEDULE} Schedule
+ * `waiting` while the tab is in line for another tab's click turn.
+ * @typedef {{ id: string, searchUrl: string, tabId: number, startedAt: number, updatedAt: number, finishedAt: number|null, waiting?: boolean }} ScheduledRun
+ */
+
+/** @returns {Promise<Schedule>} */
+async function getSchedule() {
+  const { schedule } = await chrome.storage.local.get({ schedule: null });
+  return { ...DEFAULT_SCHEDULE, ...(schedule || {}) };
+}
+
+/**
+ * Is `date` inside the schedule's weekday/hour window?
+ * @param {Schedule} schedule
+ * @param {Date} [date]
+ */
+function isWithinWindow(schedule, date = new Date()) {
+  if (!schedule.days.includes(date.getDay())) return false;
+  const hour = date.getHours() + date.getMinutes() / 60;
+  return hour >= schedule.startHour && hour < schedule.endHour;
+}
+
+/** (Re)create or clear the alarm to match the saved schedule. */
+async function syncAlarm() {
+  const schedule = await getSchedule();
+  await chrome.alarms.clear(ALARM_NAME);
+  if (schedule.enabled && schedule.searches.length) {
+    const period = Math.max(15, schedule.spacingMinutes);
+    chrome.alarms.create(ALARM_NAME, { delayInMinutes: 1, periodInMinutes: period });
+  }
+}
+
+/**
+ * Insert or update one log entry by id.
+ * @param {object} entry must carry `id`
+ */
+function upsertScheduleLog(entry) {
+  return serialized(async () => {
+    const { scheduleLog } = await chrome.storage.local.get({ scheduleLog: [] });
+    const log = scheduleLog || [];
+    const idx = log.findIndex(e => e.id === entry.id);
+    if (idx >= 0) log[idx] = { ...log[idx], ...entry };
+    else log.push(entry);
+    await chrome.storage.local.set({ scheduleLog: log.slice(-SCHEDULE_LOG_MAX) });
+  });
+}
+
+/** Alarm handler: start the next scheduled run if we're in the window and idle. */
+async function runScheduled() {
+  const schedule = await getSchedule();
+  if (!schedule.enabled || !schedule.searches.length) return;
+  if (!isWithinWindow(schedule)) return;
+
+  const { scheduledRun, scheduleCursor } = await chrome.storage.local.get({ scheduledRun: null, scheduleCursor: 0 });
+
+  // Paused after a LinkedIn warning: log the missed slot and wait
+  const lockout = await getActiveLockout();
+  if (lockout) {
+    await upsertScheduleLog({
+      id: `lockout-${Date.now().toString(36)}`,
+      ts: Date.now(),
+      searchUrl: schedule.searches[scheduleCursor % schedule.searches.length],
+      result: 'skipped-lockout',
+      error: lockoutLabel(lockout.kind)
+    });
+    return;
+  }
+
+  // Skip this slot while the previous scheduled run is still going
+  if (scheduledRun && !scheduledRun.finishedAt) {
+    const alive = Date.now() - scheduledRun.updatedAt < STALE_RUN_MS && await tabExists(scheduledRun.tabId);
+    if (alive) {
+      await upsertScheduleLog({
+        id: `skip-${Date.now().toString(36)}`,
+        ts: Date.now(),
+        searchUrl: schedule.searches[scheduleCursor % schedule.searches.length],
+        result: 'skipped-previous-running'
+      });
+      return;
+    }
+    await finishScheduledRun(scheduledRun, { result: 'abandoned' });
+  }
+
+  const index = scheduleCursor % schedule.searches.length;
+  const searchUrl = schedule.searches[index];
+  const tab = await openSearchTab(searchUrl, scheduledRun ? scheduledRun.tabId : null);
+
+  /** @type {ScheduledRun} */
+  const run = {
+    id: `run-${Date.now().toString(36)}`,
+    searchUrl,
+    tabId: tab.id,
+    startedAt: Date.now(),
+    updatedAt: Date.now(),
+    finishedAt: null
+  };
+  await chrome.storage.local.set({ scheduledRun: run, scheduleCursor: index + 1 });
+  await upsertScheduleLog({ id: run.id, ts: run.startedAt, searchUrl, result: 'running', sent: 0, skipped: 0 });
+
+  await waitForTabComplete(tab.id);
+  const res = await sendWhenReady(tab.id, { type: 'LINKEDIN_AUTOCONNECT_SCHEDULED_RUN', scheduleRunId: run.id });
+  if (!res || !res.ok) {
+    await finishScheduledRun(run, { result: res ? `not-started-${res.reason || 'unknown'}` : 'not-started-no-response' });
+  } else if (res.waiting) {
+    // Starts when the tab holding the click turn is done; onRunProgress() logs it then
+    await chrome.storage.local.set({ scheduledRun: { ...run, waiting: true } });
+    await upsertScheduleLog({ id: run.id, result: 'waiting-for-turn' });
+  }
+}
+
+/**
+ * Mark a scheduled run finished and record its result.
+ * @param {ScheduledRun} run
+ * @param {{ result: string, sent?: number, skipped?: number, pages?: number, error?: string }} outcome
+ */
+async function finishScheduledRun(run, outcome) {
+  const finished = { ...run, finishedAt: Date.now(), updatedAt: Date.now() };
+  await chrome.storage.local.set({ scheduledRun: finished });
+  await upsertScheduleLog({ id: run.id, finishedAt: finished.finishedAt, ...outcome });
+}
+
+/**
+ * Called for every RUN_PROGRESS message; tracks the scheduled run in that tab.
+ * @param {number} tabId
+ * @param {object} progress RunProgress from the content script
+ */
+export async function onRunProgress(tabId, progress) {
+  if (!progress || !progress.scheduleRunId) return;
+  const { scheduledRun } = await chrome.storage.local.get({ scheduledRun: null });
+  if (!scheduledRun || scheduledRun.id !== progress.scheduleRunId || scheduledRun.finishedAt) return;
+
+  if (progress.phase === 'done' || progress.phase === 'stopped') {
+    await finishScheduledRun(scheduledRun, {
+      result: progress.phase,
+      sent: progress.sent,
+      skipped: progress.skipped,
+      pages: progress.page,
+      error: progress.lastError || ''
+    });
+  } else {
+    await chrome.storage.local.set({ scheduledRun: { ...scheduledRun, tabId, updatedAt: Date.now(), waiting: false } });
+    if (scheduledRun.waiting) await upsertScheduleLog({ id: scheduledRun.id, result: 'running' });
+  }
+}
+
+/** Register alarm/storage listeners. Call once at service worker start-up. */
+export function initScheduler() {
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ALARM_NAME) runScheduled().catch(err => console.warn('[LI-AutoConnect] scheduled run failed:', err));
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.schedule) syncAlarm();
+  });
+  chrome.runtime.onStartup.addListener(() => { syncAlarm(); });
+  chrome.runtime.onInstalled.addListener(() => { syncAlarm(); });
+}
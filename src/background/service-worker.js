@@ -1,41 +1,422 @@
-// MV3 service worker. Listens for toggle messages and pings the active tab
-// (no "tabs" permission used). Content scripts also react to storage changes.
+// MV3 service worker. The on/off switch is per tab: the registry of tabs, their run
+// states and the single click turn live in tab-runs.js (no "tabs" permission used).
+// Also owns the rolling invite budget so every search tab draws from one ledger,
+// and the invitation history so concurrent tabs append without clobbering each other.
+// Keeps the latest run progress per tab (chrome.storage.session) for the popup dashboard,
+// and each search's run checkpoint so an interrupted run can be resumed.
+// Collects layout profile suggestions from tabs where no known layout matched.
+// Relays the pause/resume keyboard shortcut to the running tab.
+// Scheduled runs (chrome.alarms) live in scheduler.js, the saved-search queue in queue.js,
+// the imported profile list in targets.js, the lockout after LinkedIn warnings in
+// lockout.js (no invite is reserved while it lasts).
+
+import { serialized } from './storage-queue.js';
+import { initScheduler, onRunProgress } from './scheduler.js';
+import { startQueue, stopQueue, onQueueProgress } from './queue.js';
+import { importTargets, clearTargets, startTargets, stopTargets } from './targets.js';
+import { getActiveLockout, startLockout } from './lockout.js';
+import { registerTab, setTabEnabled, requestTurn, releaseTurn, onTabRunProgress, forgetTab, listTabRuns } from './tab-runs.js';
+
+/**
+ * Rolling invite budget (shared across runs and tabs). The limits are ceilings:
+ * the options page may lower them (settings in chrome.storage.sync), never raise them.
+ */
+const BUDGET = {
+  DAILY_LIMIT: 20,   // invites per rolling 24h
+  WEEKLY_LIMIT: 100, // invites per rolling 7 days
+  DAY_MS: 24 * 60 * 60 * 1000,
+  WEEK_MS: 7 * 24 * 60 * 60 * 1000
+};
+
+/** Oldest records are dropped past this many entries (chrome.storage.local quota). */
+const HISTORY_MAX_RECORDS = 5000;
+
+/** Outcomes that say nothing about the profile itself, so they don't start a cool-down. */
+const NO_COOLDOWN_OUTCOMES = ['skipped-filter', 'skipped-blocklist', 'blocked'];
+
+/** An interrupted run is resumable for this long after its last checkpoint. */
+const CHECKPOINT_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+/** Pending layout suggestions kept for the options page (newest last). */
+const LAYOUT_SUGGESTIONS_MAX = 5;
+
+initScheduler();
 
 chrome.runtime.onInstalled.addListener(() => {
-  // Initialize default "enabled" to false if not set
-  chrome.storage.local.get({ enabled: null }, ({ enabled }) => {
-    if (enabled === null) chrome.storage.local.set({ enabled: false });
-  });
+  // The global on/off flag of older versions; tabs are switched on one by one now
+  chrome.storage.local.remove('enabled');
 });
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg && msg.type === 'BROADCAST_TOGGLE') {
-    // Tell active tab right away for snappy UX
-    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-      const active = tabs && tabs[0];
-      if (active && active.id) {
-        chrome.tabs.sendMessage(active.id, {
-          type: 'LINKEDIN_AUTOCONNECT_TOGGLE',
-          enabled: !!msg.enabled
-        }).catch(() => {});
-      }
+/** Invite ledger **/
+
+/**
+ * Effective limits: user settings clamped to the built-in ceilings.
+ * @returns {Promise<{ daily: number, weekly: number }>}
+ */
+async function getBudgetLimits() {
+  const { settings } = await chrome.storage.sync.get({ settings: null });
+  const pick = (value, ceiling) => (Number.isInteger(value) && value >= 1 ? Math.min(value, ceiling) : ceiling);
+  return {
+    daily: pick(settings && settings.DAILY_INVITE_LIMIT, BUDGET.DAILY_LIMIT),
+    weekly: pick(settings && settings.WEEKLY_INVITE_LIMIT, BUDGET.WEEKLY_LIMIT)
+  };
+}
+
+/**
+ * Run `fn(ledger, limits)` with exclusive access to the ledger; persists what it returns.
+ * @template T
+ * @param {(ledger: number[], limits: { daily: number, weekly: number }) => { ledger?: number[], result: T }} fn
+ * @returns {Promise<T>}
+ */
+function withLedger(fn) {
+  return serialized(async () => {
+    const { inviteLedger } = await chrome.storage.local.get({ inviteLedger: [] });
+    const limits = await getBudgetLimits();
+    const now = Date.now();
+    const pruned = (inviteLedger || []).filter(ts => now - ts < BUDGET.WEEK_MS);
+    const { ledger, result } = fn(pruned, limits);
+    await chrome.storage.local.set({ inviteLedger: ledger || pruned });
+    return result;
+  });
+}
+
+/**
+ * Summarize remaining quota for a (pruned) ledger.
+ * @param {number[]} ledger timestamps of sent invites
+ * @param {{ daily: number, weekly: number }} limits
+ */
+function budgetStatus(ledger, limits) {
+  const now = Date.now();
+  const day = ledger.filter(ts => now - ts < BUDGET.DAY_MS).sort((a, b) => a - b);
+  const week = ledger.slice().sort((a, b) => a - b);
+  return {
+    daily: {
+      used: day.length,
+      limit: limits.daily,
+      remaining: Math.max(0, limits.daily - day.length),
+      // A slot frees up when the oldest invite in the window ages out
+      resetsAt: day.length ? day[0] + BUDGET.DAY_MS : null
+    },
+    weekly: {
+      used: week.length,
+      limit: limits.weekly,
+      remaining: Math.max(0, limits.weekly - week.length),
+      resetsAt: week.length ? week[0] + BUDGET.WEEK_MS : null
+    }
+  };
+}
+
+/** Take one slot from the budget if both windows have room and no lockout is in force. */
+async function reserveInvite() {
+  const lockout = await getActiveLockout();
+  if (lockout) return { ok: false, lockout };
+  return withLedger((ledger, limits) => {
+    const status = budgetStatus(ledger, limits);
+    if (status.daily.remaining <= 0 || status.weekly.remaining <= 0) {
+      return { result: { ok: false, status } };
+    }
+    const ts = Date.now();
+    const next = [...ledger, ts];
+    return { ledger: next, result: { ok: true, ts, status: budgetStatus(next, limits) } };
+  });
+}
+
+/** Give back a slot whose invite was not actually sent. */
+function releaseInvite(ts) {
+  return withLedger((ledger) => {
+    const idx = ledger.indexOf(ts);
+    if (idx < 0) return { result: { ok: false } };
+    const next = ledger.slice();
+    next.splice(idx, 1);
+    return { ledger: next, result: { ok: true } };
+  });
+}
+
+/** Invitation history **/
+
+/**
+ * Append one attempt to the history (newest last) and remember the profile in
+ * contactedProfiles ({ [profileKey]: { outcome, ts } }) for cross-session dedupe.
+ * @param {object} record
+ */
+function appendHistory(record) {
+  return serialized(async () => {
+    const { inviteHistory, contactedProfiles } = await chrome.storage.local.get({
+      inviteHistory: [],
+      contactedProfiles: {}
     });
-    sendResponse({ ok: true });
-  }
-});
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      ts: Date.now(),
+      ...record
+    };
+    const next = [...(inviteHistory || []), entry];
+    const update = { inviteHistory: next.slice(-HISTORY_MAX_RECORDS) };
 
-// Optional: also nudge the active tab on storage changes.
-// Content scripts already listen to chrome.storage.onChanged, so this is just a bonus.
-chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'local' && changes.enabled) {
-    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-      const active = tabs && tabs[0];
-      if (active && active.id) {
-        chrome.tabs.sendMessage(active.id, {
-          type: 'LINKEDIN_AUTOCONNECT_TOGGLE',
-          enabled: !!changes.enabled.newValue
-        }).catch(() => {});
+    // Filter and list skips depend on the current rules and lists, warnings on LinkedIn's mood: no cool-down
+    if (entry.profileKey && !NO_COOLDOWN_OUTCOMES.includes(entry.outcome)) {
+      const contacted = contactedProfiles || {};
+      // Never downgrade a sent invite to a skip
+      if (!contacted[entry.profileKey] || contacted[entry.profileKey].outcome !== 'sent') {
+        contacted[entry.profileKey] = { outcome: entry.outcome, ts: entry.ts };
+        update.contactedProfiles = contacted;
       }
+    }
+
+    await chrome.storage.local.set(update);
+    return { ok: true };
+  });
+}
+
+/**
+ * Mark the latest 'sent' record of each profile as accepted (first detection wins),
+ * and the profile in contactedProfiles. Keys without a sent record are ignored.
+ * @param {string[]} profileKeys
+ */
+function markAccepted(profileKeys) {
+  return serialized(async () => {
+    const { inviteHistory, contactedProfiles } = await chrome.storage.local.get({
+      inviteHistory: [],
+      contactedProfiles: {}
     });
+    const history = inviteHistory || [];
+    const contacted = contactedProfiles || {};
+    const pending = new Set(profileKeys);
+    const acceptedAt = Date.now();
+    let marked = 0;
+
+    for (let i = history.length - 1; i >= 0 && pending.size; i--) {
+      const r = history[i];
+      if (r.outcome !== 'sent' || !pending.has(r.profileKey)) continue;
+      pending.delete(r.profileKey);
+      if (r.acceptedAt) continue;
+      history[i] = { ...r, acceptedAt };
+      if (contacted[r.profileKey]) contacted[r.profileKey] = { ...contacted[r.profileKey], acceptedAt };
+      marked += 1;
+    }
+
+    if (marked) await chrome.storage.local.set({ inviteHistory: history, contactedProfiles: contacted });
+    return { ok: true, marked };
+  });
+}
+
+/** Live run status **/
+
+/**
+ * Remember the latest progress for a tab: session storage { runStatus: { [tabId]: progress } }.
+ * @param {number} tabId
+ * @param {object|null} progress null removes the tab
+ */
+function saveRunStatus(tabId, progress) {
+  return serialized(async () => {
+    const { runStatus } = await chrome.storage.session.get({ runStatus: {} });
+    const next = { ...(runStatus || {}) };
+    if (progress) next[tabId] = progress;
+    else delete next[tabId];
+    await chrome.storage.session.set({ runStatus: next });
+  });
+}
+
+/** Run checkpoints **/
+
+/**
+ * Save the latest checkpoint of a run: local storage { runCheckpoints: { [searchKey]: checkpoint } }.
+ * Expired checkpoints of other searches are dropped on the way.
+ * @param {number|null} tabId tab the run is in (lets the popup tell live runs from interrupted ones)
+ * @param {object} checkpoint RunCheckpoint from the content script
+ */
+function saveCheckpoint(tabId, checkpoint) {
+  return serialized(async () => {
+    const { runCheckpoints } = await chrome.storage.local.get({ runCheckpoints: {} });
+    const now = Date.now();
+    const next = Object.fromEntries(
+      Object.entries(runCheckpoints || {}).filter(([, cp]) => cp.expiresAt > now)
+    );
+    next[checkpoint.searchKey] = { ...checkpoint, tabId, updatedAt: now, expiresAt: now + CHECKPOINT_MAX_AGE_MS };
+    await chrome.storage.local.set({ runCheckpoints: next });
+    return { ok: true };
+  });
+}
+
+/** @param {string} searchKey */
+function clearCheckpoint(searchKey) {
+  return serialized(async () => {
+    const { runCheckpoints } = await chrome.storage.local.get({ runCheckpoints: {} });
+    if (!runCheckpoints || !runCheckpoints[searchKey]) return { ok: true };
+    const next = { ...runCheckpoints };
+    delete next[searchKey];
+    await chrome.storage.local.set({ runCheckpoints: next });
+    return { ok: true };
+  });
+}
+
+/** Layout suggestions **/
+
+/**
+ * Keep a suggested layout profile for the options page: local storage { layoutSuggestions }.
+ * Ignored when a suggestion or accepted profile already uses the same card selector.
+ * @param {object} profile LayoutProfile built by the content script
+ */
+function saveLayoutSuggestion(profile) {
+  return serialized(async () => {
+    const { layoutSuggestions, layoutProfiles } = await chrome.storage.local.get({
+      layoutSuggestions: [],
+      layoutProfiles: []
+    });
+    const known = [...(layoutSuggestions || []), ...(layoutProfiles || [])];
+    if (known.some(p => p.card === profile.card)) return { ok: true, duplicate: true };
+    const next = [...(layoutSuggestions || []), profile].slice(-LAYOUT_SUGGESTIONS_MAX);
+    await chrome.storage.local.set({ layoutSuggestions: next });
+    return { ok: true };
+  });
+}
+
+/** Keyboard shortcut (manifest `commands`) **/
+
+/**
+ * Pause or resume the tab that holds the click turn (the one clicking), else the
+ * tab the shortcut was pressed in.
+ * @param {chrome.tabs.Tab|undefined} tab
+ */
+async function togglePause(tab) {
+  const { clickTurn } = await listTabRuns();
+  const tabId = clickTurn ? clickTurn.tabId : tab && tab.id;
+  if (tabId == null) return;
+  await chrome.tabs.sendMessage(tabId, { type: 'LINKEDIN_AUTOCONNECT_PAUSE' }).catch(() => {});
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'toggle-pause') togglePause(tab).catch(() => {});
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  saveRunStatus(tabId, null).catch(() => {});
+  forgetTab(tabId).catch(() => {});
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const senderTabId = sender.tab && sender.tab.id != null ? sender.tab.id : null;
+
+  if (msg && msg.type === 'TAB_REGISTER' && senderTabId != null) {
+    registerTab(senderTabId, msg.info || {}).then(sendResponse, () => sendResponse({ enabled: false }));
+    return true;
+  }
+
+  // From the popup for any tab, or from a tab about itself (no need to echo the toggle back)
+  if (msg && msg.type === 'TAB_SET_ENABLED' && (msg.tabId != null || senderTabId != null)) {
+    const tabId = msg.tabId != null ? msg.tabId : senderTabId;
+    setTabEnabled(tabId, !!msg.enabled, { notify: tabId !== senderTabId })
+      .then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TURN_REQUEST' && senderTabId != null) {
+    requestTurn(senderTabId, { wait: msg.wait !== false, runId: Number.isInteger(msg.runId) ? msg.runId : null }).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TURN_RELEASE' && senderTabId != null) {
+    releaseTurn(senderTabId).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TAB_RUNS_LIST') {
+    listTabRuns().then(sendResponse, () => sendResponse({ tabRuns: {}, clickTurn: null }));
+    return true;
+  }
+
+  if (msg && msg.type === 'BUDGET_RESERVE') {
+    reserveInvite().then(sendResponse, () => sendResponse({ ok: false }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === 'BUDGET_RELEASE') {
+    releaseInvite(msg.ts).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'HISTORY_APPEND') {
+    appendHistory(msg.record || {}).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'HISTORY_MARK_ACCEPTED' && Array.isArray(msg.profileKeys)) {
+    markAccepted(msg.profileKeys).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'RUN_PROGRESS' && sender.tab && sender.tab.id != null) {
+    saveRunStatus(sender.tab.id, msg.progress).catch(() => {});
+    onTabRunProgress(sender.tab.id, msg.progress).catch(() => {});
+    onRunProgress(sender.tab.id, msg.progress).catch(() => {});
+    onQueueProgress(sender.tab.id, msg.progress).catch(() => {});
+    return; // the popup listens to the same message directly
+  }
+
+  if (msg && msg.type === 'CHECKPOINT_SAVE' && msg.checkpoint && msg.checkpoint.searchKey) {
+    saveCheckpoint(sender.tab ? sender.tab.id : null, msg.checkpoint).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'CHECKPOINT_CLEAR') {
+    clearCheckpoint(msg.searchKey).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'LAYOUT_SUGGEST' && msg.profile && msg.profile.card) {
+    saveLayoutSuggestion(msg.profile).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'LOCKOUT_START' && msg.signal && msg.signal.kind) {
+    startLockout(msg.signal, msg.hours).then(sendResponse, () => sendResponse(null));
+    return true;
+  }
+
+  if (msg && msg.type === 'LOCKOUT_STATUS') {
+    getActiveLockout().then(sendResponse, () => sendResponse(null));
+    return true;
+  }
+
+  if (msg && msg.type === 'QUEUE_START') {
+    startQueue(msg.searchIds).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'QUEUE_STOP') {
+    stopQueue().then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TARGETS_IMPORT' && Array.isArray(msg.urls)) {
+    importTargets(msg.urls).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TARGETS_CLEAR') {
+    clearTargets({ onlyDone: !!msg.onlyDone }).then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TARGETS_START') {
+    startTargets().then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'TARGETS_STOP') {
+    stopTargets().then(sendResponse, () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (msg && msg.type === 'RUN_STATUS_LIST') {
+    chrome.storage.session.get({ runStatus: {} })
+      .then(({ runStatus }) => sendResponse(runStatus || {}), () => sendResponse({}));
+    return true;
+  }
+
+  if (msg && msg.type === 'BUDGET_STATUS') {
+    withLedger((ledger, limits) => ({ result: budgetStatus(ledger, limits) }))
+      .then(sendResponse, () => sendResponse(null));
+    return true;
   }
 });
@@ -0,0 +1,17 @@
+// Serializes read-modify-write cycles on extension storage (e.g. so two tabs
+// can't both take the last budget slot or drop each other's history records).
+// Every module of the service worker that updates shared keys goes through here.
+
+let storageQueue = Promise.resolve();
+
+/**
+ * Queue `task` behind any in-flight storage update.
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function serialized(task) {
+  const next = storageQueue.then(task);
+  storageQueue = next.catch(() => {});
+  return next;
+}
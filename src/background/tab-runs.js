@@ -0,0 +1,224 @@
+// Per-tab run control. Every tab with the content script registers here
+// (chrome.storage.session { tabRuns: { [tabId]: TabRun } }) and is switched on or off
+// on its own from the popup. Only one tab clicks at a time: a run asks for the click
+// turn ({ clickTurn }) before it starts and waits in line while another tab holds it.
+// The turn is handed on when the holder's run reports 'done' or 'stopped', its tab
+// closes or leaves the supported pages, or it has gone quiet for TURN_STALE_MS.
+
+import { serialized } from './storage-queue.js';
+import { tabExists } from './tabs.js';
+
+/** A turn holder that hasn't reported progress for this long has lost its turn. */
+const TURN_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * `state` is 'running' while the tab holds the click turn and 'waiting' while it is in line.
+ * @typedef {{ tabId: number, enabled: boolean, state: 'idle'|'waiting'|'running', connectable: boolean, url: string, title: string, waitingSince: number|null, updatedAt: number }} TabRun
+ * `runId` is the content script's id for the run the turn was granted to; an older run
+ * of the same tab ending doesn't give it up.
+ * @typedef {{ tabId: number, runId: number|null, since: number, updatedAt: number }} ClickTurn
+ */
+
+/**
+ * Run `fn(tabRuns, clickTurn)` with exclusive access to the registry; persists what it returns.
+ * @template T
+ * @param {(tabRuns: Record<string, TabRun>, clickTurn: ClickTurn|null) => Promise<{ tabRuns?: Record<string, TabRun>, clickTurn?: ClickTurn|null, result: T }>|{ tabRuns?: Record<string, TabRun>, clickTurn?: ClickTurn|null, result: T }} fn
+ * @returns {Promise<T>}
+ */
+function withRegistry(fn) {
+  return serialized(async () => {
+    const stored = await chrome.storage.session.get({ tabRuns: {}, clickTurn: null });
+    const { tabRuns, clickTurn, result } = await fn({ ...(stored.tabRuns || {}) }, stored.clickTurn);
+    const update = {};
+    if (tabRuns) update.tabRuns = tabRuns;
+    if (clickTurn !== undefined) update.clickTurn = clickTurn;
+    if (Object.keys(update).length) await chrome.storage.session.set(update);
+    return result;
+  });
+}
+
+/**
+ * The registry entry for `tabId`, created switched off if it isn't there yet.
+ * @param {Record<string, TabRun>} tabRuns
+ * @param {number} tabId
+ * @returns {TabRun}
+ */
+function entryFor(tabRuns, tabId) {
+  return tabRuns[tabId] || {
+    tabId,
+    enabled: false,
+    state: 'idle',
+    connectable: false,
+    url: '',
+    title: '',
+    waitingSince: null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Does `turn` still belong to a live run?
+ * @param {ClickTurn|null} turn
+ */
+async function isTurnAlive(turn) {
+  if (!turn) return false;
+  if (Date.now() - turn.updatedAt > TURN_STALE_MS) return false;
+  return tabExists(turn.tabId);
+}
+
+/**
+ * A content script (re)loaded in `tabId`. Keeps the tab's on/off state across reloads
+ * and gives up the click turn if the tab left the supported pages while holding it.
+ * @param {number} tabId
+ * @param {{ url?: string, title?: string, connectable?: boolean }} info
+ * @returns {Promise<{ enabled: boolean }>}
+ */
+export async function registerTab(tabId, info) {
+  const result = await withRegistry((tabRuns, clickTurn) => {
+    const entry = entryFor(tabRuns, tabId);
+    const holding = !!clickTurn && clickTurn.tabId === tabId;
+    tabRuns[tabId] = {
+      ...entry,
+      url: info.url || entry.url,
+      title: info.title || entry.title,
+      connectable: !!info.connectable,
+      updatedAt: Date.now()
+    };
+    return { tabRuns, result: { enabled: entry.enabled, release: holding && !info.connectable } };
+  });
+  if (result.release) await releaseTurn(tabId);
+  return { enabled: result.enabled };
+}
+
+/**
+ * Switch one tab on or off. Switching off also takes it out of the line for the turn.
+ * @param {number} tabId
+ * @param {boolean} enabled
+ * @param {{ notify?: boolean }} [options] `notify: false` when the tab asked itself
+ */
+export async function setTabEnabled(tabId, enabled, { notify = true } = {}) {
+  await withRegistry((tabRuns) => {
+    const entry = entryFor(tabRuns, tabId);
+    tabRuns[tabId] = {
+      ...entry,
+      enabled,
+      ...(enabled || entry.state !== 'waiting' ? {} : { state: 'idle', waitingSince: null }),
+      updatedAt: Date.now()
+    };
+    return { tabRuns, result: null };
+  });
+  if (notify) {
+    chrome.tabs.sendMessage(tabId, { type: 'LINKEDIN_AUTOCONNECT_TOGGLE', enabled }).catch(() => {});
+  }
+  return { ok: true };
+}
+
+/**
+ * Take the click turn for `tabId` if no other live tab holds it. Otherwise the tab
+ * is put in line (unless `wait` is false) and told when its turn comes.
+ * @param {number} tabId
+ * @param {{ wait?: boolean, runId?: number|null }} [options] `runId`: the run the turn is for
+ * @returns {Promise<{ ok: boolean, holderTabId?: number }>}
+ */
+export function requestTurn(tabId, { wait = true, runId = null } = {}) {
+  return withRegistry(async (tabRuns, clickTurn) => {
+    const entry = entryFor(tabRuns, tabId);
+    if (clickTurn && clickTurn.tabId !== tabId && await isTurnAlive(clickTurn)) {
+      if (wait && entry.state !== 'waiting') {
+        tabRuns[tabId] = { ...entry, state: 'waiting', waitingSince: Date.now(), updatedAt: Date.now() };
+      }
+      return { tabRuns, result: { ok: false, holderTabId: clickTurn.tabId } };
+    }
+    if (clickTurn && clickTurn.tabId !== tabId && tabRuns[clickTurn.tabId]) {
+      tabRuns[clickTurn.tabId] = { ...tabRuns[clickTurn.tabId], state: 'idle' };
+    }
+    const now = Date.now();
+    tabRuns[tabId] = { ...entry, state: 'running', waitingSince: null, updatedAt: now };
+    const turn = clickTurn && clickTurn.tabId === tabId
+      ? { ...clickTurn, runId: Math.max(runId || 0, clickTurn.runId || 0) || null, updatedAt: now }
+      : { tabId, runId, since: now, updatedAt: now };
+    return { tabRuns, clickTurn: turn, result: { ok: true } };
+  });
+}
+
+/**
+ * Give up the click turn held by `tabId` (no-op otherwise) and tell the tab that has
+ * waited longest. It asks for the turn itself and keeps its place if another tab was
+ * faster; tabs that are gone or no longer want to run drop out of the line.
+ * @param {number} tabId
+ */
+export async function releaseTurn(tabId) {
+  const waiting = await withRegistry((tabRuns, clickTurn) => {
+    if (!clickTurn || clickTurn.tabId !== tabId) return { result: [] };
+    return { tabRuns, clickTurn: null, result: giveUpTurn(tabRuns, tabId) };
+  });
+  await callNextInLine(waiting);
+}
+
+/**
+ * Mark `tabId` idle after it gave up the turn (inside withRegistry).
+ * @param {Record<string, TabRun>} tabRuns
+ * @param {number} tabId
+ * @returns {number[]} the tabs waiting for the turn, longest first
+ */
+function giveUpTurn(tabRuns, tabId) {
+  if (tabRuns[tabId]) tabRuns[tabId] = { ...tabRuns[tabId], state: 'idle', updatedAt: Date.now() };
+  return Object.values(tabRuns)
+    .filter(r => r.state === 'waiting' && r.tabId !== tabId)
+    .sort((a, b) => a.waitingSince - b.waitingSince)
+    .map(r => r.tabId);
+}
+
+/**
+ * Tell the waiting tabs, in order, that the turn is free, until one takes it.
+ * @param {number[]} waiting
+ */
+async function callNextInLine(waiting) {
+  for (const waitingTabId of waiting) {
+    const res = await chrome.tabs.sendMessage(waitingTabId, { type: 'LINKEDIN_AUTOCONNECT_TURN' }).catch(() => null);
+    if (res && res.ok) break;
+    await withRegistry((tabRuns) => {
+      if (!tabRuns[waitingTabId]) return { result: null };
+      tabRuns[waitingTabId] = { ...tabRuns[waitingTabId], state: 'idle', waitingSince: null };
+      return { tabRuns, result: null };
+    });
+  }
+}
+
+/**
+ * Called for every RUN_PROGRESS message: keeps the holder's turn alive and hands
+ * the turn on when its run ends. The release happens in the same registry step, so a
+ * turn the tab asks for again right after stopping can't be taken away by it.
+ * @param {number} tabId
+ * @param {object} progress RunProgress from the content script
+ */
+export async function onTabRunProgress(tabId, progress) {
+  if (!progress) return;
+  const ended = progress.phase === 'done' || progress.phase === 'stopped';
+  const waiting = await withRegistry((tabRuns, clickTurn) => {
+    if (tabRuns[tabId]) {
+      tabRuns[tabId] = { ...tabRuns[tabId], url: progress.url, title: progress.title, updatedAt: Date.now() };
+    }
+    if (!clickTurn || clickTurn.tabId !== tabId) return { tabRuns, result: [] };
+    if (!ended) return { tabRuns, clickTurn: { ...clickTurn, updatedAt: Date.now() }, result: [] };
+    // A turn granted to a newer run of this tab stays with it
+    if (clickTurn.runId != null && progress.runId < clickTurn.runId) return { tabRuns, result: [] };
+    return { tabRuns, clickTurn: null, result: giveUpTurn(tabRuns, tabId) };
+  });
+  await callNextInLine(waiting);
+}
+
+/** A tab closed: forget it and hand its turn on. */
+export async function forgetTab(tabId) {
+  await releaseTurn(tabId);
+  await withRegistry((tabRuns) => {
+    delete tabRuns[tabId];
+    return { tabRuns, result: null };
+  });
+}
+
+/** @returns {Promise<{ tabRuns: Record<string, TabRun>, clickTurn: ClickTurn|null }>} */
+export async function listTabRuns() {
+  const { tabRuns, clickTurn } = await chrome.storage.session.get({ tabRuns: {}, clickTurn: null });
+  return { tabRuns: tabRuns || {}, clickTurn };
+}
@@ -0,0 +1,66 @@
+// Tab helpers shared by the service worker modules that drive search tabs
+// (scheduled runs, the saved-search queue, the target list's profile pages).
+// Only uses tab ids and host permissions for linkedin.com, not the "tabs" permission.
+
+/** How long to wait for a tab to load before giving up. */
+const TAB_READY_TIMEOUT_MS = 45 * 1000;
+
+/** @param {number} tabId */
+export async function tabExists(tabId) {
+  try {
+    await chrome.tabs.get(tabId);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Open `url` in a previous tab if it's still there, else in a new tab,
+ * and bring it to the front (lazy-loaded results need a visible page).
+ * @param {string} url
+ * @param {number|null} previousTabId
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+export async function openSearchTab(url, previousTabId) {
+  let tab = null;
+  if (previousTabId != null && await tabExists(previousTabId)) {
+    tab = await chrome.tabs.update(previousTabId, { url, active: true });
+  } else {
+    tab = await chrome.tabs.create({ url, active: true });
+  }
+  await chrome.windows.update(tab.windowId, { focused: true }).catch(() => {});
+  return tab;
+}
+
+/**
+ * Resolve once the tab has finished loading (or after a timeout).
+ * @param {number} tabId
+ */
+export function waitForTabComplete(tabId) {
+  return new Promise((resolve) => {
+    const done = () => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      clearTimeout(timer);
+      resolve();
+    };
+    const listener = (id, info) => {
+      if (id === tabId && info.status === 'complete') done();
+    };
+    const timer = setTimeout(done, TAB_READY_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Send a message to the tab's content script, retrying while it initializes.
+ * @returns {Promise<any>} the response, or null if the content script never answered
+ */
+export async function sendWhenReady(tabId, message, attempts = 8) {
+  for (let i = 0; i < attempts; i++) {
+    const res = await chrome.tabs.sendMessage(tabId, message).catch(() => undefined);
+    if (res !== undefined) return res;
+    await new Promise(r => setTimeout(r, 1500));
+  }
+  return null;
+}
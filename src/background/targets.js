@@ -0,0 +1,176 @@
+// Target list: LinkedIn profile URLs imported on the options page (a CSV or a plain
+// list) and invited one at a time from their profile pages. The list lives in
+// chrome.storage.local { targetList } and every row gets its result written back as
+// the run reaches it. A run walks the pending rows in a single tab: open the profile,
+// ask the content script to invite (LINKEDIN_AUTOCONNECT_PROFILE_INVITE, which applies
+// the budget, dedupe, targeting rules and pacing), record the answer, move on. It
+// stops at the end of the list, on Stop, a lockout, a spent budget, another tab's
+// run, or after as many sends as one search run may make (the content script says how many).
+
+import { serialized } from './storage-queue.js';
+import { openSearchTab, waitForTabComplete, sendWhenReady } from './tabs.js';
+import { getActiveLockout } from './lockout.js';
+import { listProfileUrl } from './profile-url.js';
+
+/** Rows kept in the list (chrome.storage.local quota). */
+const TARGETS_MAX_ROWS = 1000;
+
+/** Answers after which the row failed but the list carries on with the next one. */
+const ROW_FAILURES = ['not-a-profile', 'no-response'];
+
+/**
+ * `status` is 'pending' until the run reaches the row, then the invite status
+ * (or 'previewed' in a dry run); `outcome` is the detailed InviteOutcome.
+ * @typedef {{ url: string, status: 'pending'|'sent'|'skipped'|'failed'|'unknown'|'previewed', outcome: string|null, name: string, ts: number|null }} TargetRow
+ * @typedef {{ id: string, tabId: number|null, status: 'running'|'done'|'stopped', reason: string|null, startedAt: number, sent: number, cap: number|null }} TargetRun
+ * @typedef {{ rows: TargetRow[], run: TargetRun|null }} TargetList
+ */
+
+/** @returns {Promise<TargetList>} */
+async function getTargetList() {
+  const { targetList } = await chrome.storage.local.get({ targetList: null });
+  return targetList || { rows: [], run: null };
+}
+
+/**
+ * Update the stored list under the storage lock.
+ * @param {(list: TargetList) => TargetList} fn
+ * @returns {Promise<TargetList>}
+ */
+function updateTargetList(fn) {
+  return serialized(async () => {
+    const next = fn(await getTargetList());
+    await chrome.storage.local.set({ targetList: next });
+    return next;
+  });
+}
+
+/**
+ * Add profile URLs to the list; duplicates and rows already there are ignored.
+ * @param {string[]} urls
+ * @returns {Promise<{ ok: boolean, added?: number, invalid?: number, reason?: string }>}
+ */
+export async function importTargets(urls) {
+  const list = await getTargetList();
+  if (list.run && list.run.status === 'running') return { ok: false, reason: 'running' };
+  const normalized = (urls || []).map(url => listProfileUrl(url));
+  let added = 0;
+  await updateTargetList((l) => {
+    const known = new Set(l.rows.map(r => r.url));
+    const rows = l.rows.slice();
+    for (const url of normalized) {
+      if (!url || known.has(url)) continue;
+      known.add(url);
+      rows.push({ url, status: 'pending', outcome: null, name: '', ts: null });
+      added += 1;
+    }
+    return { ...l, rows: rows.slice(-TARGETS_MAX_ROWS) };
+  });
+  return { ok: true, added, invalid: normalized.filter(u => !u).length };
+}
+
+/**
+ * Empty the list, or with `onlyDone` drop the rows that already have a result.
+ * @param {{ onlyDone?: boolean }} [options]
+ */
+export async function clearTargets({ onlyDone = false } = {}) {
+  const list = await getTargetList();
+  if (list.run && list.run.status === 'running') return { ok: false, reason: 'running' };
+  await updateTargetList(l => ({ ...l, rows: onlyDone ? l.rows.filter(r => r.status === 'pending') : [] }));
+  return { ok: true };
+}
+
+/** Start inviting the pending rows, in list order. */
+export async function startTargets() {
+  const list = await getTargetList();
+  if (list.run && list.run.status === 'running') return { ok: false, reason: 'already-running' };
+  if (!list.rows.some(r => r.status === 'pending')) return { ok: false, reason: 'no-targets' };
+  if (await getActiveLockout()) return { ok: false, reason: 'locked-out' };
+
+  const run = {
+    id: `t-${Date.now().toString(36)}`,
+    tabId: list.run ? list.run.tabId : null,
+    status: 'running',
+    reason: null,
+    startedAt: Date.now(),
+    sent: 0,
+    cap: null
+  };
+  await updateTargetList(l => ({ ...l, run }));
+  runTargets(run.id).catch(err => console.warn('[LI-AutoConnect] target list failed:', err));
+  return { ok: true };
+}
+
+/** Stop the run and the invite in progress in its tab. */
+export async function stopTargets() {
+  const list = await updateTargetList(l => (
+    l.run && l.run.status === 'running' ? { ...l, run: { ...l.run, status: 'stopped', reason: 'stopped' } } : l
+  ));
+  if (list.run && list.run.tabId != null) {
+    chrome.tabs.sendMessage(list.run.tabId, { type: 'LINKEDIN_AUTOCONNECT_TOGGLE', enabled: false }).catch(() => {});
+  }
+  return { ok: true };
+}
+
+/**
+ * End run `runId` (if it is still the running one).
+ * @param {string} runId
+ * @param {'done'|'stopped'} status
+ * @param {string|null} reason
+ */
+function finishRun(runId, status, reason) {
+  return updateTargetList(l => (
+    l.run && l.run.id === runId && l.run.status === 'running' ? { ...l, run: { ...l.run, status, reason } } : l
+  ));
+}
+
+/**
+ * Walk the pending rows of run `runId` until it ends.
+ * @param {string} runId
+ */
+async function runTargets(runId) {
+  for (;;) {
+    const list = await getTargetList();
+    const run = list.run;
+    if (!run || run.id !== runId || run.status !== 'running') return;
+
+    const row = list.rows.find(r => r.status === 'pending');
+    if (!row) {
+      await finishRun(runId, 'done', null);
+      return;
+    }
+    if (run.cap != null && run.sent >= run.cap) {
+      await finishRun(runId, 'done', 'run-cap');
+      return;
+    }
+    if (await getActiveLockout()) {
+      await finishRun(runId, 'stopped', 'locked-out');
+      return;
+    }
+
+    const tab = await openSearchTab(row.url, run.tabId);
+    await updateTargetList(l => (l.run && l.run.id === runId ? { ...l, run: { ...l.run, tabId: tab.id } } : l));
+    await waitForTabComplete(tab.id);
+    const res = (await sendWhenReady(tab.id, { type: 'LINKEDIN_AUTOCONNECT_PROFILE_INVITE' })) || { ok: false, reason: 'no-response' };
+
+    // The run can't go on (budget, lockout, another tab clicking…): the row stays pending
+    if (!res.ok && !ROW_FAILURES.includes(res.reason)) {
+      await finishRun(runId, 'stopped', res.reason || 'unknown');
+      return;
+    }
+
+    const result = res.ok
+      ? { status: res.status, outcome: res.outcome, name: res.name || '' }
+      : { status: 'failed', outcome: res.reason, name: '' };
+    await updateTargetList((l) => {
+      const rows = l.rows.map(r => (r.url === row.url ? { ...r, ...result, ts: Date.now() } : r));
+      const sameRun = l.run && l.run.id === runId;
+      const sent = sameRun && (result.status === 'sent' || result.status === 'previewed');
+      return {
+        ...l,
+        rows,
+        run: sameRun ? { ...l.run, sent: l.run.sent + (sent ? 1 : 0), cap: res.runCap || l.run.cap } : l.run
+      };
+    });
+  }
+}
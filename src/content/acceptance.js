@@ -0,0 +1,45 @@
+/**
+ * acceptance.js — detecting accepted invitations.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Is this tab on My Network → Connections? */
+function isOnConnectionsList() {
+  return /^https:\/\/www\.linkedin\.com\/mynetwork\/invite-connect\/connections/i.test(location.href);
+}
+
+/**
+ * Tell the service worker which of `profileKeys` are now connections. Only profiles
+ * we invited and haven't seen accepted yet are sent.
+ * @param {string[]} profileKeys
+ */
+async function reportAccepted(profileKeys) {
+  const { contactedProfiles } = await chrome.storage.local.get({ contactedProfiles: {} });
+  const keys = Array.from(new Set(profileKeys)).filter((key) => {
+    const prev = key && contactedProfiles && contactedProfiles[key];
+    return prev && prev.outcome === 'sent' && !prev.acceptedAt;
+  });
+  if (keys.length === 0) return;
+  debugLog(`Accepted invitations detected: ${keys.length}`);
+  chrome.runtime.sendMessage({ type: 'HISTORY_MARK_ACCEPTED', profileKeys: keys }).catch(() => {});
+}
+
+/** Result cards on this page that show a 1st-degree badge. */
+function detectAcceptedOnSearchPage() {
+  const keys = Array.from(document.querySelectorAll(layoutSelector('card')))
+    .map(parseResultCard)
+    .filter(info => info.degree === 1 && info.profileKey)
+    .map(info => info.profileKey);
+  return reportAccepted(keys);
+}
+
+/** Everyone listed on the connections page is a connection. */
+function detectAcceptedOnConnectionsList() {
+  const root = document.querySelector('main') || document.body;
+  const keys = Array.from(root.querySelectorAll('a[href*="/in/"]'))
+    .map(a => normalizeProfileUrl(a.getAttribute('href') || ''))
+    .filter(Boolean);
+  return reportAccepted(keys);
+}
@@ -0,0 +1,100 @@
+/**
+ * cards.js — parsing search result cards (name, headline, degree, profile key).
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * The card a button belongs to (or null for orphan buttons): on search results in any
+ * known layout, elsewhere the current surface's card.
+ * @param {Element} button
+ * @returns {Element|null}
+ */
+function getResultCard(button) {
+  return button.closest(surfaceCardSelector());
+}
+
+/**
+ * Normalize a profile link (relative ones too) to https://www.linkedin.com/in/<slug>/
+ * (no query/hash), the way listProfileUrl() does for the lists and the target list.
+ * @param {string} href
+ * @returns {string}
+ */
+function normalizeProfileUrl(href) {
+  try {
+    return listProfileUrl(new URL(href, location.origin).href);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Count mutual connections from the card's insight line, e.g.
+ * "12 mutual connections", "Ana and 3 other mutual connections",
+ * "Ana, Bo and 5 other mutual connections", "Ana is a mutual connection".
+ * @param {string} text
+ * @returns {number}
+ */
+function parseMutualCount(text) {
+  const t = normText(text);
+  if (!t.includes('mutual')) return 0;
+  const others = t.match(/(\d[\d,.]*)\s+other/);
+  if (others) {
+    const named = t.slice(0, others.index).split(/,| and /).filter(s => s.trim()).length;
+    return parseInt(others[1].replace(/[,.]/g, ''), 10) + named;
+  }
+  const plain = t.match(/(\d[\d,.]*)\s+mutual/);
+  if (plain) return parseInt(plain[1].replace(/[,.]/g, ''), 10);
+  return t.includes(' and ') ? 2 : 1;
+}
+
+/**
+ * Pull the person's details out of a result card. Missing fields are empty strings
+ * (0 for degree/mutualCount when the card doesn't show them).
+ * `profileKey` is the stable id used for cross-session dedupe (profile URL, else URN).
+ * @typedef {{ name: string, headline: string, location: string, degree: number, mutualCount: number, profileUrl: string, urn: string, profileKey: string }} CardInfo
+ * @param {Element|null} card
+ * @param {CardFields} [fieldsOverride] field selectors to use instead (e.g. a profile's top card)
+ * @returns {CardInfo}
+ */
+function parseResultCard(card, fieldsOverride) {
+  if (!card) {
+    return { name: '', headline: '', location: '', degree: 0, mutualCount: 0, profileUrl: '', urn: '', profileKey: '' };
+  }
+
+  // Field selectors come from the surface, or on search results the card's layout
+  // profile; the first non-empty match wins
+  const surface = currentSurface();
+  const fields = fieldsOverride || (surface && surface.fields) || (layoutForCard(card) || { fields: DEFAULT_CARD_FIELDS }).fields;
+  const text = (selectors) => {
+    for (const sel of selectors) {
+      const el = card.querySelector(sel);
+      const value = el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+      if (value) return value;
+    }
+    return '';
+  };
+
+  const link = card.querySelector('a[href*="/in/"]');
+  const name = text(fields.name)
+    || (link ? (link.textContent || '').replace(/\s+/g, ' ').trim() : '');
+
+  const urnEl = card.matches('[data-chameleon-result-urn]') ? card : card.querySelector('[data-chameleon-result-urn]');
+  const urn = urnEl ? urnEl.getAttribute('data-chameleon-result-urn') || '' : '';
+  const profileUrl = link ? normalizeProfileUrl(link.getAttribute('href') || '') : '';
+
+  // Badge reads like "• 2nd", "3rd+" (or "2º" in some locales)
+  const degreeMatch = text(fields.badge).match(/([123])/);
+
+  return {
+    name,
+    headline: text(fields.headline),
+    location: text(fields.location),
+    degree: degreeMatch ? Number(degreeMatch[1]) : 0,
+    mutualCount: parseMutualCount(text(fields.insight)),
+    profileUrl,
+    urn,
+    profileKey: profileUrl || urn
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * checkpoints.js — run checkpoints for resuming interrupted runs.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Where a real run got to, so an interrupted run can carry on with the same counters.
+ * `handledKeys` are the profiles already handled on the checkpoint's page.
+ * @typedef {{ searchKey: string, pageUrl: string, page: number, pagesProcessed: number, lastProfileKey: string, handledKeys: string[], sent: number, skipped: number, failed: number, unconfirmed: number, sentThisRun: number, queue: QueueRun|null, scheduleRunId: string|null, startedAt: number, updatedAt: number, expiresAt: number }} RunCheckpoint
+ */
+
+/**
+ * Identify a search regardless of the page it is on: the URL without `page`, params sorted.
+ * @param {string} href
+ * @returns {string}
+ */
+function searchKeyOf(href) {
+  try {
+    const url = new URL(href);
+    url.searchParams.delete('page');
+    url.searchParams.sort();
+    return `${url.origin}${url.pathname}?${url.searchParams}`;
+  } catch {
+    return '';
+  }
+}
+
+/** @param {string} href @returns {number} 1-based results page */
+function pageNumberOf(href) {
+  try {
+    return Number(new URL(href).searchParams.get('page')) || 1;
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * The unexpired checkpoint for the search in this tab (dry runs never resume).
+ * @returns {Promise<RunCheckpoint|null>}
+ */
+async function loadCheckpoint() {
+  if (STATE.dryRun) return null;
+  const { runCheckpoints } = await chrome.storage.local.get({ runCheckpoints: {} });
+  const checkpoint = runCheckpoints && runCheckpoints[searchKeyOf(location.href)];
+  return checkpoint && checkpoint.expiresAt > Date.now() ? checkpoint : null;
+}
+
+/** @param {Omit<RunCheckpoint, 'updatedAt'|'expiresAt'>} checkpoint */
+function saveCheckpoint(checkpoint) {
+  chrome.runtime.sendMessage({ type: 'CHECKPOINT_SAVE', checkpoint }).catch(() => {});
+}
+
+/** Forget the checkpoint of a search that finished or was stopped on purpose. */
+function discardCheckpoint(searchKey = searchKeyOf(location.href)) {
+  chrome.runtime.sendMessage({ type: 'CHECKPOINT_CLEAR', searchKey }).catch(() => {});
+}
@@ -8,553 +8,185 @@
  *
  * SAFE DEFAULTS
  * - MAX_INVITES_PER_PAGE and MAX_PAGES_PER_RUN cap actions per run.
- *   Tweak in CONFIG below (values are intentionally conservative).
+ *   Defaults live in src/shared/settings.js; the options page can slow pacing
+ *   down or lower caps, never the other way round.
+ * - A rolling 24h / 7-day invite budget (kept by the service worker) is shared
+ *   by all tabs and survives toggling; the loop stops once it is spent.
  *
  * HOW IT WORKS
- * - When `enabled` is true and URL matches https://www.linkedin.com/search/results*,
- *   a loop clicks visible "Connect" buttons, confirms simple modals, paginates,
- *   and repeats. It stops promptly when you toggle Off, navigate away, or limits hit.
+ * - When this tab is switched on (per tab, from the popup) and the page is a supported surface (search results,
+ *   "People you may know", a company's People tab, event attendees; see surfaces.js),
+ *   a loop clicks visible "Connect" buttons, confirms simple modals, paginates (or
+ *   loads more cards on scroll surfaces), and repeats. It stops promptly when you
+ *   toggle Off, navigate away, or limits hit.
+ * - A run can be paused between actions and resumed where it was (popup, keyboard
+ *   shortcut); it also pauses while the tab is hidden or the user types or clicks on the page.
+ * - Only one tab clicks at a time: a run asks the service worker for the click turn
+ *   first, and a tab that is switched on while another runs waits in line for it.
+ *   A run paused by the user or a hidden tab gives the turn up until it resumes.
  * - Uses MutationObserver to detect results updates and SPA changes.
  * - Uses a run token (runId) + cancellable timers to stop cleanly (hardStop()).
+ * - Dry-run mode (`dryRun` in chrome.storage.local) walks the same scan/filter/
+ *   pagination flow but only outlines targeted cards and builds a preview report.
+ * - Before clicking, every card is checked against the blocklist/allowlist
+ *   (src/shared/lists.js) and the targeting rules; skips record what matched.
+ * - Real runs save a checkpoint after every card; a reload or browser restart
+ *   resumes the same search from that page instead of starting over.
+ * - On "Manage invitations → Sent" the script tracks pending invitations against
+ *   the history and, on request from the popup, withdraws stale ones with the
+ *   same pacing, caps and hardStop() handling (withdraw mode).
+ * - Profile URLs imported as a target list are opened one by one by the service worker;
+ *   on each profile page the script invites through the same dialogs, budget and pacing.
+ * - Accepted invitations are detected from 1st-degree badges on search results and
+ *   from the connections list, and marked in the history for the analytics page.
+ * - LinkedIn warnings (weekly invitation limit, security check, "invitation couldn't
+ *   be sent") stop the run at once and start a lockout kept by the service worker;
+ *   nothing starts again until it ends.
+ * - Selectors come from versioned layout profiles tried in order; the matched profile
+ *   is reported in the run progress, and when none matches but Connect buttons are
+ *   found anyway, a profile built from their DOM path is suggested on the options page.
+ *
+ * FILES
+ * The content script is a set of classic scripts loaded in manifest order and
+ * sharing one global scope; this file (the controller and message wiring) comes last.
+ * - state.js: STATE, CONFIG, applySettings(), debugLog()
+ * - layout.js: which layout profile (src/shared/layouts.js) matches the page; suggestions
+ * - dom.js: sleep(), isVisible(), observers, page checks, waiting for results
+ * - keywords.js: per-language button/dialog keywords picked from <html lang>
+ * - cards.js / detect.js: result card parsing, Connect button detection
+ * - overflow.js: Connect inside a card's "More" menu
+ * - dialogs.js / pagination.js: the Connect dialogs, next-page navigation
+ * - surfaces.js: supported pages, their cards and how each reaches more results
+ * - progress.js: RUN_PROGRESS publishing, hardStop()
+ * - pause.js: pause points, auto-pause on hidden tab / page activity
+ * - turns.js: this tab's on/off switch and click turn (kept by the service worker)
+ * - warnings.js: LinkedIn warning classifier and lockout
+ * - records.js / targeting.js / preview.js: budget & history, rules, lists & notes, dry run
+ * - acceptance.js / checkpoints.js / withdraw.js: accepted invites, resume, withdraw mode
+ * - profile.js: inviting from a profile page (target list)
+ * - panel.js: the optional in-page control panel on search results
  */
 
 console.log('[LI-AutoConnect] content script loaded on', location.href);
 
-/** @typedef {{ enabled: boolean, running: boolean, runId: number, timers: Set<number>, observers: Set<MutationObserver>, urlCheckId: number|null, debug: boolean, sleepResolvers: Set<Function>, pendingResolves: Set<Function> }} State */
-
-/** Configuration constants kept in one place for easy tuning. */
-const CONFIG = {
-  // Pacing (milliseconds)
-  DELAYS: {
-    CONNECT_CLICK_MIN: 800,
-    CONNECT_CLICK_MAX: 1500,
-    PAGE_CHANGE_MIN: 1200,
-    PAGE_CHANGE_MAX: 2500,
-    DIALOG_APPEAR_TIMEOUT: 5000,
-    RESULTS_CHANGE_TIMEOUT: 12000
-  },
-  // Safety caps
-  MAX_INVITES_PER_PAGE: 8,   // default small number; adjust carefully
-  MAX_PAGES_PER_RUN: 3,      // default small number; adjust carefully
-
-  // Keywords (keep all lowercase; normText lowercases DOM text)
-  KW: {
-    CONNECT: ['connect', 'conectar', 'invite', 'invitar', 'convidar', 'connecter', 'connetti', 'verbinden'],
-    PENDING: ['pending', 'pendente', 'pendiente', 'en attente'],
-    MESSAGE: ['message', 'mensagem', 'mensaje', 'messaggio'],
-    FOLLOW:  ['follow', 'seguir', 'suivre', 'segui']
-  },
-
-  // Optional, layout-specific fallback container with obfuscated classes
-  SELECTORS: {
-    OB_CONTAINER: 'div.trMOuCrxGuyMcoBfUoxZIQAILvdyMtzfftN.SbIBLepHrzBVCRarZbIJSiSzqpwqueZ'
-  },
-
-  // General behavior
-  DEBUG: true
-};
-
-/** @type {State} */
-const STATE = {
-  enabled: false,
-  running: false,
-  runId: 0,
-  timers: new Set(),
-  observers: new Set(),
-  urlCheckId: null,
-  debug: CONFIG.DEBUG,
-  sleepResolvers: new Set(),
-  pendingResolves: new Set()
-};
-
-/** Utils **/
-
-/** @param {any[]} args */
-function debugLog(...args) {
-  if (STATE.debug) console.log('[LI-AutoConnect]', ...args);
-}
-
-/**
- * Returns a normalized string for case-insensitive text matching.
- * @param {string} s
- */
-function normText(s) {
-  return (s || '').toLowerCase().replace(/\s+/g, ' ').trim();
-}
-
-/** @param {number} min @param {number} max */
-function randomBetween(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-/**
- * Promise-based sleep that can be cancelled. When hardStop() runs,
- * we resolve all pending sleeps so the loop can exit promptly.
- * @param {number} ms
- */
-function sleep(ms) {
-  return new Promise((resolve) => {
-    const id = window.setTimeout(() => {
-      STATE.timers.delete(id);
-      STATE.sleepResolvers.delete(resolve);
-      resolve();
-    }, ms);
-    STATE.timers.add(id);
-    STATE.sleepResolvers.add(resolve);
-  });
-}
-
-/** Clear all pending timers. */
-function clearAllTimers() {
-  for (const id of STATE.timers) clearTimeout(id);
-  STATE.timers.clear();
-}
-
-/**
- * Visibility heuristic for elements (exclude hidden/zero-size).
- * @param {Element} el
- */
-function isVisible(el) {
-  if (!el || !(el instanceof HTMLElement)) return false;
-  const rect = el.getBoundingClientRect();
-  const style = window.getComputedStyle(el);
-  if (style.visibility === 'hidden' || style.display === 'none' || style.opacity === '0') return false;
-  if (rect.width === 0 || rect.height === 0) return false;
-  // light heuristic
-  return (el.offsetWidth + el.offsetHeight) > 0 || el.getClientRects().length > 0;
-}
-
-/** Is this tab currently on LinkedIn search result pages? */
-function isOnLinkedInSearch() {
-  return /^https:\/\/www\.linkedin\.com\/search\/results/i.test(location.href);
-}
-
-/**
- * Find the main results container to watch for updates.
- * Tries several known containers and falls back to <main>.
- */
-function getResultsContainer() {
-  const candidates = [
-    'ul.reusable-search__entity-result-list',
-    'div.search-results-container',
-    'div.reusable-search__container',
-    'div.scaffold-finite-scroll__content',
-    'main'
-  ];
-  for (const sel of candidates) {
-    const el = document.querySelector(sel);
-    if (el) return el;
-  }
-  return document.body;
-}
-
-/**
- * Wait until the results container mutates meaningfully (children list changes).
- * Resolves early if timeout elapses or when hardStop() is called.
- */
-function waitForResultsChange() {
-  return new Promise(async (resolve) => {
-    const container = getResultsContainer();
-
-    const finish = () => {
-      try { observer.disconnect(); } catch {}
-      STATE.observers.delete(observer);
-      STATE.pendingResolves.delete(resolve);
-      clearTimeout(timeoutId);
-      resolve();
-    };
-
-    const timeoutId = window.setTimeout(finish, CONFIG.DELAYS.RESULTS_CHANGE_TIMEOUT);
-    STATE.timers.add(timeoutId);
-
-    const observer = new MutationObserver((mutList) => {
-      for (const m of mutList) {
-        if (m.type === 'childList' && (m.addedNodes.length > 0 || m.removedNodes.length > 0)) {
-          finish();
-          return;
-        }
-      }
-    });
-    observer.observe(container, { childList: true, subtree: true });
-    STATE.observers.add(observer);
-    STATE.pendingResolves.add(resolve);
-  });
-}
-
-/** Disconnect all observers. */
-function detachObservers() {
-  for (const obs of STATE.observers) {
-    try { obs.disconnect(); } catch {}
-  }
-  STATE.observers.clear();
-
-  if (STATE.urlCheckId != null) {
-    clearInterval(STATE.urlCheckId);
-    STATE.urlCheckId = null;
-  }
-}
-
-/** Attach an interval to stop if we navigate away from search results. */
-function attachObservers() {
-  if (STATE.urlCheckId != null) return;
-  let lastHref = location.href;
-  STATE.urlCheckId = window.setInterval(() => {
-    if (location.href !== lastHref) {
-      lastHref = location.href;
-      if (!isOnLinkedInSearch()) {
-        debugLog('URL changed; leaving search results -> hardStop()');
-        hardStop();
-      }
-    }
-    if (!STATE.enabled && STATE.running) {
-      debugLog('Enabled turned off -> hardStop()');
-      hardStop();
-    }
-  }, 500);
-}
-
-/**
- * Small auto-scroll nudge to trigger lazy-loaded results.
- */
-async function autoScrollOnce() {
-  const startHeight = document.body.scrollHeight;
-  window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-  await sleep(600);
-  if (document.body.scrollHeight > startHeight) await sleep(300);
-}
-
-/**
- * Waits briefly until either:
- * - a results list exists, or
- * - at least one Connect button is discoverable, or
- * - pagination/next controls appear.
- */
-async function waitForInitialResultsAndButtons(timeoutMs = 8000) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs && STATE.enabled) {
-    const hasResultsContainer = !!document.querySelector(
-      'ul.reusable-search__entity-result-list, div.search-results-container, div.reusable-search__container, main'
-    );
-    const hasCards = !!document.querySelector(
-      'li.reusable-search__result-container, div.entity-result, div.reusable-search__result-container'
-    );
-    const hasButtons = queryConnectButtons().length > 0;
-    const hasPagination = !!document.querySelector(
-      'ul.artdeco-pagination__pages, button[aria-label^="Next" i], a[aria-label^="Next" i]'
-    );
-    if (hasResultsContainer || hasCards || hasButtons || hasPagination) return;
-    await sleep(250);
-  }
-}
-
-/**
- * Check if any of the tokens is included in the haystack (both lowercased).
- */
-function includesAny(haystack, tokens) {
-  return tokens.some(t => haystack.includes((t || '').toLowerCase()));
-}
-
-/**
- * Query all visible, clickable "Connect" buttons for the current result page.
- * Strategy (in order):
- * 0) Optional: search inside a known obfuscated container (layout-specific).
- * 1) Collect buttons that contain a `.artdeco-button__text` span (or any artdeco button).
- * 2) Keep candidates whose text/aria/title suggests "connect".
- * 3) If nothing yet, brute-scan all <button> by text.
- * 4) Filter by visibility and exclude Pending/Message/Follow.
- * 5) De-duplicate by card (one button per result card).
- * @returns {HTMLButtonElement[]}
- */
-function queryConnectButtons() {
-  // 0) Optional fallback: explicit containers with obfuscated classes
-  const byObContainer = [];
-  try {
-    const containers = Array.from(document.querySelectorAll(CONFIG.SELECTORS.OB_CONTAINER));
-    containers.forEach(container => {
-      const btns = Array.from(container.querySelectorAll('button.artdeco-button'));
-      btns.forEach(b => {
-        const span = b.querySelector('.artdeco-button__text');
-        const txt = normText((span?.textContent || b.textContent || ''));
-        if (includesAny(txt, CONFIG.KW.CONNECT)) byObContainer.push(b);
-      });
-    });
-  } catch {}
-
-  // 1) Buttons that have the text span (using :has when available)
-  const spanButtons = Array.from(
-    document.querySelectorAll('button:has(span.artdeco-button__text), button.artdeco-button')
-  );
-
-  // 2) Candidates by text/aria/title
-  const byTextOrAria = spanButtons.filter((b) => {
-    const t = normText(b.querySelector('.artdeco-button__text')?.textContent || b.textContent || '');
-    const aria = normText(b.getAttribute('aria-label') || '');
-    const title = normText(b.getAttribute('title') || '');
-    return includesAny(t, CONFIG.KW.CONNECT) || includesAny(aria, CONFIG.KW.CONNECT) || includesAny(title, CONFIG.KW.CONNECT);
-  });
-
-  // 3) Last resort: brute-scan all buttons if nothing was found
-  let byBrute = [];
-  if (byTextOrAria.length === 0 && byObContainer.length === 0) {
-    const all = Array.from(document.querySelectorAll('button'));
-    byBrute = all.filter((b) => includesAny(normText(b.textContent || ''), CONFIG.KW.CONNECT));
-  }
-
-  // 4) Combine and dedupe (by element identity)
-  const combined = [...byObContainer, ...byTextOrAria, ...byBrute];
-  const dedup = Array.from(new Set(combined));
-
-  // 5) Visibility/state filter; exclude non-connect states
-  const filtered = dedup.filter((b) => {
-    if (!(b instanceof HTMLButtonElement)) return false;
-    if (b.disabled || b.getAttribute('aria-disabled') === 'true') return false;
-    if (!isVisible(b)) return false;
-
-    const full = normText(b.querySelector('.artdeco-button__text')?.textContent || b.textContent || '');
-    if (includesAny(full, CONFIG.KW.PENDING)) return false;
-    if (includesAny(full, CONFIG.KW.MESSAGE)) return false;
-    if (includesAny(full, CONFIG.KW.FOLLOW))  return false;
-
-    return true;
-  });
-
-  // 6) One button per card (stable dedupe by result card element)
-  const unique = [];
-  const seenCards = new Set();
-
-  for (const b of filtered) {
-    const card = b.closest(
-      'li.reusable-search__result-container, div.reusable-search__result-container, div.entity-result'
-    ) || b; // fallback: the button itself
-
-    if (!seenCards.has(card)) {
-      seenCards.add(card);
-      unique.push(b);
-    }
-  }
-
-  // Diagnostics
-  debugLog(
-    `detector: obClass=${byObContainer.length}, spanButtons=${spanButtons.length}, byTextOrAria=${byTextOrAria.length}, brute=${byBrute.length}, final=${unique.length}`
-  );
-
-  return unique;
-}
-
-/**
- * Attempt to click "Connect" then handle confirmation modal if present.
- * Skips if email is required or dialog isn't a simple confirm.
- * @param {HTMLButtonElement} button
- */
-async function clickConnectAndConfirm(button) {
-  try {
-    button.click();
-
-    // Wait for either a dialog to appear OR button to flip to 'Pending'
-    const dialogAppeared = await waitForDialogOrPending(button);
-
-    if (!dialogAppeared) {
-      // No dialog; either sent immediately or ignored. Proceed.
-      return true;
-    }
-
-    const dialog = getTopmostDialog();
-    if (!dialog) {
-      // If dialog was ephemeral, proceed.
-      return true;
-    }
-
-    // Email gate / verification check
-    const dialogText = normText(dialog.innerText || '');
-    const emailInput = dialog.querySelector('input[type="email"], input[name*="email" i]');
-    if (emailInput || dialogText.includes('email address') || dialogText.includes('enter email')) {
-      // Close/Cancel and skip
-      clickBest(dialog, [
-        'button[aria-label*="close" i]',
-        'button[aria-label*="dismiss" i]',
-        'button'
-      ], ['cancel', 'dismiss', 'close']);
-      await sleep(300);
-      return false;
-    }
-
-    // Prefer buttons that clearly send without a note
-    const sent = clickBest(dialog, [
-      'button'
-    ], ['send without a note', 'send now', 'send invite', 'send', 'enviar', 'convidar', 'conectar']);
-
-    if (sent) {
-      await sleep(400);
-      await waitDialogClose(dialog, 4000);
-      return true;
-    }
-
-    // If we didn't find a "Send" button, cancel gracefully
-    clickBest(dialog, [
-      'button[aria-label*="close" i]',
-      'button'
-    ], ['cancel', 'dismiss', 'close']);
-    await sleep(300);
-    return false;
-  } catch (err) {
-    debugLog('clickConnectAndConfirm error:', err);
-    return false;
-  }
-}
-
-/** Find a dialog element likely associated to the Connect flow. */
-function getTopmostDialog() {
-  const dialogs = Array.from(document.querySelectorAll('[role="dialog"], .artdeco-modal, .artdeco-modal--layer-default'));
-  return dialogs.length ? dialogs[dialogs.length - 1] : null;
-}
-
-/**
- * Click the "best" button within a container based on preferred text tokens.
- * @param {Element} root
- * @param {string[]} selectors in priority order
- * @param {string[]} preferredTexts lowercased, matched via includes()
- * @returns {boolean} clicked
- */
-function clickBest(root, selectors, preferredTexts) {
-  const buttons = [];
-  for (const sel of selectors) {
-    root.querySelectorAll(sel).forEach(b => {
-      if (b instanceof HTMLButtonElement && isVisible(b) && !b.disabled && b.getAttribute('aria-disabled') !== 'true') {
-        buttons.push(b);
-      }
-    });
-  }
-  if (buttons.length === 0) return false;
-  const byPref = buttons.find(b => {
-    const t = normText(b.innerText || b.textContent || '');
-    return preferredTexts.some(p => t.includes(p));
-  });
-  const target = byPref || buttons[0];
-  target.click();
-  return true;
-}
+/** Controller **/
 
 /**
- * Wait until a dialog appears or the button changes to "Pending".
- * @param {HTMLButtonElement} button
- * @returns {Promise<boolean>} true if dialog appeared, false otherwise
+ * @param {string} trigger what started the run (for logs)
+ * @param {{ resume?: boolean }} [options] `resume: false` ignores any checkpoint
+ * @returns {Promise<'started'|'waiting'|'not-started'>} 'waiting': in line for the click turn
  */
-async function waitForDialogOrPending(button) {
-  const start = Date.now();
-  while (Date.now() - start < CONFIG.DELAYS.DIALOG_APPEAR_TIMEOUT) {
-    const dlg = getTopmostDialog();
-    if (dlg && isVisible(dlg)) return true;
-
-    // Or the button self-changed to "Pending"
-    const t = normText(button.innerText || button.textContent || '');
-    if (includesAny(t, CONFIG.KW.PENDING)) return false;
-
-    await sleep(150);
-    if (!STATE.enabled) return false;
+async function startIfEligible(trigger, { resume = true } = {}) {
+  if (!STATE.enabled) return 'not-started';
+  if (!isOnConnectSurface()) return 'not-started';
+  if (STATE.running) return 'not-started';
+
+  const lockout = await getActiveLockout();
+  if (lockout) {
+    debugLog(`Locked out until ${new Date(lockout.until).toLocaleString()} (${lockout.kind}); not starting.`);
+    return 'not-started';
   }
-  return !!getTopmostDialog();
-}
-
-/** Wait for a specific dialog to close or timeout. */
-async function waitDialogClose(dialog, timeoutMs = 4000) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    if (!document.contains(dialog) || !isVisible(dialog)) return;
-    await sleep(150);
+  // One tab clicks at a time: wait in line while another tab runs
+  const turn = await requestClickTurn();
+  if (!turn.ok && turn.holderTabId == null) {
+    debugLog('No answer from the service worker about the click turn; not starting.');
+    return 'not-started';
   }
-}
-
-/**
- * Find pagination and click the next page button.
- * Returns true if navigated to next page, false if no next page found.
- * Includes fallbacks for "Next" arrow and "Show more".
- */
-async function findAndClickNextPage() {
-  // Prefer numbered pagination
-  const list = document.querySelector('ul.artdeco-pagination__pages, ul[class*="artdeco-pagination__pages"]');
-  if (list) {
-    const buttons = Array.from(list.querySelectorAll('li button')).filter(isVisible);
-    if (buttons.length > 0) {
-      let activeIndex = buttons.findIndex(btn => btn.getAttribute('aria-current') === 'true');
-      if (activeIndex < 0) {
-        const activeLi = list.querySelector('li.active.selected');
-        if (activeLi) {
-          const activeBtn = activeLi.querySelector('button');
-          activeIndex = buttons.indexOf(activeBtn);
-        }
-      }
-      if (activeIndex < 0) activeIndex = 0;
-
-      const nextBtn = buttons[activeIndex + 1];
-      if (nextBtn) {
-        nextBtn.click();
-        return true;
-      }
-    }
+  if (!turn.ok) {
+    STATE.waitingFor = { trigger, resume };
+    debugLog(`Tab ${turn.holderTabId} holds the click turn; waiting for it.`);
+    return 'waiting';
   }
-
-  // Fallback: Next arrow button
-  const nextArrow = document.querySelector('button[aria-label^="Next" i], a[aria-label^="Next" i]');
-  if (nextArrow && isVisible(nextArrow)) {
-    nextArrow.click();
-    return true;
-  }
-
-  // Fallback: "Show more results" / "See more results"
-  const moreLike = Array.from(document.querySelectorAll('button, a')).find(el => {
-    const t = normText(el.textContent || '');
-    return isVisible(el) && (t.includes('show more results') || t.includes('see more results') || t === 'show more');
-  });
-  if (moreLike) {
-    moreLike.click();
-    return true;
+  if (STATE.running || !STATE.enabled) {
+    if (!STATE.running) releaseClickTurn();
+    return 'not-started';
   }
-
-  return false;
-}
-
-/** Stop everything immediately: timers, observers, flags. */
-function hardStop() {
-  STATE.running = false;
-  STATE.runId += 1; // invalidate any in-flight loops
-
-  clearAllTimers();
-
-  // Resolve any pending sleeps and wait-for-results promises immediately
-  for (const r of STATE.sleepResolvers) { try { r(); } catch {} }
-  STATE.sleepResolvers.clear();
-  for (const r of STATE.pendingResolves) { try { r(); } catch {} }
-  STATE.pendingResolves.clear();
-
-  detachObservers();
-  debugLog('Stopped.');
-}
-
-/** Controller **/
-
-async function startIfEligible(trigger) {
-  if (!STATE.enabled) return;
-  if (!isOnLinkedInSearch()) return;
-  if (STATE.running) return;
+  STATE.waitingFor = null;
 
   STATE.running = true;
+  STATE.mode = 'connect';
+  STATE.paused = null;
+  if (document.hidden) pauseRun('hidden');
   const myRun = STATE.runId + 1;
   STATE.runId = myRun;
   attachObservers();
 
-  debugLog(`Starting run #${myRun} (${trigger || 'auto'})`);
+  // Carry on where an interrupted run of this search stopped, on the same page
+  const checkpoint = resume ? await loadCheckpoint() : null;
+  if (checkpoint && STATE.runId === myRun && pageNumberOf(checkpoint.pageUrl) !== pageNumberOf(location.href)) {
+    debugLog(`Resuming on page ${checkpoint.page}:`, checkpoint.pageUrl);
+    location.href = checkpoint.pageUrl;
+    return 'started';
+  }
+  const searchKey = searchKeyOf(location.href);
+  const surface = currentSurface();
+
+  debugLog(`${checkpoint ? 'Resuming' : 'Starting'} ${STATE.dryRun ? 'dry ' : ''}run #${myRun} (${trigger || 'auto'})`);
+  resetProgress(myRun);
+  if (surface.id !== 'search') publishProgress({ lastAction: `On ${surface.label}` });
+  if (checkpoint) {
+    publishProgress({
+      page: checkpoint.page,
+      sent: checkpoint.sent,
+      skipped: checkpoint.skipped,
+      failed: checkpoint.failed || 0,
+      unconfirmed: checkpoint.unconfirmed || 0,
+      lastAction: `Resumed on page ${checkpoint.page}`
+    });
+  }
+  clearPreviewMarks();
+  if (STATE.dryRun) resetDryRunReport(myRun);
+  else STATE.report = null;
 
   // Give the SPA a moment to render the first batch of results/pagination
   await waitForInitialResultsAndButtons();
 
   (async () => {
     try {
-      let pagesProcessed = 0;
-
-      while (STATE.running && STATE.enabled && isOnLinkedInSearch()) {
-        const isFirstPage = (pagesProcessed === 0);
-
-        // First-page specific behavior:
+      let pagesProcessed = checkpoint ? checkpoint.pagesProcessed : 0;
+      let budgetSpent = false;
+      // Queue runs carry their search's own caps on top of the global ones
+      const maxPages = STATE.queue ? Math.min(CONFIG.MAX_PAGES_PER_RUN, STATE.queue.maxPages) : CONFIG.MAX_PAGES_PER_RUN;
+      const maxInvitesThisRun = STATE.queue ? STATE.queue.maxInvites : Infinity;
+      let sentThisRun = checkpoint ? checkpoint.sentThisRun : 0;
+      // Dry runs simulate the shared budget instead of reserving from it
+      let simulatedBudget = STATE.dryRun ? await getRemainingBudget() : Infinity;
+      let firstScan = true;
+      // Invites on the current page (kept when the page is rescanned after a pause)
+      let invited = 0;
+
+      // Profiles handled on the current page; saved with every checkpoint.
+      // With an `outcome`, the current card is also listed in the in-page panel.
+      const handled = new Set(checkpoint ? checkpoint.handledKeys : []);
+      const startedAt = checkpoint ? checkpoint.startedAt : Date.now();
+      const markHandled = (profileKey, outcome) => {
+        if (outcome) logProcessedCard(STATE.currentCard, outcome);
+        if (profileKey) handled.add(profileKey);
+        if (STATE.dryRun || STATE.runId !== myRun) return;
+        saveCheckpoint({
+          searchKey,
+          pageUrl: location.href,
+          page: pagesProcessed + 1,
+          pagesProcessed,
+          lastProfileKey: profileKey || '',
+          handledKeys: [...handled],
+          sent: STATE.progress.sent,
+          skipped: STATE.progress.skipped,
+          failed: STATE.progress.failed,
+          unconfirmed: STATE.progress.unconfirmed,
+          sentThisRun,
+          queue: STATE.queue,
+          scheduleRunId: STATE.scheduleRunId,
+          startedAt
+        });
+      };
+
+      while (STATE.running && STATE.enabled && isOnConnectSurface()) {
+        const isFirstPage = firstScan;
+        firstScan = false;
+        publishProgress({ phase: 'scanning', page: pagesProcessed + 1 });
+
+        // First-scan specific behavior:
         //  - Do NOT scroll before the very first scan; the page may still be hydrating.
         //  - On later pages, nudge scroll first to trigger lazy content.
         if (!isFirstPage) {
@@ -580,73 +212,380 @@ async function startIfEligible(trigger) {
         }
 
         debugLog(`Found ${connectButtons.length} connect buttons.`);
+        publishProgress({ phase: 'inviting', buttonsFound: connectButtons.length });
+        if (surface.id === 'search') Promise.resolve().then(detectAcceptedOnSearchPage).catch(() => {});
 
-        let invited = 0;
+        // A pause can outlast the page's buttons (SPA re-render): then rescan this page
+        let rescan = false;
         for (const btn of connectButtons) {
+          if (await whilePaused(myRun) && !document.contains(btn)) {
+            rescan = true;
+            break;
+          }
           if (!STATE.running || !STATE.enabled) break;
+          // e.g. an "invitation couldn't be sent" toast after the previous click
+          const pageWarning = findWarningSignal();
+          if (pageWarning) {
+            triggerLockout(pageWarning);
+            break;
+          }
           if (invited >= CONFIG.MAX_INVITES_PER_PAGE) break;
+          if (sentThisRun >= maxInvitesThisRun) break;
+
+          // Already invited (or recently skipped) in an earlier run or another search
+          const card = getResultCard(btn);
+          const info = parseResultCard(card);
+          STATE.currentCard = card;
+          // Handled before this run was interrupted: already counted
+          if (info.profileKey && handled.has(info.profileKey)) continue;
+          if (!(await isProfileEligible(info.profileKey))) {
+            debugLog('Already contacted, skipping:', info.profileKey);
+            addToDryRunReport('excluded', card, { reason: 'already contacted' });
+            publishProgress({ skipped: STATE.progress.skipped + 1, lastAction: `Already contacted: ${info.name || info.profileKey}` });
+            markHandled(info.profileKey, 'already-contacted');
+            continue;
+          }
+
+          // Blocklist / allowlist: the skip is recorded with the entry that matched
+          const listMatch = findListMatch(info);
+          if (listMatch) {
+            debugLog(`Skipping ${info.name || info.profileKey}: ${listMatch.rule}`);
+            if (STATE.dryRun) addToDryRunReport('excluded', card, { reason: listMatch.rule });
+            else recordAttempt(card, 'skipped-blocklist', { rule: listMatch.rule, listEntry: listMatch.entry });
+            publishProgress({ skipped: STATE.progress.skipped + 1, lastAction: `Skipped ${info.name || 'profile'}: ${listMatch.rule}` });
+            markHandled(info.profileKey, 'skipped-blocklist');
+            continue;
+          }
+
+          // Targeting rules (headline, location, degree, mutual connections)
+          const rule = findExcludingRule(info);
+          if (rule) {
+            debugLog(`Filtered out ${info.name || info.profileKey}: ${rule}`);
+            if (STATE.dryRun) addToDryRunReport('excluded', card, { reason: rule });
+            else recordAttempt(card, 'skipped-filter', { rule });
+            publishProgress({ skipped: STATE.progress.skipped + 1, lastAction: `Filtered out ${info.name || 'profile'}: ${rule}` });
+            markHandled(info.profileKey, 'skipped-filter');
+            continue;
+          }
 
           await sleep(randomBetween(CONFIG.DELAYS.CONNECT_CLICK_MIN, CONFIG.DELAYS.CONNECT_CLICK_MAX));
+          if (await whilePaused(myRun) && !document.contains(btn)) {
+            rescan = true;
+            break;
+          }
+          if (!STATE.running || !STATE.enabled) break;
+
+          // Shared daily/weekly budget: refuse to click once it is spent
+          const reservation = STATE.dryRun
+            ? { ok: simulatedBudget-- > 0 }
+            : await reserveInviteBudget();
+          if (!reservation.ok) {
+            addToDryRunReport('excluded', card, { reason: 'daily/weekly budget spent' });
+            debugLog('No invite reserved (budget spent or lockout). Stopping.', reservation.status || reservation.lockout || '');
+            publishProgress({ lastAction: reservation.lockout ? `Paused: ${lockoutLabel(reservation.lockout.kind)}` : 'Daily/weekly invite budget spent' });
+            budgetSpent = true;
+            break;
+          }
+
+          publishProgress({ phase: 'waiting-for-dialog', lastAction: `Connecting with ${info.name || 'profile'}` });
           try {
-            const ok = await clickConnectAndConfirm(btn);
-            invited += 1;
-            debugLog(`Invite ${ok ? 'OK' : 'SKIPPED'} (${invited}/${CONFIG.MAX_INVITES_PER_PAGE})`);
+            const { outcome, status, note, warning, toast } = await clickConnectAndConfirm(btn, pickInviteNote(info));
+            if (outcome === 'blocked') {
+              releaseInviteBudget(reservation.ts);
+              recordAttempt(card, 'blocked', { warning: warning.text });
+              logProcessedCard(card, 'blocked');
+              triggerLockout(warning);
+              break;
+            }
+            if (outcome === 'previewed') {
+              addToDryRunReport('targets', card, note ? { note: note.text } : {});
+              invited += 1;
+              sentThisRun += 1;
+              publishProgress({ phase: 'inviting', sent: STATE.progress.sent + 1, lastAction: `Would invite ${info.name || 'profile'}` });
+              markHandled(info.profileKey, 'previewed');
+              continue;
+            }
+            // Only a send confirmed on the page counts toward the caps and the budget
+            if (status === 'sent') {
+              sentThisRun += 1;
+              invited += 1;
+            } else {
+              releaseInviteBudget(reservation.ts);
+            }
+            recordAttempt(card, outcome, {
+              ...(note ? { noteTemplate: note.templateId, noteTemplateName: note.templateName } : {}),
+              ...(toast ? { warning: toast } : {})
+            });
+            debugLog(`Invite ${outcome} (${invited}/${CONFIG.MAX_INVITES_PER_PAGE} sent on this page)`);
+            publishProgress({
+              phase: 'inviting',
+              ...countInviteStatus(status),
+              lastAction: `${outcome}: ${info.name || 'profile'}`,
+              ...(status === 'failed' ? { lastError: toast || `Invite failed for ${info.name || 'profile'}` } : {})
+            });
+            markHandled(info.profileKey, outcome);
           } catch (e) {
+            releaseInviteBudget(reservation.ts);
+            recordAttempt(card, 'error');
             debugLog('Error during invite attempt:', e);
+            publishProgress({ phase: 'inviting', ...countInviteStatus('failed'), lastError: String(e && e.message || e) });
+            markHandled(info.profileKey, 'error');
           }
         }
 
+        if (budgetSpent) break;
+        if (rescan && STATE.running) {
+          debugLog('Results changed while paused; rescanning this page.');
+          continue;
+        }
+        if (sentThisRun >= maxInvitesThisRun) {
+          debugLog(`Search cap (${maxInvitesThisRun} invites) reached. Stopping.`);
+          break;
+        }
+
         if (connectButtons.length === 0) debugLog('No connect buttons on this page, trying to paginate once.');
 
-        if (pagesProcessed >= CONFIG.MAX_PAGES_PER_RUN - 1) {
-          debugLog(`Max pages (${CONFIG.MAX_PAGES_PER_RUN}) reached. Stopping.`);
+        if (pagesProcessed >= maxPages - 1) {
+          debugLog(`Max pages (${maxPages}) reached. Stopping.`);
           break;
         }
 
-        const moved = await findAndClickNextPage();
+        await whilePaused(myRun);
+        if (!STATE.running || !STATE.enabled) break;
+
+        publishProgress({
+          phase: 'paginating',
+          lastAction: surface.more === 'scroll' ? 'Loading more results' : 'Moving to the next page'
+        });
+        const moved = await advanceSurface();
         if (!moved) {
-          debugLog('No next page found. Stopping.');
+          debugLog(surface.more === 'scroll' ? 'No more results loaded. Stopping.' : 'No next page found. Stopping.');
           break;
         }
 
-        await sleep(randomBetween(CONFIG.DELAYS.PAGE_CHANGE_MIN, CONFIG.DELAYS.PAGE_CHANGE_MAX));
-        await waitForResultsChange();
         pagesProcessed += 1;
+        invited = 0;
+        // Earlier cards stay on the page when more are loaded: keep them handled
+        if (surface.more === 'pagination') handled.clear();
+        markHandled(null);
         debugLog(`Advanced to next page. Pages processed: ${pagesProcessed}.`);
       }
     } catch (err) {
       debugLog('Run error:', err);
+      publishProgress({ lastError: String(err && err.message || err) });
     } finally {
-      STATE.running = false;
-      detachObservers();
+      // A newer run may already own STATE (e.g. restarted after a mode change)
+      if (STATE.runId === myRun) {
+        STATE.running = false;
+        STATE.currentCard = null;
+        detachObservers();
+        // Ran to its end: nothing left to resume
+        if (!STATE.dryRun) discardCheckpoint(searchKey);
+      }
+      if (STATE.progress && STATE.progress.runId === myRun && STATE.progress.phase !== 'stopped') {
+        publishProgress({ phase: 'done' });
+      }
+      if (STATE.report && STATE.report.runId === myRun) {
+        STATE.report.finished = true;
+        saveDryRunReport();
+      }
+      // Scheduled and queue runs are one bounded run: fall back to the popup toggle afterwards
+      if ((STATE.scheduleRunId || STATE.queue) && STATE.runId === myRun) {
+        STATE.scheduleRunId = null;
+        STATE.queue = null;
+        registerTab().then((enabled) => { STATE.enabled = enabled; });
+      }
       debugLog('Run complete.');
     }
   })();
+  return 'started';
+}
+
+/**
+ * Start a run driven by the service worker. An ordinary run that auto-started on
+ * load (popup toggle On) yields to it; another bounded run makes this one 'busy'.
+ * Answers `waiting: true` when the run is in line for another tab's click turn.
+ * @param {{ type: string, scheduleRunId?: string, queueRunId?: string, caps?: { maxInvites: number, maxPages: number } }} msg
+ * @returns {Promise<{ ok: boolean, waiting?: boolean, reason?: string }>}
+ */
+async function startBoundedRun(msg) {
+  if (!isOnConnectSurface()) return { ok: false, reason: 'unsupported-page' };
+  if (await getActiveLockout()) return { ok: false, reason: 'locked-out' };
+  if (STATE.running && (STATE.scheduleRunId || STATE.queue)) return { ok: false, reason: 'busy' };
+  if (STATE.running) hardStop();
+
+  STATE.enabled = true;
+  if (msg.type === 'LINKEDIN_AUTOCONNECT_QUEUE_RUN') {
+    const caps = msg.caps || {};
+    STATE.queue = {
+      queueRunId: msg.queueRunId,
+      maxInvites: caps.maxInvites > 0 ? caps.maxInvites : Infinity,
+      maxPages: caps.maxPages > 0 ? caps.maxPages : CONFIG.MAX_PAGES_PER_RUN
+    };
+  } else {
+    STATE.scheduleRunId = msg.scheduleRunId || null;
+  }
+  const started = await startIfEligible(msg.type === 'LINKEDIN_AUTOCONNECT_QUEUE_RUN' ? 'queue' : 'schedule', { resume: false });
+  // In line behind another tab's run: it starts when that one ends
+  if (started === 'waiting') return { ok: true, waiting: true };
+  if (started === 'started') return { ok: true };
+  STATE.scheduleRunId = null;
+  STATE.queue = null;
+  return { ok: false, reason: 'not-started' };
+}
+
+/**
+ * Switch this tab on or off (popup toggle, in-page panel). Off stops the run and drops
+ * its checkpoint; on starts a run if the page supports one.
+ * @param {boolean} enabled
+ * @param {string} [trigger] what switched it on (for logs)
+ */
+function switchThisTab(enabled, trigger = 'message') {
+  STATE.enabled = enabled;
+  if (!enabled) {
+    STATE.waitingFor = null;
+    hardStop();
+    discardCheckpoint();
+  } else if (isOnConnectSurface()) {
+    startIfEligible(trigger);
+  }
 }
 
 /** Storage & messaging wiring **/
 
-chrome.storage.local.get({ enabled: false }, ({ enabled }) => {
-  STATE.enabled = !!enabled;
-  if (STATE.enabled && isOnLinkedInSearch()) startIfEligible('onLoad');
+chrome.storage.sync.get({ settings: null }, ({ settings }) => {
+  applySettings(settings);
+
+  chrome.storage.local.get({ dryRun: false, layoutProfiles: [], accessLists: null }, async ({ dryRun, layoutProfiles, accessLists }) => {
+    STATE.dryRun = !!dryRun;
+    applyLayoutProfiles(layoutProfiles);
+    applyAccessLists(accessLists);
+    // Switched on per tab; a reload keeps the tab's switch
+    STATE.enabled = await registerTab();
+    if (isOnSentInvitations()) {
+      trackWhenListReady();
+      return;
+    }
+    if (isOnConnectionsList()) {
+      sleep(2000).then(detectAcceptedOnConnectionsList).catch(() => {});
+      return;
+    }
+    if (!isOnConnectSurface()) return;
+    if (isOnLinkedInSearch()) sleep(2000).then(detectAcceptedOnSearchPage).catch(() => {});
+
+    // A scheduled or queue run cut short by a reload carries on even with the toggle Off
+    const checkpoint = await loadCheckpoint();
+    if (checkpoint && (checkpoint.queue || checkpoint.scheduleRunId)) {
+      STATE.queue = checkpoint.queue
+        ? { ...checkpoint.queue, maxInvites: checkpoint.queue.maxInvites || Infinity }
+        : null;
+      STATE.scheduleRunId = checkpoint.scheduleRunId;
+      STATE.enabled = true;
+    }
+    if (STATE.enabled) startIfEligible(checkpoint ? 'resume' : 'onLoad');
+  });
 });
 
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area !== 'local' || !changes.enabled) return;
-  STATE.enabled = !!changes.enabled.newValue;
-  if (!STATE.enabled) {
-    hardStop();
-  } else if (isOnLinkedInSearch()) {
-    startIfEligible('storageChange');
+  if (area === 'sync' && changes.settings) {
+    applySettings(changes.settings.newValue);
+    debugLog('Settings reloaded.');
+    return;
+  }
+  if (area === 'local' && changes.layoutProfiles) {
+    // An accepted suggestion is used from the next scan on
+    applyLayoutProfiles(changes.layoutProfiles.newValue);
+    debugLog('Layout profiles reloaded.');
+  }
+  if (area === 'local' && changes.accessLists) {
+    // Checked card by card, so an edit applies to the next card
+    applyAccessLists(changes.accessLists.newValue);
+    debugLog('Blocklist/allowlist reloaded.');
+  }
+  if (area === 'local' && changes.lockout) {
+    // A warning in another tab stops this one too
+    const lockout = changes.lockout.newValue;
+    if (lockout && lockout.until > Date.now() && STATE.running) {
+      debugLog(`Lockout started (${lockout.kind}) -> hardStop()`);
+      hardStop();
+    }
+  }
+  if (area === 'local' && changes.dryRun && !!changes.dryRun.newValue !== STATE.dryRun) {
+    // Switching between dry and real runs restarts the current run in the new mode
+    STATE.dryRun = !!changes.dryRun.newValue;
+    if (STATE.running) {
+      hardStop();
+      startIfEligible('modeChange');
+    }
   }
 });
 
-chrome.runtime.onMessage.addListener((msg) => {
-  if (!msg || msg.type !== 'LINKEDIN_AUTOCONNECT_TOGGLE') return;
-  STATE.enabled = !!msg.enabled;
-  if (!STATE.enabled) {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Promote a dry-run preview into a real run from where the preview started
+  if (msg && msg.type === 'LINKEDIN_AUTOCONNECT_PROMOTE') {
     hardStop();
-  } else if (isOnLinkedInSearch()) {
-    startIfEligible('message');
+    clearPreviewMarks();
+    STATE.dryRun = false;
+    STATE.enabled = true;
+    setOwnTabEnabled(true);
+    sendResponse({ ok: true });
+    // The promoted run starts from the preview's first page, not an old checkpoint
+    discardCheckpoint(searchKeyOf(msg.startUrl || location.href));
+    if (msg.startUrl && msg.startUrl !== location.href) location.href = msg.startUrl;
+    else startIfEligible('promote', { resume: false });
+    return;
+  }
+
+  // Withdraw stale invitations (popup, on the Sent invitations page)
+  if (msg && msg.type === 'LINKEDIN_AUTOCONNECT_WITHDRAW') {
+    if (msg.stop) {
+      if (STATE.mode === 'withdraw') hardStop();
+      sendResponse({ ok: true });
+    } else {
+      startWithdrawRun().then(sendResponse);
+      return true; // async response
+    }
+    return;
+  }
+
+  // Invite from this profile page: one row of the target list (service worker)
+  if (msg && msg.type === 'LINKEDIN_AUTOCONNECT_PROFILE_INVITE') {
+    inviteFromProfilePage().then(sendResponse);
+    return true; // async response
+  }
+
+  // One bounded run requested by the service worker (schedule or saved-search queue)
+  if (msg && (msg.type === 'LINKEDIN_AUTOCONNECT_SCHEDULED_RUN' || msg.type === 'LINKEDIN_AUTOCONNECT_QUEUE_RUN')) {
+    startBoundedRun(msg).then(sendResponse, () => sendResponse({ ok: false, reason: 'error' }));
+    return true; // async response
+  }
+
+  // Pause or resume the run (popup, keyboard shortcut); without `paused` it toggles
+  if (msg && msg.type === 'LINKEDIN_AUTOCONNECT_PAUSE') {
+    const pause = typeof msg.paused === 'boolean' ? msg.paused : !STATE.paused;
+    if (pause) pauseRun('user');
+    else resumePausedRun();
+    sendResponse({ ok: STATE.running, paused: !!STATE.paused });
+    return;
+  }
+
+  // The click turn came free while this tab was waiting for it
+  if (msg && msg.type === 'LINKEDIN_AUTOCONNECT_TURN') {
+    // A paused run that gave its turn up asks for it again (see whilePaused)
+    if (STATE.running && STATE.paused && STATE.paused.reason === 'turn') {
+      sendResponse({ ok: true });
+      resumePausedRun('turn');
+      return;
+    }
+    const waiting = STATE.waitingFor;
+    STATE.waitingFor = null;
+    const ok = !!waiting && STATE.enabled && !STATE.running && isOnConnectSurface();
+    sendResponse({ ok });
+    if (ok) startIfEligible(waiting.trigger, { resume: waiting.resume });
+    return;
   }
+
+  // This tab switched on or off from the popup (or its queue stopped)
+  if (!msg || msg.type !== 'LINKEDIN_AUTOCONNECT_TOGGLE') return;
+  switchThisTab(!!msg.enabled);
 });
@@ -0,0 +1,108 @@
+/**
+ * detect.js — finding the Connect buttons on a results page.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Query all visible, clickable "Connect" buttons for the current result page.
+ * Strategy (in order):
+ * 0) On search results, pick the layout profile that matches the page (see layout.js);
+ *    search its scope container first, plus the optional extra container from settings.
+ * 1) Collect the profile's candidate buttons (every known profile's when none matched);
+ *    on other surfaces, the buttons inside that surface's cards (see surfaces.js).
+ * 2) Keep candidates whose text/aria/title suggests "connect" (keywords for the page's language).
+ * 3) If nothing yet, brute-scan all <button> by text, then aria-label.
+ * 4) Filter by visibility and exclude Pending/Message/Follow.
+ * 5) De-duplicate by card (one button per result card).
+ * 6) Cards without a Connect button whose main button is Follow/Message add their "More"
+ *    button instead (see overflow.js); all are returned in page order.
+ * When no profile matched but buttons were found, a profile is suggested from their DOM path.
+ * @returns {HTMLButtonElement[]}
+ */
+function queryConnectButtons() {
+  const surface = currentSurface();
+  const usesLayouts = !surface || surface.usesLayouts;
+  const layout = usesLayouts ? detectLayout() : null;
+  const connectKw = kw('CONNECT');
+
+  // 0) Scope containers (obfuscated layouts, or the user's extra container)
+  const byObContainer = [];
+  try {
+    const scopes = [layout && layout.scope, CONFIG.SELECTORS.OB_CONTAINER].filter(Boolean);
+    const containers = scopes.flatMap(sel => Array.from(document.querySelectorAll(sel)));
+    containers.forEach(container => {
+      const btns = Array.from(container.querySelectorAll('button.artdeco-button'));
+      btns.forEach(b => {
+        const span = b.querySelector('.artdeco-button__text');
+        const txt = normText((span?.textContent || b.textContent || ''));
+        if (includesAny(txt, connectKw)) byObContainer.push(b);
+      });
+    });
+  } catch {}
+
+  // 1) The layout's candidate buttons (e.g. those with the text span, using :has when available)
+  const spanButtons = Array.from(
+    document.querySelectorAll(usesLayouts ? (layout ? layout.button : layoutSelector('button')) : surface.button())
+  );
+
+  // 2) Candidates by text/aria/title
+  const byTextOrAria = spanButtons.filter((b) => {
+    const t = normText(b.querySelector('.artdeco-button__text')?.textContent || b.textContent || '');
+    const aria = normText(b.getAttribute('aria-label') || '');
+    const title = normText(b.getAttribute('title') || '');
+    return includesAny(t, connectKw) || includesAny(aria, connectKw) || includesAny(title, connectKw);
+  });
+
+  // 3) Last resort: brute-scan all buttons if nothing was found (only inside cards off search)
+  let byBrute = [];
+  if (byTextOrAria.length === 0 && byObContainer.length === 0) {
+    const all = Array.from(document.querySelectorAll(usesLayouts ? 'button' : surface.button()));
+    byBrute = all.filter((b) => matchesKeyword(b, connectKw));
+  }
+
+  // 4) Combine and dedupe (by element identity)
+  const combined = [...byObContainer, ...byTextOrAria, ...byBrute];
+  const dedup = Array.from(new Set(combined));
+
+  // 5) Visibility/state filter; exclude non-connect states
+  const [pendingKw, messageKw, followKw] = [kw('PENDING'), kw('MESSAGE'), kw('FOLLOW')];
+  const filtered = dedup.filter((b) => {
+    if (!(b instanceof HTMLButtonElement)) return false;
+    if (b.disabled || b.getAttribute('aria-disabled') === 'true') return false;
+    if (!isVisible(b)) return false;
+
+    const full = normText(b.querySelector('.artdeco-button__text')?.textContent || b.textContent || '');
+    if (includesAny(full, pendingKw)) return false;
+    if (includesAny(full, messageKw)) return false;
+    if (includesAny(full, followKw))  return false;
+
+    return true;
+  });
+
+  // 6) One button per card (stable dedupe by result card element)
+  const unique = [];
+  const seenCards = new Set();
+
+  for (const b of filtered) {
+    const card = getResultCard(b) || b; // fallback: the button itself
+
+    if (!seenCards.has(card)) {
+      seenCards.add(card);
+      unique.push(b);
+    }
+  }
+
+  // 7) Connect behind the "More" menu on the remaining cards
+  const overflow = queryOverflowConnectTriggers(seenCards);
+
+  // Diagnostics
+  debugLog(
+    `detector: surface=${surface ? surface.id : 'none'}, layout=${layoutProfileName(layout)}, obClass=${byObContainer.length}, spanButtons=${spanButtons.length}, byTextOrAria=${byTextOrAria.length}, brute=${byBrute.length}, overflow=${overflow.length}, final=${unique.length + overflow.length}`
+  );
+
+  if (usesLayouts && !layout && unique.length > 0) suggestLayoutFrom(unique[0]);
+
+  return [...unique, ...overflow].sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+}
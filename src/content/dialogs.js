@@ -0,0 +1,310 @@
+/**
+ * dialogs.js — the Connect click and its dialogs (confirm, email gate, "Add a note").
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Outcome of one Connect attempt, as stored in the invitation history.
+ * 'blocked' means LinkedIn answered with a warning (see findWarningSignal()),
+ * 'failed-toast' that an error toast followed the send, and 'unverified' that nothing
+ * on the page confirmed the send within DELAYS.SEND_VERIFY_TIMEOUT.
+ * 'skipped-no-menu-connect' is a card whose "More" menu had no Connect (see overflow.js),
+ * 'skipped-no-connect-button' a profile page without Connect or "More" (see profile.js).
+ * @typedef {'sent'|'skipped-email-gate'|'skipped-no-send-button'|'skipped-no-menu-connect'|'skipped-no-connect-button'|'failed-toast'|'error'|'blocked'|'unverified'} InviteOutcome
+ */
+
+/**
+ * What an outcome means for the run. Only 'sent' (confirmed on the page) counts toward
+ * MAX_INVITES_PER_PAGE, the run's caps and the budget.
+ * @typedef {'sent'|'skipped'|'failed'|'unknown'} InviteStatus
+ */
+
+/** @type {Record<InviteOutcome|'skipped-filter'|'skipped-blocklist', InviteStatus>} */
+const OUTCOME_STATUS = {
+  'sent': 'sent',
+  'skipped-email-gate': 'skipped',
+  'skipped-no-send-button': 'skipped',
+  'skipped-no-menu-connect': 'skipped',
+  'skipped-no-connect-button': 'skipped',
+  'skipped-filter': 'skipped',
+  'skipped-blocklist': 'skipped',
+  'failed-toast': 'failed',
+  'error': 'failed',
+  'blocked': 'failed',
+  'unverified': 'unknown'
+};
+
+/**
+ * @param {InviteOutcome|'skipped-filter'|'skipped-blocklist'} outcome
+ * @returns {InviteStatus}
+ */
+function inviteStatus(outcome) {
+  return OUTCOME_STATUS[outcome] || 'unknown';
+}
+
+/**
+ * A rendered invitation note and the template it came from.
+ * @typedef {{ templateId: string, templateName: string, text: string }} InviteNote
+ */
+
+/**
+ * Attempt to click "Connect" then handle confirmation modal if present.
+ * Skips if email is required or dialog isn't a simple confirm.
+ * With a `note`, prefers "Add a note" and falls back to sending without one.
+ * In dry-run mode nothing is clicked: the card is outlined and 'previewed' returned.
+ * A LinkedIn warning in the dialog returns 'blocked' with the signal, untouched.
+ * Every send is verified on the page afterwards (see verifyInviteSent()).
+ * For a card's "More" button (see overflow.js) Connect is picked from its menu first.
+ * @param {HTMLButtonElement} button
+ * @param {InviteNote|null} [note]
+ * @returns {Promise<{ outcome: InviteOutcome|'previewed', status: InviteStatus, note: InviteNote|null, warning?: WarningSignal, toast?: string }>} `note` is set only if it was sent (or would be)
+ */
+async function clickConnectAndConfirm(button, note = null) {
+  if (STATE.dryRun) {
+    // The menu isn't opened in a dry run, so whether it offers Connect stays open
+    const via = isOverflowTrigger(button) ? ' (via the More menu, if offered there)' : '';
+    markPreviewCard(getResultCard(button) || button, 'target', note ? `Would invite${via} with note: ${note.text}` : `Would invite${via}`);
+    return { outcome: 'previewed', status: 'sent', note };
+  }
+
+  const result = await clickConnect(button, note);
+  if (isOverflowTrigger(button)) await closeOverflowMenu(button);
+  if (result.outcome !== 'sent') return { ...result, status: inviteStatus(result.outcome) };
+  const verified = await verifyInviteSent(button, result.toastsBefore, result.menuItem);
+  return {
+    ...verified,
+    status: inviteStatus(verified.outcome),
+    note: verified.outcome === 'sent' || verified.outcome === 'unverified' ? result.note : null
+  };
+}
+
+/**
+ * The clicks of clickConnectAndConfirm(). 'sent' here only means Send was clicked
+ * (or no dialog came up); it still has to be verified.
+ * @param {HTMLButtonElement} button
+ * @param {InviteNote|null} note
+ * @returns {Promise<{ outcome: InviteOutcome, note: InviteNote|null, warning?: WarningSignal, toastsBefore?: Set<Element>, menuItem?: HTMLElement }>}
+ */
+async function clickConnect(button, note) {
+  try {
+    // Error toasts already on the page belong to earlier actions
+    const toastsBefore = new Set(document.querySelectorAll(ERROR_TOAST_SELECTOR));
+    let target = button;
+    let menuItem;
+    if (isOverflowTrigger(button)) {
+      menuItem = await openOverflowConnect(button);
+      if (!menuItem) return { outcome: 'skipped-no-menu-connect', note: null };
+      target = menuItem;
+    }
+    target.click();
+
+    // Wait for either a dialog to appear OR button to flip to 'Pending'
+    const dialogAppeared = await waitForDialogOrPending(target);
+
+    if (!dialogAppeared) {
+      // No dialog; either sent immediately or ignored (verified by the caller)
+      return { outcome: 'sent', note: null, toastsBefore, menuItem };
+    }
+
+    let dialog = getTopmostDialog();
+    if (!dialog) {
+      // If dialog was ephemeral, proceed.
+      return { outcome: 'sent', note: null, toastsBefore, menuItem };
+    }
+
+    // Weekly limit / security check: leave the dialog for the user and report it
+    const warning = findWarningSignal();
+    if (warning) return { outcome: 'blocked', note: null, warning };
+
+    // Email gate / verification check
+    const dialogText = normText(dialog.innerText || '');
+    const emailInput = dialog.querySelector('input[type="email"], input[name*="email" i]');
+    if (emailInput || includesAny(dialogText, kw('EMAIL_GATE'))) {
+      // Close/Cancel and skip
+      clickBest(dialog, [
+        'button[aria-label*="close" i]',
+        'button[aria-label*="dismiss" i]',
+        'button'
+      ], kw('CANCEL'));
+      await sleep(300);
+      return { outcome: 'skipped-email-gate', note: null };
+    }
+
+    // Personalized note: "Add a note" -> fill the textarea -> Send
+    if (note) {
+      if (await sendWithNote(dialog, note.text)) return { outcome: 'sent', note, toastsBefore, menuItem };
+      debugLog('Could not add a note; sending without one.');
+      dialog = getTopmostDialog() || dialog;
+    }
+
+    // Prefer buttons that clearly send without a note
+    const sent = clickBest(dialog, [
+      'button'
+    ], [...kw('SEND_WITHOUT_NOTE'), ...kw('SEND')]);
+
+    if (sent) {
+      await sleep(400);
+      await waitDialogClose(dialog, 4000);
+      return { outcome: 'sent', note: null, toastsBefore, menuItem };
+    }
+
+    // If we didn't find a "Send" button, cancel gracefully
+    clickBest(dialog, [
+      'button[aria-label*="close" i]',
+      'button'
+    ], kw('CANCEL'));
+    await sleep(300);
+    return { outcome: 'skipped-no-send-button', note: null };
+  } catch (err) {
+    debugLog('clickConnectAndConfirm error:', err);
+    return { outcome: 'error', note: null };
+  }
+}
+
+/**
+ * After a send: wait for the card's Connect button to turn into "Pending" or disappear
+ * (sent), a new error toast (failed) or a LinkedIn warning (blocked). Nothing within
+ * DELAYS.SEND_VERIFY_TIMEOUT leaves it 'unverified'. Sends from a "More" menu are
+ * confirmed by a Pending button or menu item instead (see overflowInviteShown()).
+ * @param {HTMLButtonElement} button
+ * @param {Set<Element>} [toastsBefore] error toasts shown before the click (ignored)
+ * @param {HTMLElement} [menuItem] the "More" menu's Connect item that was clicked
+ * @returns {Promise<{ outcome: InviteOutcome, warning?: WarningSignal, toast?: string }>}
+ */
+async function verifyInviteSent(button, toastsBefore = new Set(), menuItem) {
+  const shown = menuItem
+    ? () => overflowInviteShown(button, menuItem)
+    : () => !document.contains(button) || !isVisible(button) || matchesKeyword(button, kw('PENDING'));
+  const start = Date.now();
+  while (Date.now() - start < CONFIG.DELAYS.SEND_VERIFY_TIMEOUT) {
+    const warning = findWarningSignal();
+    if (warning) return { outcome: 'blocked', warning };
+    const toast = findErrorToast(toastsBefore);
+    if (toast) return { outcome: 'failed-toast', toast };
+    if (shown()) return { outcome: 'sent' };
+    await sleep(200);
+    if (!STATE.running) break;
+  }
+  debugLog('Send not confirmed on the page:', normText(button.innerText || ''));
+  return { outcome: 'unverified' };
+}
+
+/**
+ * In the invite dialog: click "Add a note", type `text` and click Send.
+ * @param {Element} dialog
+ * @param {string} text
+ * @returns {Promise<boolean>} true if the note was sent
+ */
+async function sendWithNote(dialog, text) {
+  const addNote = findButtonByText(dialog, kw('ADD_NOTE'));
+  if (!addNote) return false;
+  addNote.click();
+
+  // The note textarea replaces the dialog body (or opens a new dialog)
+  let textarea = null;
+  const start = Date.now();
+  while (!textarea && Date.now() - start < CONFIG.DELAYS.DIALOG_APPEAR_TIMEOUT) {
+    await sleep(150);
+    if (!STATE.enabled) return false;
+    const dlg = getTopmostDialog();
+    textarea = dlg && dlg.querySelector('textarea[name="message"], textarea#custom-message, textarea');
+  }
+  if (!textarea) return false;
+
+  // Set through the native setter so the page's framework sees the change
+  textarea.focus();
+  const setValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+  setValue.call(textarea, text);
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  textarea.dispatchEvent(new Event('change', { bubbles: true }));
+  await sleep(randomBetween(300, 600));
+
+  const noteDialog = textarea.closest('[role="dialog"], .artdeco-modal') || getTopmostDialog();
+  const [sendKw, withoutNoteKw] = [kw('SEND'), kw('SEND_WITHOUT_NOTE')];
+  const send = Array.from(noteDialog.querySelectorAll('button')).find(b => {
+    return isVisible(b) && !b.disabled && b.getAttribute('aria-disabled') !== 'true'
+      && matchesKeyword(b, sendKw) && !matchesKeyword(b, withoutNoteKw);
+  });
+  if (!send) return false;
+  send.click();
+  await sleep(400);
+  await waitDialogClose(noteDialog, 4000);
+  return true;
+}
+
+/**
+ * First visible, enabled button whose text or aria-label contains one of `texts`.
+ * Unlike clickBest(), there is no fallback to an arbitrary button.
+ * @param {Element} root
+ * @param {string[]} texts lowercased
+ * @returns {HTMLButtonElement|null}
+ */
+function findButtonByText(root, texts) {
+  const buttons = Array.from(root.querySelectorAll('button'));
+  return buttons.find(b => {
+    if (!isVisible(b) || b.disabled || b.getAttribute('aria-disabled') === 'true') return false;
+    const t = normText(b.innerText || b.textContent || '');
+    const aria = normText(b.getAttribute('aria-label') || '');
+    return includesAny(t, texts) || includesAny(aria, texts);
+  }) || null;
+}
+
+/** Find a dialog element likely associated to the Connect flow. */
+function getTopmostDialog() {
+  const dialogs = Array.from(document.querySelectorAll('[role="dialog"], .artdeco-modal, .artdeco-modal--layer-default'));
+  return dialogs.length ? dialogs[dialogs.length - 1] : null;
+}
+
+/**
+ * Click the "best" button within a container based on preferred text tokens.
+ * @param {Element} root
+ * @param {string[]} selectors in priority order
+ * @param {string[]} preferredTexts lowercased, matched via includes() on the text, then aria-label
+ * @returns {boolean} clicked
+ */
+function clickBest(root, selectors, preferredTexts) {
+  const buttons = [];
+  for (const sel of selectors) {
+    root.querySelectorAll(sel).forEach(b => {
+      if (b instanceof HTMLButtonElement && isVisible(b) && !b.disabled && b.getAttribute('aria-disabled') !== 'true') {
+        buttons.push(b);
+      }
+    });
+  }
+  if (buttons.length === 0) return false;
+  const byPref = buttons.find(b => matchesKeyword(b, preferredTexts));
+  const target = byPref || buttons[0];
+  target.click();
+  return true;
+}
+
+/**
+ * Wait until a dialog appears or the button (or menu item) changes to "Pending".
+ * @param {HTMLElement} button
+ * @returns {Promise<boolean>} true if dialog appeared, false otherwise
+ */
+async function waitForDialogOrPending(button) {
+  const start = Date.now();
+  while (Date.now() - start < CONFIG.DELAYS.DIALOG_APPEAR_TIMEOUT) {
+    const dlg = getTopmostDialog();
+    if (dlg && isVisible(dlg)) return true;
+
+    // Or the button self-changed to "Pending"
+    if (matchesKeyword(button, kw('PENDING'))) return false;
+
+    await sleep(150);
+    if (!STATE.enabled) return false;
+  }
+  return !!getTopmostDialog();
+}
+
+/** Wait for a specific dialog to close or timeout. */
+async function waitDialogClose(dialog, timeoutMs = 4000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (!document.contains(dialog) || !isVisible(dialog)) return;
+    await sleep(150);
+  }
+}
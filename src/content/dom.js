@@ -0,0 +1,188 @@
+/**
+ * dom.js — DOM and timing helpers: cancellable sleep, visibility, observers,
+ * page checks and waiting for results.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Returns a normalized string for case-insensitive text matching.
+ * @param {string} s
+ */
+function normText(s) {
+  return (s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/** @param {number} min @param {number} max */
+function randomBetween(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+/**
+ * Promise-based sleep that can be cancelled. When hardStop() runs,
+ * we resolve all pending sleeps so the loop can exit promptly.
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const id = window.setTimeout(() => {
+      STATE.timers.delete(id);
+      STATE.sleepResolvers.delete(resolve);
+      resolve();
+    }, ms);
+    STATE.timers.add(id);
+    STATE.sleepResolvers.add(resolve);
+  });
+}
+
+/** Clear all pending timers. */
+function clearAllTimers() {
+  for (const id of STATE.timers) clearTimeout(id);
+  STATE.timers.clear();
+}
+
+/**
+ * Visibility heuristic for elements (exclude hidden/zero-size).
+ * @param {Element} el
+ */
+function isVisible(el) {
+  if (!el || !(el instanceof HTMLElement)) return false;
+  const rect = el.getBoundingClientRect();
+  const style = window.getComputedStyle(el);
+  if (style.visibility === 'hidden' || style.display === 'none' || style.opacity === '0') return false;
+  if (rect.width === 0 || rect.height === 0) return false;
+  // light heuristic
+  return (el.offsetWidth + el.offsetHeight) > 0 || el.getClientRects().length > 0;
+}
+
+/** Is this tab currently on LinkedIn search result pages? */
+function isOnLinkedInSearch() {
+  return /^https:\/\/www\.linkedin\.com\/search\/results/i.test(location.href);
+}
+
+/**
+ * Find the main results container to watch for updates.
+ * Uses the matched layout profile's container, then any known one, then <main>.
+ */
+function getResultsContainer() {
+  const layout = matchLayout();
+  const candidates = [layout && layout.results, layoutSelector('results'), 'main'].filter(Boolean);
+  for (const sel of candidates) {
+    const el = document.querySelector(sel);
+    if (el) return el;
+  }
+  return document.body;
+}
+
+/**
+ * Wait until the results container mutates meaningfully (children list changes).
+ * Resolves early if timeout elapses or when hardStop() is called.
+ */
+function waitForResultsChange() {
+  return new Promise(async (resolve) => {
+    const container = getResultsContainer();
+
+    const finish = () => {
+      try { observer.disconnect(); } catch {}
+      STATE.observers.delete(observer);
+      STATE.pendingResolves.delete(resolve);
+      clearTimeout(timeoutId);
+      resolve();
+    };
+
+    const timeoutId = window.setTimeout(finish, CONFIG.DELAYS.RESULTS_CHANGE_TIMEOUT);
+    STATE.timers.add(timeoutId);
+
+    const observer = new MutationObserver((mutList) => {
+      for (const m of mutList) {
+        if (m.type === 'childList' && (m.addedNodes.length > 0 || m.removedNodes.length > 0)) {
+          finish();
+          return;
+        }
+      }
+    });
+    observer.observe(container, { childList: true, subtree: true });
+    STATE.observers.add(observer);
+    STATE.pendingResolves.add(resolve);
+  });
+}
+
+/** Disconnect all observers. */
+function detachObservers() {
+  for (const obs of STATE.observers) {
+    try { obs.disconnect(); } catch {}
+  }
+  STATE.observers.clear();
+
+  if (STATE.urlCheckId != null) {
+    clearInterval(STATE.urlCheckId);
+    STATE.urlCheckId = null;
+  }
+}
+
+/** Attach an interval to stop if we navigate away from search results. */
+function attachObservers() {
+  if (STATE.urlCheckId != null) return;
+  let lastHref = location.href;
+  STATE.urlCheckId = window.setInterval(() => {
+    if (location.href !== lastHref) {
+      lastHref = location.href;
+      if (STATE.mode === 'withdraw') {
+        if (!isOnSentInvitations()) {
+          debugLog('URL changed; leaving sent invitations -> hardStop()');
+          hardStop();
+        }
+      } else if (STATE.queue) {
+        // The queue steers this tab between searches: let the loop end on its own
+        // so the run reports 'done' and the queue moves on, instead of 'stopped'.
+        debugLog('URL changed during a queue run; not stopping.');
+      } else if (!isOnConnectSurface()) {
+        debugLog('URL changed; leaving a supported page -> hardStop()');
+        hardStop();
+      }
+    }
+    // Withdraw runs are started from the popup and don't depend on the auto-connect toggle
+    if (!STATE.enabled && STATE.running && STATE.mode === 'connect') {
+      debugLog('Enabled turned off -> hardStop()');
+      hardStop();
+    }
+  }, 500);
+}
+
+/**
+ * Small auto-scroll nudge to trigger lazy-loaded results.
+ */
+async function autoScrollOnce() {
+  const startHeight = document.body.scrollHeight;
+  window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+  await sleep(600);
+  if (document.body.scrollHeight > startHeight) await sleep(300);
+}
+
+/**
+ * Waits briefly until either:
+ * - a results list exists, or
+ * - at least one Connect button is discoverable, or
+ * - pagination/next controls appear.
+ */
+async function waitForInitialResultsAndButtons(timeoutMs = 8000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs && STATE.enabled) {
+    const hasResultsContainer = !!document.querySelector(`${layoutSelector('results')}, main`);
+    const hasCards = !!document.querySelector(surfaceCardSelector());
+    const hasButtons = queryConnectButtons().length > 0;
+    const hasPagination = !!document.querySelector(
+      `${layoutSelector('pagination')}, button[aria-label^="Next" i], a[aria-label^="Next" i]`
+    );
+    if (hasResultsContainer || hasCards || hasButtons || hasPagination) return;
+    await sleep(250);
+  }
+}
+
+/**
+ * Check if any of the tokens is included in the haystack (both lowercased).
+ */
+function includesAny(haystack, tokens) {
+  return tokens.some(t => haystack.includes((t || '').toLowerCase()));
+}
@@ -0,0 +1,242 @@
+/**
+ * keywords.js — per-language keyword packs for button and dialog texts, picked from
+ * the page's <html lang>.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Lowercased tokens per keyword; matched with includes() against button text and,
+ * as a fallback, aria-label. CONNECT/PENDING/MESSAGE/FOLLOW/WITHDRAW are extended by
+ * the user's CONFIG.KW lists; every language also falls back to English.
+ * WARN_* are matched against dialog and toast text (see warnings.js), so they are whole
+ * phrases rather than single words. SENT_*, AGO and UNIT_* read a sent invite's age (see
+ * withdraw.js): AGO goes before or after "<number> <unit>", and both are whole words
+ * (every inflection of the unit is listed), so "fa" or "an" never match inside a word.
+ * @typedef {'CONNECT'|'PENDING'|'MESSAGE'|'FOLLOW'|'WITHDRAW'|'ADD_NOTE'|'SEND_WITHOUT_NOTE'|'SEND'|'EMAIL_GATE'|'CANCEL'|'LOAD_MORE'|'NEXT'|'MORE_ACTIONS'
+ *   |'WARN_SECURITY_CHECK'|'WARN_WEEKLY_LIMIT'|'WARN_SEND_FAILED'|'SENT_TODAY'|'SENT_YESTERDAY'|'AGO'
+ *   |'UNIT_MINUTE'|'UNIT_HOUR'|'UNIT_DAY'|'UNIT_WEEK'|'UNIT_MONTH'|'UNIT_YEAR'} KeywordKey
+ * @type {Record<string, Record<KeywordKey, string[]>>}
+ */
+const KEYWORD_PACKS = {
+  en: {
+    CONNECT: ['connect', 'invite'],
+    PENDING: ['pending'],
+    MESSAGE: ['message'],
+    FOLLOW: ['follow'],
+    WITHDRAW: ['withdraw'],
+    ADD_NOTE: ['add a note'],
+    SEND_WITHOUT_NOTE: ['send without a note'],
+    SEND: ['send now', 'send invite', 'send'],
+    EMAIL_GATE: ['email address', 'enter email'],
+    CANCEL: ['cancel', 'dismiss', 'close'],
+    LOAD_MORE: ['show more results', 'see more results', 'show more'],
+    NEXT: ['next'],
+    MORE_ACTIONS: ['more actions', 'more options'],
+    WARN_SECURITY_CHECK: ['security check', 'security verification', 'captcha', 'verify you are a human', 'verify that you are a human', "verify you're a human", 'verify you’re a human', 'verify you are a real person', 'unusual activity'],
+    WARN_WEEKLY_LIMIT: ['weekly invitation limit', 'reached the weekly limit', 'reached the invitation limit', 'too many pending invitations'],
+    WARN_SEND_FAILED: ["invitation couldn't be sent", 'invitation couldn’t be sent', 'invitation could not be sent', "invitation wasn't sent", 'invitation wasn’t sent', 'invitation was not sent', "couldn't send invitation", "couldn't send your invitation", 'couldn’t send invitation', 'couldn’t send your invitation', 'unable to send the invitation', 'unable to send your invitation', 'unable to send invitation'],
+    SENT_TODAY: ['sent today', 'sent just now'],
+    SENT_YESTERDAY: ['sent yesterday'],
+    AGO: ['ago'],
+    UNIT_MINUTE: ['minute', 'minutes'],
+    UNIT_HOUR: ['hour', 'hours'],
+    UNIT_DAY: ['day', 'days'],
+    UNIT_WEEK: ['week', 'weeks'],
+    UNIT_MONTH: ['month', 'months'],
+    UNIT_YEAR: ['year', 'years']
+  },
+  de: {
+    CONNECT: ['vernetzen', 'einladen'],
+    PENDING: ['ausstehend'],
+    MESSAGE: ['nachricht'],
+    FOLLOW: ['folgen'],
+    WITHDRAW: ['zurückziehen'],
+    ADD_NOTE: ['nachricht hinzufügen', 'notiz hinzufügen'],
+    SEND_WITHOUT_NOTE: ['ohne nachricht senden', 'ohne notiz senden'],
+    SEND: ['jetzt senden', 'senden'],
+    EMAIL_GATE: ['e-mail-adresse'],
+    CANCEL: ['abbrechen', 'verwerfen', 'schließen'],
+    LOAD_MORE: ['weitere ergebnisse anzeigen', 'mehr anzeigen'],
+    NEXT: ['weiter'],
+    MORE_ACTIONS: ['weitere aktionen', 'mehr aktionen', 'weitere optionen'],
+    WARN_SECURITY_CHECK: ['sicherheitsüberprüfung', 'sicherheitsprüfung', 'sicherheitscheck', 'dass sie ein mensch sind', 'ungewöhnliche aktivität'],
+    WARN_WEEKLY_LIMIT: ['wöchentliche einladungslimit', 'wöchentliches einladungslimit', 'wöchentliche limit', 'zu viele ausstehende einladungen'],
+    WARN_SEND_FAILED: ['einladung konnte nicht gesendet werden', 'einladung konnte nicht versendet werden', 'einladung wurde nicht gesendet', 'einladung kann nicht gesendet werden'],
+    SENT_TODAY: ['heute gesendet', 'gerade gesendet'],
+    SENT_YESTERDAY: ['gestern gesendet'],
+    AGO: ['vor'],
+    UNIT_MINUTE: ['minute', 'minuten'],
+    UNIT_HOUR: ['stunde', 'stunden'],
+    UNIT_DAY: ['tag', 'tagen'],
+    UNIT_WEEK: ['woche', 'wochen'],
+    UNIT_MONTH: ['monat', 'monaten'],
+    UNIT_YEAR: ['jahr', 'jahren']
+  },
+  fr: {
+    CONNECT: ['se connecter', 'connecter', 'inviter'],
+    PENDING: ['en attente'],
+    MESSAGE: ['message'],
+    FOLLOW: ['suivre'],
+    WITHDRAW: ['retirer'],
+    ADD_NOTE: ['ajouter une note'],
+    SEND_WITHOUT_NOTE: ['envoyer sans note'],
+    SEND: ['envoyer maintenant', 'envoyer'],
+    EMAIL_GATE: ['adresse e-mail', 'adresse email'],
+    CANCEL: ['annuler', 'ignorer', 'fermer'],
+    LOAD_MORE: ['afficher plus de résultats', 'afficher plus'],
+    NEXT: ['suivant'],
+    MORE_ACTIONS: ['plus d’actions', "plus d'actions", 'autres actions'],
+    WARN_SECURITY_CHECK: ['vérification de sécurité', 'contrôle de sécurité', 'que vous êtes un humain', 'que vous n’êtes pas un robot', "que vous n'êtes pas un robot", 'activité inhabituelle'],
+    WARN_WEEKLY_LIMIT: ['limite hebdomadaire', 'trop d’invitations en attente', "trop d'invitations en attente"],
+    WARN_SEND_FAILED: ['invitation n’a pas pu être envoyée', "invitation n'a pas pu être envoyée", 'invitation n’a pas été envoyée', "invitation n'a pas été envoyée", 'impossible d’envoyer', "impossible d'envoyer"],
+    SENT_TODAY: ['envoyée aujourd’hui', "envoyée aujourd'hui", 'envoyé aujourd’hui', "envoyé aujourd'hui"],
+    SENT_YESTERDAY: ['envoyée hier', 'envoyé hier'],
+    AGO: ['il y a'],
+    UNIT_MINUTE: ['minute', 'minutes'],
+    UNIT_HOUR: ['heure', 'heures'],
+    UNIT_DAY: ['jour', 'jours'],
+    UNIT_WEEK: ['semaine', 'semaines'],
+    UNIT_MONTH: ['mois'],
+    UNIT_YEAR: ['an', 'ans', 'année', 'années']
+  },
+  es: {
+    CONNECT: ['conectar', 'invitar'],
+    PENDING: ['pendiente'],
+    MESSAGE: ['mensaje'],
+    FOLLOW: ['seguir'],
+    WITHDRAW: ['retirar'],
+    ADD_NOTE: ['añadir una nota', 'agregar una nota'],
+    SEND_WITHOUT_NOTE: ['enviar sin nota'],
+    SEND: ['enviar ahora', 'enviar'],
+    EMAIL_GATE: ['dirección de correo electrónico', 'correo electrónico'],
+    CANCEL: ['cancelar', 'descartar', 'cerrar'],
+    LOAD_MORE: ['mostrar más resultados', 'ver más resultados', 'mostrar más'],
+    NEXT: ['siguiente'],
+    MORE_ACTIONS: ['más acciones', 'más opciones'],
+    WARN_SECURITY_CHECK: ['verificación de seguridad', 'comprobación de seguridad', 'que eres una persona', 'que no eres un robot', 'actividad inusual'],
+    WARN_WEEKLY_LIMIT: ['límite semanal', 'demasiadas invitaciones pendientes'],
+    WARN_SEND_FAILED: ['no se ha podido enviar la invitación', 'no se pudo enviar la invitación', 'la invitación no se ha enviado', 'la invitación no se envió'],
+    SENT_TODAY: ['enviada hoy', 'enviado hoy'],
+    SENT_YESTERDAY: ['enviada ayer', 'enviado ayer'],
+    AGO: ['hace'],
+    UNIT_MINUTE: ['minuto', 'minutos'],
+    UNIT_HOUR: ['hora', 'horas'],
+    UNIT_DAY: ['día', 'días', 'dia', 'dias'],
+    UNIT_WEEK: ['semana', 'semanas'],
+    UNIT_MONTH: ['mes', 'meses'],
+    UNIT_YEAR: ['año', 'años']
+  },
+  it: {
+    CONNECT: ['collegati', 'connetti', 'invita'],
+    PENDING: ['in sospeso', 'in attesa'],
+    MESSAGE: ['messaggio'],
+    FOLLOW: ['segui'],
+    WITHDRAW: ['ritira'],
+    ADD_NOTE: ['aggiungi una nota'],
+    SEND_WITHOUT_NOTE: ['invia senza nota'],
+    SEND: ['invia ora', 'invia'],
+    EMAIL_GATE: ['indirizzo email', 'indirizzo e-mail'],
+    CANCEL: ['annulla', 'ignora', 'chiudi'],
+    LOAD_MORE: ['mostra altri risultati', 'mostra altro'],
+    NEXT: ['avanti'],
+    MORE_ACTIONS: ['altre azioni', 'altre opzioni'],
+    WARN_SECURITY_CHECK: ['verifica di sicurezza', 'controllo di sicurezza', 'di essere una persona', 'di non essere un robot', 'attività insolita'],
+    WARN_WEEKLY_LIMIT: ['limite settimanale', 'troppi inviti in sospeso'],
+    WARN_SEND_FAILED: ['impossibile inviare l’invito', "impossibile inviare l'invito", 'invito non è stato inviato', 'non è stato possibile inviare'],
+    SENT_TODAY: ['inviato oggi', 'inviata oggi'],
+    SENT_YESTERDAY: ['inviato ieri', 'inviata ieri'],
+    AGO: ['fa'],
+    UNIT_MINUTE: ['minuto', 'minuti'],
+    UNIT_HOUR: ['ora', 'ore'],
+    UNIT_DAY: ['giorno', 'giorni'],
+    UNIT_WEEK: ['settimana', 'settimane'],
+    UNIT_MONTH: ['mese', 'mesi'],
+    UNIT_YEAR: ['anno', 'anni']
+  },
+  nl: {
+    CONNECT: ['connectie maken', 'uitnodigen', 'connect'],
+    PENDING: ['in behandeling', 'in afwachting'],
+    MESSAGE: ['bericht'],
+    FOLLOW: ['volgen'],
+    WITHDRAW: ['intrekken'],
+    ADD_NOTE: ['notitie toevoegen', 'bericht toevoegen'],
+    SEND_WITHOUT_NOTE: ['verzenden zonder notitie', 'zonder notitie verzenden'],
+    SEND: ['nu verzenden', 'verzenden', 'versturen'],
+    EMAIL_GATE: ['e-mailadres'],
+    CANCEL: ['annuleren', 'negeren', 'sluiten'],
+    LOAD_MORE: ['meer resultaten weergeven', 'meer weergeven'],
+    NEXT: ['volgende'],
+    MORE_ACTIONS: ['meer acties', 'meer opties'],
+    WARN_SECURITY_CHECK: ['veiligheidscontrole', 'beveiligingscontrole', 'dat u een mens bent', 'dat je een mens bent', 'ongebruikelijke activiteit'],
+    WARN_WEEKLY_LIMIT: ['wekelijkse uitnodigingslimiet', 'wekelijkse limiet', 'te veel openstaande uitnodigingen'],
+    WARN_SEND_FAILED: ['uitnodiging kon niet worden verzonden', 'uitnodiging is niet verzonden', 'kan uitnodiging niet verzenden'],
+    SENT_TODAY: ['vandaag verzonden', 'vandaag verstuurd'],
+    SENT_YESTERDAY: ['gisteren verzonden', 'gisteren verstuurd'],
+    AGO: ['geleden'],
+    UNIT_MINUTE: ['minuut', 'minuten'],
+    UNIT_HOUR: ['uur', 'uren'],
+    UNIT_DAY: ['dag', 'dagen'],
+    UNIT_WEEK: ['week', 'weken'],
+    UNIT_MONTH: ['maand', 'maanden'],
+    UNIT_YEAR: ['jaar', 'jaren']
+  },
+  pt: {
+    CONNECT: ['conectar', 'convidar'],
+    PENDING: ['pendente'],
+    MESSAGE: ['mensagem'],
+    FOLLOW: ['seguir'],
+    WITHDRAW: ['retirar'],
+    ADD_NOTE: ['adicionar nota'],
+    SEND_WITHOUT_NOTE: ['enviar sem nota'],
+    SEND: ['enviar agora', 'enviar'],
+    EMAIL_GATE: ['endereço de e-mail', 'insira o e-mail'],
+    CANCEL: ['cancelar', 'descartar', 'fechar'],
+    LOAD_MORE: ['exibir mais resultados', 'mostrar mais resultados', 'exibir mais'],
+    NEXT: ['avançar', 'próximo'],
+    MORE_ACTIONS: ['mais ações', 'mais opções'],
+    WARN_SECURITY_CHECK: ['verificação de segurança', 'que você é uma pessoa', 'que você não é um robô', 'atividade incomum'],
+    WARN_WEEKLY_LIMIT: ['limite semanal', 'muitos convites pendentes'],
+    WARN_SEND_FAILED: ['não foi possível enviar o convite', 'o convite não foi enviado', 'convite não pôde ser enviado'],
+    SENT_TODAY: ['enviado hoje', 'enviada hoje'],
+    SENT_YESTERDAY: ['enviado ontem', 'enviada ontem'],
+    AGO: ['há', 'ha'],
+    UNIT_MINUTE: ['minuto', 'minutos'],
+    UNIT_HOUR: ['hora', 'horas'],
+    UNIT_DAY: ['dia', 'dias'],
+    UNIT_WEEK: ['semana', 'semanas'],
+    UNIT_MONTH: ['mês', 'meses', 'mes'],
+    UNIT_YEAR: ['ano', 'anos']
+  }
+};
+
+/** Language of the LinkedIn UI: "de" for <html lang="de-DE">, else the browser's. */
+function pageLanguage() {
+  const lang = document.documentElement.lang || navigator.language || 'en';
+  return lang.toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Tokens for `key` on this page: the user's keywords (for the keys settings cover),
+ * then the page language's pack, then English.
+ * @param {KeywordKey} key
+ * @returns {string[]}
+ */
+function kw(key) {
+  const pack = KEYWORD_PACKS[pageLanguage()] || {};
+  return Array.from(new Set([...(CONFIG.KW[key] || []), ...(pack[key] || []), ...KEYWORD_PACKS.en[key]]));
+}
+
+/**
+ * Does the element's text (or, failing that, its aria-label or title) contain one of `tokens`?
+ * @param {Element} el
+ * @param {string[]} tokens
+ */
+function matchesKeyword(el, tokens) {
+  const t = normText(el.innerText || el.textContent || '');
+  if (includesAny(t, tokens)) return true;
+  const aria = normText(el.getAttribute('aria-label') || '');
+  const title = normText(el.getAttribute('title') || '');
+  return includesAny(aria, tokens) || includesAny(title, tokens);
+}
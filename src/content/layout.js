@@ -0,0 +1,146 @@
+/**
+ * layout.js — picking the layout profile that matches the page, and suggesting a new one.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Install the user's accepted profiles (chrome.storage.local { layoutProfiles }) ahead of
+ * the built-ins. Invalid entries are skipped.
+ * @param {any[]} userProfiles
+ */
+function applyLayoutProfiles(userProfiles) {
+  const valid = [];
+  for (const raw of userProfiles || []) {
+    const { profile, errors } = sanitizeLayoutProfile(raw);
+    if (profile) valid.push(profile);
+    else debugLog('Ignoring invalid layout profile:', errors);
+  }
+  CONFIG.LAYOUTS = [...valid, ...LAYOUT_PROFILES];
+}
+
+/**
+ * All profiles' selectors for `key`, as one selector list (for code that runs before a
+ * profile has matched, or on cards that don't say which layout they belong to).
+ * @param {'results'|'card'|'button'|'pagination'} key
+ * @returns {string}
+ */
+function layoutSelector(key) {
+  return Array.from(new Set(CONFIG.LAYOUTS.map(p => p[key]).filter(Boolean))).join(', ');
+}
+
+/**
+ * First profile whose card selector matches this page, or null.
+ * @returns {LayoutProfile|null}
+ */
+function matchLayout() {
+  for (const profile of CONFIG.LAYOUTS) {
+    try {
+      if (document.querySelector(profile.card)) return profile;
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * matchLayout(), and report the profile when it changes (debug log + RUN_PROGRESS `layout`).
+ * @returns {LayoutProfile|null}
+ */
+function detectLayout() {
+  const profile = matchLayout();
+  const name = layoutProfileName(profile);
+  if (STATE.layout !== name) {
+    STATE.layout = name;
+    debugLog(`Layout profile: ${name} on ${location.pathname}`);
+  }
+  if (STATE.progress && STATE.progress.layout !== name) publishProgress({ layout: name });
+  return profile;
+}
+
+/**
+ * The profile a result card was matched by (for its field selectors).
+ * @param {Element} card
+ * @returns {LayoutProfile|null}
+ */
+function layoutForCard(card) {
+  return CONFIG.LAYOUTS.find((p) => {
+    try { return card.matches(p.card); } catch { return false; }
+  }) || null;
+}
+
+/** Suggestions **/
+
+/**
+ * One CSS step for an element: tag plus up to three plain class names.
+ * @param {Element} el
+ * @returns {string}
+ */
+function cssStep(el) {
+  const classes = Array.from(el.classList).filter(c => /^[a-z_-][\w-]*$/i.test(c)).slice(0, 3);
+  return el.tagName.toLowerCase() + classes.map(c => `.${CSS.escape(c)}`).join('');
+}
+
+/**
+ * "main > div.x > ul.y > li.z" from <main> (or <body>) down to `el`.
+ * @param {Element} el
+ * @returns {string}
+ */
+function domPathOf(el) {
+  const steps = [];
+  for (let node = el; node && node !== document.body; node = node.parentElement) {
+    steps.unshift(cssStep(node));
+    if (node.tagName === 'MAIN') break;
+  }
+  return steps.join(' > ');
+}
+
+/**
+ * The nearest ancestor of `button` that looks like a result card: it links to a
+ * profile and has at least one sibling of the same shape that does too.
+ * @param {Element} button
+ * @returns {Element|null}
+ */
+function findRepeatedCard(button) {
+  for (let el = button.parentElement; el && el.parentElement && el !== document.body; el = el.parentElement) {
+    if (!el.querySelector('a[href*="/in/"]')) continue;
+    const step = cssStep(el);
+    const twins = Array.from(el.parentElement.children)
+      .filter(c => c.matches(step) && c.querySelector('a[href*="/in/"]'));
+    if (twins.length >= 2) return el;
+  }
+  return null;
+}
+
+/**
+ * No profile matched but Connect buttons were found: build a profile from the DOM
+ * path of the first one's card and hand it to the service worker ({ layoutSuggestions }).
+ * At most once per page.
+ * @param {HTMLButtonElement} button
+ */
+function suggestLayoutFrom(button) {
+  if (STATE.layoutSuggestedFor === location.href) return;
+  STATE.layoutSuggestedFor = location.href;
+
+  const card = findRepeatedCard(button);
+  if (!card) {
+    debugLog('No layout profile matched and no repeated card found to suggest one.');
+    return;
+  }
+  const { profile, errors } = sanitizeLayoutProfile({
+    id: `suggested-${Date.now().toString(36)}`,
+    version: 1,
+    label: `Suggested on ${location.pathname}`,
+    results: cssStep(card.parentElement),
+    card: `${cssStep(card.parentElement)} > ${cssStep(card)}`,
+    button: 'button',
+    domPath: domPathOf(card),
+    createdAt: Date.now()
+  });
+  if (!profile) {
+    debugLog('Could not build a layout suggestion:', errors);
+    return;
+  }
+  debugLog(`Suggesting layout profile from ${profile.domPath}`);
+  chrome.runtime.sendMessage({ type: 'LAYOUT_SUGGEST', profile }).catch(() => {});
+}
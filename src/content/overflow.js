@@ -0,0 +1,121 @@
+/**
+ * overflow.js — Connect offered only inside a card's "More" (…) menu, on cards whose
+ * main button is Follow or Message.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Card buttons that open an overflow menu (also matched by the MORE_ACTIONS keywords). */
+const OVERFLOW_TRIGGER_SELECTOR = 'button.artdeco-dropdown__trigger, button[aria-haspopup="true"], button[aria-haspopup="menu"]';
+
+/** Items of an open artdeco dropdown (the menu may be rendered outside the card). */
+const OVERFLOW_ITEM_SELECTOR = '.artdeco-dropdown__content [role="button"], .artdeco-dropdown__content [role="menuitem"], .artdeco-dropdown__item, [role="menu"] [role="menuitem"]';
+
+/** "More" buttons returned by queryOverflowConnectTriggers(), told apart from Connect buttons. */
+const overflowTriggers = new WeakSet();
+
+/**
+ * Was `button` found as a card's "More" button (Connect still has to be picked from its menu)?
+ * @param {Element} button
+ */
+function isOverflowTrigger(button) {
+  return overflowTriggers.has(button);
+}
+
+/**
+ * Treat `button` as a "More" button whose menu may hold Connect (e.g. on a profile page).
+ * @param {HTMLButtonElement} button
+ * @returns {HTMLButtonElement}
+ */
+function markOverflowTrigger(button) {
+  overflowTriggers.add(button);
+  return button;
+}
+
+/**
+ * "More" buttons of the cards that have no Connect button of their own but offer Follow
+ * or Message instead (1st-degree and Pending cards are left alone).
+ * @param {Set<Element>} coveredCards cards that already have a Connect button
+ * @returns {HTMLButtonElement[]}
+ */
+function queryOverflowConnectTriggers(coveredCards) {
+  const [connectKw, pendingKw, messageKw, followKw, moreKw] =
+    [kw('CONNECT'), kw('PENDING'), kw('MESSAGE'), kw('FOLLOW'), kw('MORE_ACTIONS')];
+  const triggers = [];
+
+  for (const card of document.querySelectorAll(surfaceCardSelector())) {
+    if (coveredCards.has(card)) continue;
+    const buttons = Array.from(card.querySelectorAll('button')).filter(b => isVisible(b) && !b.disabled);
+    if (buttons.some(b => matchesKeyword(b, pendingKw) || isConnectLabel(b, connectKw))) continue;
+    if (!buttons.some(b => matchesKeyword(b, messageKw) || matchesKeyword(b, followKw))) continue;
+    if (parseResultCard(card).degree === 1) continue;
+
+    const trigger = buttons.find(b => {
+      if (b.getAttribute('aria-disabled') === 'true') return false;
+      return b.matches(OVERFLOW_TRIGGER_SELECTOR) || matchesKeyword(b, moreKw);
+    });
+    // Nested card selectors (li > div.entity-result) reach the same button twice
+    if (!trigger || triggers.includes(trigger)) continue;
+    overflowTriggers.add(trigger);
+    triggers.push(trigger);
+  }
+  return triggers;
+}
+
+/**
+ * Is the element's visible text exactly a Connect keyword? Stricter than matchesKeyword(),
+ * so "Remove connection" or "Invite to an event" don't pass.
+ * @param {Element} el
+ * @param {string[]} [connectKw]
+ */
+function isConnectLabel(el, connectKw = kw('CONNECT')) {
+  return connectKw.includes(normText(el.innerText || el.textContent || ''));
+}
+
+/**
+ * Open the menu behind `trigger` and find its Connect item. The menu is closed again
+ * when it has none.
+ * @param {HTMLButtonElement} trigger
+ * @returns {Promise<HTMLElement|null>}
+ */
+async function openOverflowConnect(trigger) {
+  trigger.click();
+  const start = Date.now();
+  while (Date.now() - start < CONFIG.DELAYS.DIALOG_APPEAR_TIMEOUT) {
+    await sleep(150);
+    if (!STATE.enabled) break;
+    const items = Array.from(document.querySelectorAll(OVERFLOW_ITEM_SELECTOR)).filter(isVisible);
+    const connect = items.find(item => isConnectLabel(item));
+    if (connect) return connect;
+    // The menu is open and lists everything but Connect
+    if (items.length && trigger.getAttribute('aria-expanded') === 'true') break;
+  }
+  debugLog('No Connect in the More menu.');
+  await closeOverflowMenu(trigger);
+  return null;
+}
+
+/**
+ * Close the menu behind `trigger` if it is still open (Escape, then a second click).
+ * @param {HTMLButtonElement} trigger
+ */
+async function closeOverflowMenu(trigger) {
+  if (trigger.getAttribute('aria-expanded') !== 'true') return;
+  trigger.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', bubbles: true }));
+  await sleep(200);
+  if (trigger.getAttribute('aria-expanded') === 'true') trigger.click();
+}
+
+/**
+ * After a send from the menu: the card (or a profile's top card) shows a Pending
+ * button, or the menu item itself turned into "Pending".
+ * @param {HTMLButtonElement} trigger
+ * @param {Element} item
+ */
+function overflowInviteShown(trigger, item) {
+  const pendingKw = kw('PENDING');
+  if (document.contains(item) && matchesKeyword(item, pendingKw)) return true;
+  const card = getResultCard(trigger) || trigger.closest(PROFILE_TOP_CARD_SELECTOR);
+  return !!card && Array.from(card.querySelectorAll('button')).some(b => isVisible(b) && matchesKeyword(b, pendingKw));
+}
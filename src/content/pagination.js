@@ -0,0 +1,61 @@
+/**
+ * pagination.js — moving to the next results page.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Find pagination and click the next page button.
+ * Returns true if navigated to next page, false if no next page found.
+ * Includes fallbacks for "Next" arrow and "Show more".
+ */
+async function findAndClickNextPage() {
+  // Prefer numbered pagination
+  const layout = matchLayout();
+  const list = document.querySelector(layout ? layout.pagination : layoutSelector('pagination'));
+  if (list) {
+    const buttons = Array.from(list.querySelectorAll('li button')).filter(isVisible);
+    if (buttons.length > 0) {
+      let activeIndex = buttons.findIndex(btn => btn.getAttribute('aria-current') === 'true');
+      if (activeIndex < 0) {
+        const activeLi = list.querySelector('li.active.selected');
+        if (activeLi) {
+          const activeBtn = activeLi.querySelector('button');
+          activeIndex = buttons.indexOf(activeBtn);
+        }
+      }
+      if (activeIndex < 0) activeIndex = 0;
+
+      const nextBtn = buttons[activeIndex + 1];
+      if (nextBtn) {
+        nextBtn.click();
+        return true;
+      }
+    }
+  }
+
+  // Fallback: Next arrow button (its aria-label starts with "Next" in the page's language)
+  const nextKw = kw('NEXT');
+  const nextArrow = Array.from(document.querySelectorAll('button[aria-label], a[aria-label]')).find(el => {
+    const aria = normText(el.getAttribute('aria-label') || '');
+    return isVisible(el) && nextKw.some(t => aria.startsWith(t));
+  });
+  if (nextArrow) {
+    nextArrow.click();
+    return true;
+  }
+
+  // Fallback: "Show more results" / "See more results"
+  const moreKw = kw('LOAD_MORE');
+  const moreLike = Array.from(document.querySelectorAll('button, a')).find(el => {
+    const t = normText(el.textContent || '');
+    return isVisible(el) && moreKw.some(m => t.startsWith(m));
+  });
+  if (moreLike) {
+    moreLike.click();
+    return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,284 @@
+/**
+ * panel.js — the optional in-page control panel on search results (PANEL.ENABLED):
+ * start, pause and stop this tab's run, live counters and the cards processed so far.
+ * It lives in a closed shadow root so LinkedIn's styles don't reach it, and drives the
+ * same switch and hardStop() as the popup toggle (switchThisTab() in content.js).
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** How often the panel checks whether it should be shown, and refreshes. */
+const PANEL_SYNC_MS = 1000;
+
+/** Cards kept in the panel's list (the oldest are dropped). */
+const PANEL_MAX_CARDS = 50;
+
+/** How long "Show current card" highlights the card. */
+const PANEL_HIGHLIGHT_MS = 2000;
+
+const PANEL_CSS = `
+:host { all: initial; position: fixed; top: 88px; right: 16px; z-index: 2147483000; }
+.panel {
+  width: 300px; max-height: 70vh; display: flex; flex-direction: column;
+  font: 13px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1d2226;
+  background: #fff; border: 1px solid #d0d7de; border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, .18);
+}
+.head {
+  display: flex; align-items: center; gap: 8px; padding: 8px 10px; cursor: move; user-select: none;
+  background: #f3f6f8; border-bottom: 1px solid #d0d7de; border-radius: 8px 8px 0 0;
+}
+.title { flex: 1; font-weight: 600; }
+.phase { color: #56687a; font-size: 12px; }
+.phase.active { color: #0a66c2; }
+.body { padding: 8px 10px; overflow: auto; }
+p { margin: 0 0 6px; }
+.counters { font-variant-numeric: tabular-nums; }
+.action { color: #56687a; word-break: break-word; }
+.error { color: #b42318; }
+.controls { display: flex; flex-wrap: wrap; gap: 6px; margin: 4px 0 8px; }
+button {
+  font: inherit; padding: 3px 10px; border: 1px solid #0a66c2; border-radius: 14px;
+  background: #fff; color: #0a66c2; cursor: pointer;
+}
+button.primary { background: #0a66c2; color: #fff; }
+button:disabled { opacity: .5; cursor: default; }
+button[hidden] { display: none; }
+.hide { border: none; padding: 0 4px; color: #56687a; font-size: 16px; line-height: 1; }
+h3 { margin: 6px 0 4px; font-size: 12px; font-weight: 600; color: #56687a; }
+ol { margin: 0; padding: 0; list-style: none; }
+li { display: flex; justify-content: space-between; gap: 8px; padding: 2px 0; cursor: pointer; }
+li:hover .name { text-decoration: underline; }
+.name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.status { flex: none; font-size: 12px; }
+.status.sent, .status.previewed { color: #057642; }
+.status.failed { color: #b42318; }
+.status.unknown { color: #8a5a00; }
+.status.skipped { color: #56687a; }
+`;
+
+const PANEL_HTML = `
+<div class="panel">
+  <div class="head">
+    <span class="title" data-i18n="extName"></span>
+    <span class="phase"></span>
+    <button type="button" class="hide" data-i18n-title="panelHide">×</button>
+  </div>
+  <div class="body">
+    <p class="counters"></p>
+    <p class="action"></p>
+    <div class="controls">
+      <button type="button" class="start primary" data-i18n="tabStart"></button>
+      <button type="button" class="pause"></button>
+      <button type="button" class="stop" data-i18n="tabStop"></button>
+      <button type="button" class="show" data-i18n="panelShowCurrent"></button>
+    </div>
+    <h3 data-i18n="panelCardsHeading"></h3>
+    <p class="empty" data-i18n="panelNoCards"></p>
+    <ol class="cards"></ol>
+  </div>
+</div>`;
+
+/**
+ * The mounted panel, or null while it isn't shown.
+ * @type {{ host: HTMLElement, els: Record<string, HTMLElement> }|null}
+ */
+let panelView = null;
+
+/** The user closed the panel; it comes back when the page reloads. */
+let panelDismissed = false;
+
+/**
+ * Cards processed by run `runId`, oldest first.
+ * @typedef {{ card: Element|null, name: string, outcome: string, status: InviteStatus|'previewed' }} PanelCard
+ * @type {{ runId: number, cards: PanelCard[] }}
+ */
+const panelCards = { runId: 0, cards: [] };
+
+/**
+ * List a processed card in the panel (kept while the panel is hidden, too).
+ * @param {Element|null} card
+ * @param {InviteOutcome|'skipped-filter'|'skipped-blocklist'|'already-contacted'|'previewed'} outcome
+ */
+function logProcessedCard(card, outcome) {
+  if (panelCards.runId !== STATE.runId) {
+    panelCards.runId = STATE.runId;
+    panelCards.cards = [];
+  }
+  const status = outcome === 'previewed' ? 'previewed' : outcome === 'already-contacted' ? 'skipped' : inviteStatus(outcome);
+  panelCards.cards.push({ card, name: parseResultCard(card).name, outcome, status });
+  if (panelCards.cards.length > PANEL_MAX_CARDS) panelCards.cards.shift();
+  renderPanelCards();
+}
+
+/**
+ * Did `event` happen on the panel? (Using the panel doesn't count as page activity.)
+ * @param {Event} event
+ */
+function isPanelEvent(event) {
+  return !!panelView && event.target === panelView.host;
+}
+
+/** Show or remove the panel to match the settings and the page, then refresh it. */
+function syncPanel() {
+  const wanted = CONFIG.PANEL.ENABLED && isOnLinkedInSearch() && !panelDismissed;
+  if (wanted && !panelView) mountPanel();
+  else if (!wanted && panelView) unmountPanel();
+  renderPanel();
+}
+
+function mountPanel() {
+  const host = document.createElement('li-autoconnect-panel');
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `<style>${PANEL_CSS}</style>${PANEL_HTML}`;
+  localizePage(root);
+
+  const els = {};
+  for (const name of ['head', 'phase', 'hide', 'counters', 'action', 'start', 'pause', 'stop', 'show', 'empty', 'cards']) {
+    els[name] = root.querySelector(`.${name}`);
+  }
+  els.start.addEventListener('click', () => {
+    setOwnTabEnabled(true);
+    switchThisTab(true, 'panel');
+    renderPanel();
+  });
+  els.stop.addEventListener('click', () => {
+    setOwnTabEnabled(false);
+    switchThisTab(false);
+    renderPanel();
+  });
+  els.pause.addEventListener('click', () => {
+    if (STATE.paused) resumePausedRun();
+    else pauseRun('user');
+    renderPanel();
+  });
+  els.show.addEventListener('click', () => highlightCard(currentPanelCard()));
+  els.hide.addEventListener('click', () => {
+    panelDismissed = true;
+    unmountPanel();
+  });
+  els.head.addEventListener('pointerdown', startPanelDrag);
+
+  document.documentElement.appendChild(host);
+  panelView = { host, els };
+  renderPanelCards();
+
+  chrome.storage.local.get({ panelPosition: null }, ({ panelPosition }) => {
+    if (panelView && panelPosition) placePanel(panelPosition.x, panelPosition.y);
+  });
+}
+
+function unmountPanel() {
+  panelView.host.remove();
+  panelView = null;
+}
+
+/** Phase, counters, last action and which controls apply. */
+function renderPanel() {
+  if (!panelView) return;
+  const { els } = panelView;
+  const p = STATE.progress && STATE.progress.mode === 'connect' ? STATE.progress : null;
+  const running = STATE.running && STATE.mode === 'connect';
+  const waiting = !!STATE.waitingFor;
+
+  els.phase.className = `phase${running || waiting ? ' active' : ''}`;
+  els.phase.textContent = waiting ? t('tabWaiting') : p ? t(`phase_${p.phase.replace(/-/g, '_')}`) : t('tabIdle');
+  els.counters.textContent = p
+    ? t('runCounters', [t(p.dryRun ? 'runKindDry' : 'runKindReal'), p.runId, p.page, p.buttonsFound, p.sent, p.skipped])
+      + (p.failed || p.unconfirmed ? t('runCountersOutcomes', [p.failed, p.unconfirmed]) : '')
+    : '';
+  const error = p && p.lastError && !STATE.paused;
+  els.action.className = `action${error ? ' error' : ''}`;
+  els.action.textContent = running && STATE.paused ? t(`pausedBy_${STATE.paused.reason}`) : p ? (error ? p.lastError : p.lastAction) : '';
+
+  els.start.hidden = running || waiting;
+  els.pause.hidden = !running;
+  els.pause.textContent = t(STATE.paused ? 'resumeBtn' : 'pauseBtn');
+  els.stop.hidden = !(STATE.enabled || running);
+  els.show.disabled = !currentPanelCard();
+}
+
+/** Rebuild the list of processed cards (newest first). */
+function renderPanelCards() {
+  if (!panelView) return;
+  const { els } = panelView;
+  const cards = panelCards.runId === STATE.runId ? panelCards.cards : [];
+  els.empty.hidden = cards.length > 0;
+  els.cards.replaceChildren(...cards.slice().reverse().map((entry) => {
+    const li = document.createElement('li');
+    li.title = entry.outcome;
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = entry.name || t('unknownProfile');
+    const status = document.createElement('span');
+    status.className = `status ${entry.status}`;
+    status.textContent = t(`panelStatus_${entry.status}`);
+    li.append(name, status);
+    li.addEventListener('click', () => highlightCard(entry.card));
+    return li;
+  }));
+  els.show.disabled = !currentPanelCard();
+}
+
+/** The card being processed, else the last one listed (if still on the page). */
+function currentPanelCard() {
+  const last = panelCards.cards[panelCards.cards.length - 1];
+  const card = (STATE.running && STATE.currentCard) || (last && last.card);
+  return card && document.contains(card) ? card : null;
+}
+
+/**
+ * Scroll `card` into view and ring it for a moment. A ring (box-shadow) leaves
+ * the dry-run outlines alone.
+ * @param {Element|null} card
+ */
+function highlightCard(card) {
+  if (!(card instanceof HTMLElement) || !document.contains(card)) return;
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  const before = card.style.boxShadow;
+  card.style.boxShadow = '0 0 0 3px #f5b400';
+  // Not sleep(): hardStop() must not leave the ring behind
+  window.setTimeout(() => { card.style.boxShadow = before; }, PANEL_HIGHLIGHT_MS);
+}
+
+/**
+ * Move the panel by its header; the position is kept in chrome.storage.local { panelPosition }.
+ * @param {PointerEvent} event
+ */
+function startPanelDrag(event) {
+  if (event.button !== 0 || event.target.closest('button')) return;
+  const { host, els } = panelView;
+  const rect = host.getBoundingClientRect();
+  const dx = event.clientX - rect.left;
+  const dy = event.clientY - rect.top;
+  els.head.setPointerCapture(event.pointerId);
+
+  const move = (e) => placePanel(e.clientX - dx, e.clientY - dy);
+  const end = () => {
+    els.head.removeEventListener('pointermove', move);
+    els.head.removeEventListener('pointerup', end);
+    els.head.removeEventListener('pointercancel', end);
+    const placed = host.getBoundingClientRect();
+    chrome.storage.local.set({ panelPosition: { x: placed.left, y: placed.top } }).catch(() => {});
+  };
+  els.head.addEventListener('pointermove', move);
+  els.head.addEventListener('pointerup', end);
+  els.head.addEventListener('pointercancel', end);
+}
+
+/**
+ * Put the panel's top-left corner at (x, y), kept inside the window.
+ * @param {number} x
+ * @param {number} y
+ */
+function placePanel(x, y) {
+  const { host } = panelView;
+  const maxX = Math.max(0, window.innerWidth - host.offsetWidth);
+  const maxY = Math.max(0, window.innerHeight - host.offsetHeight);
+  host.style.left = `${Math.min(Math.max(0, x), maxX)}px`;
+  host.style.top = `${Math.min(Math.max(0, y), maxY)}px`;
+  host.style.right = 'auto';
+}
+
+// Not in STATE.timers: hardStop() clears those, and the panel outlives runs
+window.setInterval(syncPanel, PANEL_SYNC_MS);
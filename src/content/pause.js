@@ -0,0 +1,137 @@
+/**
+ * pause.js — pausing a run between actions without losing its state, from the popup,
+ * the keyboard shortcut (manifest `commands`), a hidden tab or the user using the page.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Pause timings. */
+const PAUSE = {
+  // A pause for page activity ends after this long without another key press or click
+  ACTIVITY_QUIET_MS: 15000,
+  // During a pause that keeps the click turn, progress is re-published this often so
+  // the turn doesn't go stale
+  HEARTBEAT_MS: 60 * 1000,
+  // While waiting for the turn back, ask again this often (in case the call is missed)
+  TURN_RETRY_MS: 30 * 1000
+};
+
+/**
+ * Who paused the run. A pause is only lifted by the same kind of trigger, except that
+ * resuming from the popup or the shortcut lifts any of them. 'turn' is a run that gave
+ * its click turn up during a pause and waits for another tab to finish.
+ * @typedef {'user'|'hidden'|'activity'|'turn'} PauseReason
+ */
+
+/** Stronger reasons aren't replaced by weaker ones (an explicit pause outlasts visibility). */
+const PAUSE_PRIORITY = { turn: 0, activity: 1, hidden: 2, user: 3 };
+
+/**
+ * Pauses that may last indefinitely (a forgotten tab) give the click turn up, so other
+ * tabs can run meanwhile; the run asks for it again when the pause ends.
+ */
+const PAUSE_RELEASES_TURN = new Set(['user', 'hidden']);
+
+let activityResumeTimer = null;
+let turnRetryTimer = null;
+
+/**
+ * Pause the current run at its next pause point.
+ * @param {PauseReason} reason
+ */
+function pauseRun(reason) {
+  if (!STATE.running) return;
+  if (STATE.paused && PAUSE_PRIORITY[STATE.paused.reason] >= PAUSE_PRIORITY[reason]) return;
+  STATE.paused = { reason, since: Date.now() };
+  debugLog(`Pausing (${reason}).`);
+  publishProgress({ pausedBy: reason });
+}
+
+/**
+ * Lift the pause. With `reason`, only a pause of that kind is lifted.
+ * @param {PauseReason} [reason]
+ */
+function resumePausedRun(reason) {
+  if (!STATE.paused || (reason && STATE.paused.reason !== reason)) return;
+  debugLog(`Resuming after ${STATE.paused.reason} pause.`);
+  STATE.paused = null;
+  publishProgress({ pausedBy: null });
+}
+
+/**
+ * Pause point: wait here while the run is paused; counters, page and the remaining
+ * buttons stay where they are. A run that gave up its click turn doesn't go on until
+ * it has the turn back. Ends early when the run stops.
+ * @param {number} runId the calling run
+ * @returns {Promise<boolean>} whether the run was paused
+ */
+async function whilePaused(runId) {
+  if (!STATE.paused || !STATE.running || STATE.runId !== runId) return false;
+  const phase = STATE.progress ? STATE.progress.phase : 'scanning';
+  let released = false;
+  while (STATE.running && STATE.runId === runId) {
+    if (STATE.paused) {
+      if (await waitOutPause(runId)) released = true;
+      continue;
+    }
+    if (!released) break;
+    const turn = await requestClickTurn({ runId });
+    if (turn.ok) break;
+    debugLog(turn.error ? 'No answer about the click turn; asking again later.' : `Tab ${turn.holderTabId} has the click turn; waiting for it.`);
+    pauseRun('turn');
+    clearTimeout(turnRetryTimer);
+    turnRetryTimer = setTimeout(() => resumePausedRun('turn'), PAUSE.TURN_RETRY_MS);
+  }
+  clearTimeout(turnRetryTimer);
+  if (STATE.running && STATE.runId === runId) publishProgress({ phase, pausedBy: null });
+  return true;
+}
+
+/**
+ * Wait until the current pause is lifted. Pauses in PAUSE_RELEASES_TURN give the click
+ * turn up (also when a shorter pause turns into one); the others keep it alive.
+ * @param {number} runId the calling run
+ * @returns {Promise<boolean>} whether the click turn was given up
+ */
+async function waitOutPause(runId) {
+  publishProgress({ phase: 'paused', pausedBy: STATE.paused.reason });
+  let released = false;
+  let beat = Date.now();
+  while (STATE.paused && STATE.running && STATE.runId === runId) {
+    if (!released && PAUSE_RELEASES_TURN.has(STATE.paused.reason)) {
+      debugLog('Giving the click turn up during the pause.');
+      releaseClickTurn();
+      released = true;
+    }
+    await sleep(500);
+    if (!released && Date.now() - beat >= PAUSE.HEARTBEAT_MS) {
+      publishProgress({});
+      beat = Date.now();
+    }
+  }
+  return released;
+}
+
+/** Pause while the tab is hidden (lazy-loaded results only render on a visible page). */
+function onVisibilityChange() {
+  if (document.hidden) pauseRun('hidden');
+  else resumePausedRun('hidden');
+}
+
+/**
+ * Pause while the user types or clicks on the page; resume once they've been quiet
+ * for PAUSE.ACTIVITY_QUIET_MS. Clicks made by the run itself aren't trusted events,
+ * and using the in-page panel doesn't count.
+ * @param {Event} event
+ */
+function onPageActivity(event) {
+  if (!event.isTrusted || !STATE.running || isPanelEvent(event)) return;
+  pauseRun('activity');
+  clearTimeout(activityResumeTimer);
+  activityResumeTimer = setTimeout(() => resumePausedRun('activity'), PAUSE.ACTIVITY_QUIET_MS);
+}
+
+document.addEventListener('visibilitychange', onVisibilityChange);
+document.addEventListener('keydown', onPageActivity, true);
+document.addEventListener('pointerdown', onPageActivity, true);
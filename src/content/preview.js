@@ -0,0 +1,70 @@
+/**
+ * preview.js — dry-run outlines and the preview report.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Outline styles for previewed cards. */
+const PREVIEW_OUTLINE = {
+  target: '3px solid #0073b1',
+  excluded: '2px dashed #b42318'
+};
+
+/**
+ * Outline a card on the page and explain why (tooltip).
+ * @param {Element} el
+ * @param {'target'|'excluded'} kind
+ * @param {string} reason
+ */
+function markPreviewCard(el, kind, reason) {
+  if (!(el instanceof HTMLElement)) return;
+  el.style.outline = PREVIEW_OUTLINE[kind];
+  el.style.outlineOffset = '2px';
+  el.title = `[LI-AutoConnect] ${reason}`;
+  el.setAttribute('data-li-autoconnect-preview', kind);
+}
+
+/** Remove outlines left by a previous dry run. */
+function clearPreviewMarks() {
+  document.querySelectorAll('[data-li-autoconnect-preview]').forEach(el => {
+    el.style.outline = '';
+    el.style.outlineOffset = '';
+    el.removeAttribute('title');
+    el.removeAttribute('data-li-autoconnect-preview');
+  });
+}
+
+/** Start an empty preview report for run `runId`. */
+function resetDryRunReport(runId) {
+  STATE.report = { runId, startUrl: location.href, startedAt: Date.now(), finished: false, targets: [], excluded: [] };
+  saveDryRunReport();
+}
+
+/**
+ * Add a card to the current preview report (and outline excluded ones).
+ * @param {'targets'|'excluded'} list
+ * @param {Element|null} card
+ * @param {{ note?: string, reason?: string }} details
+ */
+function addToDryRunReport(list, card, details) {
+  if (!STATE.report) return;
+  const { name, headline, profileUrl } = parseResultCard(card);
+  STATE.report[list].push({ name, headline, profileUrl, ...details });
+  if (list === 'excluded' && card) markPreviewCard(card, 'excluded', `Excluded: ${details.reason}`);
+  saveDryRunReport();
+}
+
+/** Persist the report (chrome.storage.local { dryRunReport }) for the popup. */
+function saveDryRunReport() {
+  if (STATE.report) chrome.storage.local.set({ dryRunReport: STATE.report }).catch(() => {});
+}
+
+/**
+ * Remaining invites a real run could send right now (dry runs don't reserve).
+ * @returns {Promise<number>}
+ */
+async function getRemainingBudget() {
+  const status = await chrome.runtime.sendMessage({ type: 'BUDGET_STATUS' }).catch(() => null);
+  return status ? Math.min(status.daily.remaining, status.weekly.remaining) : Infinity;
+}
@@ -0,0 +1,159 @@
+/**
+ * profile.js — inviting from a member's profile page, one row of the target list at
+ * a time (src/background/targets.js moves the tab from profile to profile). Uses the
+ * same dedupe, targeting rules, budget, dialogs and pacing as a search run.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** The profile's top card: name, headline and its Connect / Message / More buttons. */
+const PROFILE_TOP_CARD_SELECTOR = 'main section.artdeco-card:has(h1), .pv-top-card, main section:has(h1)';
+
+/** Card fields on the top card (see parseResultCard()). */
+const PROFILE_FIELDS = {
+  name: ['h1'],
+  headline: ['.text-body-medium', '.pv-top-card--headline'],
+  location: ['.text-body-small.inline.t-black--light', '.pv-top-card--list-bullet .text-body-small'],
+  badge: ['.dist-value', '.distance-badge'],
+  insight: ['a[href*="facetConnectionOf"]', 'a[href*="facetNetwork"]']
+};
+
+/** Is this tab on a member's profile page (linkedin.com/in/<slug>)? */
+function isOnProfilePage() {
+  return /^https:\/\/www\.linkedin\.com\/in\/[^/?#]+\/?([?#]|$)/i.test(location.href);
+}
+
+/**
+ * Wait for the top card and its buttons to render.
+ * @returns {Promise<Element|null>}
+ */
+async function waitForProfileTopCard() {
+  const start = Date.now();
+  while (STATE.running && Date.now() - start < CONFIG.DELAYS.RESULTS_CHANGE_TIMEOUT) {
+    const top = document.querySelector(PROFILE_TOP_CARD_SELECTOR);
+    if (top && top.querySelector('button')) return top;
+    await sleep(400);
+  }
+  return null;
+}
+
+/**
+ * The person on this profile page; the page URL is the profile key.
+ * @param {Element} top
+ * @returns {CardInfo}
+ */
+function parseProfilePage(top) {
+  const profileUrl = normalizeProfileUrl(location.href);
+  return { ...parseResultCard(top, PROFILE_FIELDS), profileUrl, profileKey: profileUrl };
+}
+
+/**
+ * Invite the member this tab shows, for the target list. Replies like a row result
+ * ({ ok, outcome, status, name }) or why the list can't go on ({ ok: false, reason }),
+ * plus `runCap`, the most sends one search run may make.
+ * @returns {Promise<{ ok: boolean, reason?: string, outcome?: string, status?: string, name?: string, runCap?: number }>}
+ */
+async function inviteFromProfilePage() {
+  if (!isOnProfilePage()) return { ok: false, reason: 'not-a-profile' };
+  if (STATE.running) return { ok: false, reason: 'busy' };
+  if (await getActiveLockout()) return { ok: false, reason: 'locked-out' };
+  if (STATE.running) return { ok: false, reason: 'busy' };
+
+  // Claim the tab before asking for the turn, so nothing else starts while we wait for it
+  STATE.running = true;
+  STATE.mode = 'connect';
+  STATE.paused = null;
+  // Inviting clicks too: not while another tab runs
+  if (!(await requestClickTurn({ wait: false })).ok) {
+    STATE.running = false;
+    return { ok: false, reason: 'other-tab' };
+  }
+  if (!STATE.running) {
+    // Stopped while the turn was asked for
+    releaseClickTurn();
+    return { ok: false, reason: 'stopped' };
+  }
+  const myRun = STATE.runId + 1;
+  STATE.runId = myRun;
+  // The dialog helpers give up once the tab is switched off; Stop switches it off again
+  const wasEnabled = STATE.enabled;
+  STATE.enabled = true;
+  debugLog(`Inviting from the profile page (${STATE.dryRun ? 'dry run' : 'target list'})`);
+
+  try {
+    const result = await inviteProfile(myRun);
+    // The next profile is a page change: pace it like one
+    if (STATE.runId === myRun) await sleep(randomBetween(CONFIG.DELAYS.PAGE_CHANGE_MIN, CONFIG.DELAYS.PAGE_CHANGE_MAX));
+    return { ...result, runCap: CONFIG.MAX_INVITES_PER_PAGE * CONFIG.MAX_PAGES_PER_RUN };
+  } catch (err) {
+    debugLog('Profile invite error:', err);
+    return { ok: true, outcome: 'error', status: 'failed', name: '' };
+  } finally {
+    if (STATE.runId === myRun) {
+      STATE.running = false;
+      STATE.enabled = wasEnabled;
+    }
+    releaseClickTurn();
+  }
+}
+
+/**
+ * @param {number} myRun
+ * @returns {Promise<{ ok: boolean, reason?: string, outcome?: string, status?: string, name?: string }>}
+ */
+async function inviteProfile(myRun) {
+  const top = await waitForProfileTopCard();
+  if (!top) return { ok: false, reason: STATE.runId === myRun ? 'not-a-profile' : 'stopped' };
+  const info = parseProfilePage(top);
+  const done = (outcome, status = 'skipped') => ({ ok: true, outcome, status, name: info.name });
+  const record = (outcome, extra) => recordProfileAttempt(info, outcome, { ...extra, targetList: true });
+
+  if (!(await isProfileEligible(info.profileKey))) return done('already-contacted');
+  const listMatch = findListMatch(info);
+  if (listMatch) {
+    debugLog(`Skipping ${info.name || info.profileKey}: ${listMatch.rule}`);
+    if (!STATE.dryRun) record('skipped-blocklist', { rule: listMatch.rule, listEntry: listMatch.entry });
+    return done('skipped-blocklist');
+  }
+  const rule = findExcludingRule(info);
+  if (rule) {
+    debugLog(`Filtered out ${info.name || info.profileKey}: ${rule}`);
+    if (!STATE.dryRun) record('skipped-filter', { rule });
+    return done('skipped-filter');
+  }
+
+  // Connected or already invited: nothing to do. Otherwise Connect, or the "More" menu's
+  const buttons = Array.from(top.querySelectorAll('button')).filter(b => isVisible(b) && !b.disabled);
+  if (info.degree === 1 || buttons.some(b => matchesKeyword(b, kw('PENDING')))) return done('already-contacted');
+  const moreKw = kw('MORE_ACTIONS');
+  const more = buttons.find(b => matchesKeyword(b, moreKw)) || buttons.find(b => b.matches(OVERFLOW_TRIGGER_SELECTOR));
+  const button = buttons.find(b => isConnectLabel(b)) || (more ? markOverflowTrigger(more) : null);
+  if (!button) {
+    if (!STATE.dryRun) record('skipped-no-connect-button');
+    return done('skipped-no-connect-button');
+  }
+
+  await sleep(randomBetween(CONFIG.DELAYS.CONNECT_CLICK_MIN, CONFIG.DELAYS.CONNECT_CLICK_MAX));
+  if (STATE.runId !== myRun) return { ok: false, reason: 'stopped' };
+
+  // Shared daily/weekly budget (dry runs don't reserve)
+  const reservation = STATE.dryRun ? { ok: true } : await reserveInviteBudget();
+  if (!reservation.ok) return { ok: false, reason: reservation.lockout ? 'locked-out' : 'budget-spent' };
+
+  const { outcome, status, note, warning, toast } = await clickConnectAndConfirm(button, pickInviteNote(info));
+  if (outcome === 'blocked') {
+    releaseInviteBudget(reservation.ts);
+    record('blocked', { warning: warning.text });
+    triggerLockout(warning);
+    return { ok: false, reason: 'locked-out' };
+  }
+  if (outcome === 'previewed') return done('previewed', 'previewed');
+  if (status !== 'sent') releaseInviteBudget(reservation.ts);
+  record(outcome, {
+    ...(note ? { noteTemplate: note.templateId, noteTemplateName: note.templateName } : {}),
+    ...(toast ? { warning: toast } : {})
+  });
+  debugLog(`Profile invite ${outcome}: ${info.name || info.profileKey}`);
+  return done(outcome, status);
+}
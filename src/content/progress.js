@@ -0,0 +1,77 @@
+/**
+ * progress.js — live run progress (RUN_PROGRESS) and hardStop().
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Start a fresh progress record for run `runId`. */
+function resetProgress(runId) {
+  STATE.progress = {
+    runId,
+    mode: STATE.mode,
+    phase: 'starting',
+    page: 1,
+    buttonsFound: 0,
+    sent: 0,
+    skipped: 0,
+    failed: 0,
+    unconfirmed: 0,
+    withdrawn: 0,
+    lastAction: '',
+    lastError: '',
+    url: location.href,
+    title: document.title,
+    dryRun: STATE.dryRun,
+    scheduleRunId: STATE.scheduleRunId,
+    queueRunId: STATE.queue ? STATE.queue.queueRunId : null,
+    layout: STATE.layout,
+    pausedBy: null,
+    updatedAt: Date.now()
+  };
+  publishProgress({});
+}
+
+/**
+ * Merge `patch` into the current progress and publish it (RUN_PROGRESS) to the
+ * service worker, which keeps the latest status per tab, and to an open popup
+ * (the in-page panel is refreshed directly).
+ * @param {Partial<RunProgress>} patch
+ */
+function publishProgress(patch) {
+  if (!STATE.progress) return;
+  Object.assign(STATE.progress, patch, { url: location.href, title: document.title, updatedAt: Date.now() });
+  chrome.runtime.sendMessage({ type: 'RUN_PROGRESS', progress: STATE.progress }).catch(() => {});
+  renderPanel();
+}
+
+/** Progress counter per invite status ('unknown' sends are counted as unconfirmed). */
+const STATUS_COUNTER = { sent: 'sent', skipped: 'skipped', failed: 'failed', unknown: 'unconfirmed' };
+
+/**
+ * Progress patch adding one invite of `status` to its counter.
+ * @param {InviteStatus} status
+ */
+function countInviteStatus(status) {
+  const key = STATUS_COUNTER[status];
+  return { [key]: STATE.progress[key] + 1 };
+}
+
+/** Stop everything immediately: timers, observers, flags. */
+function hardStop() {
+  STATE.running = false;
+  STATE.runId += 1; // invalidate any in-flight loops
+  STATE.paused = null;
+
+  clearAllTimers();
+
+  // Resolve any pending sleeps and wait-for-results promises immediately
+  for (const r of STATE.sleepResolvers) { try { r(); } catch {} }
+  STATE.sleepResolvers.clear();
+  for (const r of STATE.pendingResolves) { try { r(); } catch {} }
+  STATE.pendingResolves.clear();
+
+  detachObservers();
+  if (STATE.progress && STATE.progress.phase !== 'done') publishProgress({ phase: 'stopped' });
+  debugLog('Stopped.');
+}
@@ -0,0 +1,70 @@
+/**
+ * records.js — invite budget, invitation history and cross-session dedupe,
+ * all kept by the service worker.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Invite budget (owned by the service worker) **/
+
+/**
+ * Reserve one invite from the shared daily/weekly budget (refused during a lockout).
+ * @returns {Promise<{ ok: boolean, ts?: number, status?: object, lockout?: object }>}
+ */
+async function reserveInviteBudget() {
+  try {
+    const res = await chrome.runtime.sendMessage({ type: 'BUDGET_RESERVE' });
+    return res || { ok: false };
+  } catch (err) {
+    debugLog('Budget reserve failed:', err);
+    return { ok: false };
+  }
+}
+
+/** Return a reserved slot when the invite wasn't actually sent. */
+function releaseInviteBudget(ts) {
+  chrome.runtime.sendMessage({ type: 'BUDGET_RELEASE', ts }).catch(() => {});
+}
+
+/** Invitation history (persisted by the service worker) **/
+
+/**
+ * Record one Connect attempt with the card's details, the current search URL and
+ * the attempt's status (sent / skipped / failed / unknown).
+ * @param {Element|null} card
+ * @param {InviteOutcome|'skipped-filter'|'skipped-blocklist'} outcome
+ * @param {object} [extra] additional fields, e.g. { rule } for filter skips, { rule, listEntry }
+ *   for blocklist/allowlist skips, or the note template
+ */
+function recordAttempt(card, outcome, extra) {
+  recordProfileAttempt(parseResultCard(card), outcome, extra);
+}
+
+/**
+ * recordAttempt() for a person already parsed (e.g. from a profile page, see profile.js).
+ * @param {CardInfo} info
+ * @param {InviteOutcome|'skipped-filter'|'skipped-blocklist'} outcome
+ * @param {object} [extra]
+ */
+function recordProfileAttempt(info, outcome, extra) {
+  const { name, headline, profileUrl, profileKey } = info;
+  const record = { name, headline, profileUrl, profileKey, searchUrl: location.href, outcome, status: inviteStatus(outcome), ...extra };
+  chrome.runtime.sendMessage({ type: 'HISTORY_APPEND', record }).catch(() => {});
+}
+
+/**
+ * Cross-session dedupe: has this person already been invited, or skipped
+ * within the cool-down? Cards without a profile key are always eligible.
+ * @param {string} profileKey
+ * @returns {Promise<boolean>}
+ */
+async function isProfileEligible(profileKey) {
+  if (!profileKey) return true;
+  const { contactedProfiles } = await chrome.storage.local.get({ contactedProfiles: {} });
+  const prev = contactedProfiles && contactedProfiles[profileKey];
+  if (!prev) return true;
+  if (prev.outcome === 'sent') return false;
+  const cooldownMs = CONFIG.SKIP_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+  return Date.now() - prev.ts >= cooldownMs;
+}
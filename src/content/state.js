@@ -0,0 +1,99 @@
+/**
+ * state.js — shared run state (STATE), effective configuration (CONFIG) and logging.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** @typedef {{ enabled: boolean, running: boolean, runId: number, timers: Set<number>, observers: Set<MutationObserver>, urlCheckId: number|null, debug: boolean, sleepResolvers: Set<Function>, pendingResolves: Set<Function>, progress: RunProgress|null, dryRun: boolean, report: DryRunReport|null, scheduleRunId: string|null, queue: QueueRun|null, mode: 'connect'|'withdraw', layout: string|null, layoutSuggestedFor: string|null, waitingFor: WaitingStart|null, paused: { reason: PauseReason, since: number }|null, currentCard: Element|null }} State */
+
+/**
+ * A start put off until this tab gets the click turn (see turns.js).
+ * @typedef {{ trigger: string, resume: boolean }} WaitingStart
+ */
+
+/**
+ * A run started by the saved-search queue, bounded by that search's caps.
+ * @typedef {{ queueRunId: string, maxInvites: number, maxPages: number }} QueueRun
+ */
+
+/**
+ * Live progress of the current (or last) run, published to the popup.
+ * @typedef {{ runId: number, mode: 'connect'|'withdraw', phase: 'starting'|'scanning'|'inviting'|'withdrawing'|'waiting-for-dialog'|'paginating'|'paused'|'done'|'stopped', page: number, buttonsFound: number, sent: number, skipped: number, failed: number, unconfirmed: number, withdrawn: number, lastAction: string, lastError: string, url: string, title: string, dryRun: boolean, scheduleRunId: string|null, queueRunId: string|null, layout: string|null, pausedBy: PauseReason|null, updatedAt: number }} RunProgress
+ */
+
+/**
+ * Preview of a dry run: who would be invited and why others were excluded.
+ * @typedef {{ name: string, headline: string, profileUrl: string, note?: string, reason?: string }} PreviewEntry
+ * @typedef {{ runId: number, startUrl: string, startedAt: number, finished: boolean, targets: PreviewEntry[], excluded: PreviewEntry[] }} DryRunReport
+ */
+
+/**
+ * Effective configuration. Starts from DEFAULT_SETTINGS (src/shared/settings.js)
+ * and is updated in place from the options page via applySettings().
+ */
+const CONFIG = {
+  ...cloneDefaultSettings(),
+
+  // Layout profiles tried in order: the user's accepted ones, then the built-ins (applyLayoutProfiles)
+  LAYOUTS: LAYOUT_PROFILES.slice(),
+
+  // Blocklist / allowlist from chrome.storage.local { accessLists } (applyAccessLists)
+  ACCESS_LISTS: emptyAccessLists(),
+
+  // General behavior
+  DEBUG: true
+};
+
+/** @type {State} */
+const STATE = {
+  enabled: false,
+  running: false,
+  runId: 0,
+  timers: new Set(),
+  observers: new Set(),
+  urlCheckId: null,
+  debug: CONFIG.DEBUG,
+  sleepResolvers: new Set(),
+  pendingResolves: new Set(),
+  progress: null,
+  dryRun: false,
+  report: null,
+  scheduleRunId: null,
+  queue: null,
+  mode: 'connect',
+  layout: null,
+  layoutSuggestedFor: null,
+  waitingFor: null,
+  paused: null,
+  // The card the connect loop is on (for the in-page panel)
+  currentCard: null
+};
+
+/**
+ * Merge user settings (from chrome.storage.sync) over the defaults, in place,
+ * so running loops pick up new values on their next iteration.
+ * @param {any} raw
+ */
+function applySettings(raw) {
+  const { settings, errors } = sanitizeSettings(raw);
+  if (errors.length) debugLog('Ignoring invalid settings:', errors);
+  Object.assign(CONFIG.DELAYS, settings.DELAYS);
+  Object.assign(CONFIG.KW, settings.KW);
+  Object.assign(CONFIG.SELECTORS, settings.SELECTORS);
+  CONFIG.MAX_INVITES_PER_PAGE = settings.MAX_INVITES_PER_PAGE;
+  CONFIG.MAX_PAGES_PER_RUN = settings.MAX_PAGES_PER_RUN;
+  CONFIG.DAILY_INVITE_LIMIT = settings.DAILY_INVITE_LIMIT;
+  CONFIG.WEEKLY_INVITE_LIMIT = settings.WEEKLY_INVITE_LIMIT;
+  CONFIG.SKIP_COOLDOWN_DAYS = settings.SKIP_COOLDOWN_DAYS;
+  CONFIG.LOCKOUT_HOURS = settings.LOCKOUT_HOURS;
+  CONFIG.FILTERS = settings.FILTERS;
+  CONFIG.WITHDRAW = settings.WITHDRAW;
+  CONFIG.NOTES = settings.NOTES;
+  CONFIG.PANEL = settings.PANEL;
+}
+
+/** @param {any[]} args */
+function debugLog(...args) {
+  if (STATE.debug) console.log('[LI-AutoConnect]', ...args);
+}
@@ -0,0 +1,140 @@
+/**
+ * surfaces.js — the kinds of page a connect run works on (search results, "People you
+ * may know", a company's People tab, event attendees) and how each reaches more results.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * `card` selects one person card, `button` the candidate Connect buttons inside cards,
+ * `fields` the card field selectors (search cards use their layout profile's instead).
+ * `more` is how further results appear: numbered pages, or more cards on scroll / "Show more".
+ * Search results are the only surface with layout profiles (see layout.js).
+ * @typedef {{
+ *   id: 'search'|'my-network'|'company-people'|'event-attendees',
+ *   label: string,
+ *   pattern: RegExp,
+ *   card: () => string,
+ *   button: () => string,
+ *   fields: CardFields|null,
+ *   more: 'pagination'|'scroll',
+ *   usesLayouts: boolean
+ * }} Surface
+ */
+
+/** Card fields shared by the artdeco "entity lockup" cards (company people, attendees). */
+const LOCKUP_CARD_FIELDS = {
+  name: ['.artdeco-entity-lockup__title a', '.artdeco-entity-lockup__title'],
+  headline: ['.artdeco-entity-lockup__subtitle'],
+  location: ['.artdeco-entity-lockup__metadata'],
+  badge: ['.artdeco-entity-lockup__degree'],
+  insight: ['.artdeco-entity-lockup__caption']
+};
+
+/** @type {Surface[]} */
+const SURFACES = [
+  {
+    id: 'search',
+    label: 'Search results',
+    pattern: /^https:\/\/www\.linkedin\.com\/search\/results/i,
+    card: () => layoutSelector('card'),
+    button: () => layoutSelector('button'),
+    fields: null,
+    more: 'pagination',
+    usesLayouts: true
+  },
+  {
+    id: 'my-network',
+    label: 'People you may know',
+    pattern: /^https:\/\/www\.linkedin\.com\/mynetwork\/(grow\/?)?([?#]|$)/i,
+    card: () => 'li.discover-entity-type-card, li.discover-fluid-entity-list--item, div[data-view-name="cohort-card"]',
+    button: () => 'li.discover-entity-type-card button, li.discover-fluid-entity-list--item button, div[data-view-name="cohort-card"] button',
+    fields: {
+      name: ['.discover-person-card__name', '.artdeco-entity-lockup__title'],
+      headline: ['.discover-person-card__occupation', '.artdeco-entity-lockup__subtitle'],
+      location: [],
+      badge: [],
+      insight: ['.member-insights__reason', '.artdeco-entity-lockup__caption']
+    },
+    more: 'scroll',
+    usesLayouts: false
+  },
+  {
+    id: 'company-people',
+    label: 'Company people',
+    pattern: /^https:\/\/www\.linkedin\.com\/company\/[^/]+\/people/i,
+    card: () => 'li.org-people-profile-card__profile-card-spacing, li.org-people-profile-card, div.org-people-profile-card',
+    button: () => 'li.org-people-profile-card__profile-card-spacing button, li.org-people-profile-card button, div.org-people-profile-card button',
+    fields: LOCKUP_CARD_FIELDS,
+    more: 'scroll',
+    usesLayouts: false
+  },
+  {
+    id: 'event-attendees',
+    label: 'Event attendees',
+    pattern: /^https:\/\/www\.linkedin\.com\/events\/[^/]+\/attendees/i,
+    card: () => 'li.event-attendee-list__item, li.artdeco-list__item:has(a[href*="/in/"])',
+    button: () => 'li.event-attendee-list__item button, li.artdeco-list__item:has(a[href*="/in/"]) button',
+    fields: LOCKUP_CARD_FIELDS,
+    more: 'scroll',
+    usesLayouts: false
+  }
+];
+
+/**
+ * The surface this tab is on, or null on pages the connect run doesn't support.
+ * @returns {Surface|null}
+ */
+function currentSurface() {
+  return SURFACES.find(s => s.pattern.test(location.href)) || null;
+}
+
+/** Can a connect run work on this page? */
+function isOnConnectSurface() {
+  return !!currentSurface();
+}
+
+/** Selector for one card on this surface (search results when on none). */
+function surfaceCardSelector() {
+  const surface = currentSurface();
+  return surface ? surface.card() : layoutSelector('card');
+}
+
+/**
+ * Scroll surfaces: click "Show more" (or scroll to the bottom) and wait for new cards.
+ * @returns {Promise<boolean>} false when no new cards appeared in time
+ */
+async function loadMoreResults() {
+  const selector = surfaceCardSelector();
+  const countCards = () => document.querySelectorAll(selector).length;
+  const before = countCards();
+
+  const moreBtn = findButtonByText(document.querySelector('main') || document.body, kw('LOAD_MORE'));
+  if (moreBtn) moreBtn.click();
+  else await autoScrollOnce();
+
+  const deadline = Date.now() + CONFIG.DELAYS.RESULTS_CHANGE_TIMEOUT;
+  while (STATE.running && Date.now() < deadline) {
+    if (countCards() > before) return true;
+    await sleep(400);
+  }
+  return false;
+}
+
+/**
+ * Reach the next batch of results: the next page on paginated surfaces, more cards
+ * on scroll surfaces. Paced like a page change either way.
+ * @returns {Promise<boolean>} false when there is nothing more
+ */
+async function advanceSurface() {
+  const surface = currentSurface();
+  if (surface && surface.more === 'scroll') {
+    await sleep(randomBetween(CONFIG.DELAYS.PAGE_CHANGE_MIN, CONFIG.DELAYS.PAGE_CHANGE_MAX));
+    return loadMoreResults();
+  }
+  if (!(await findAndClickNextPage())) return false;
+  await sleep(randomBetween(CONFIG.DELAYS.PAGE_CHANGE_MIN, CONFIG.DELAYS.PAGE_CHANGE_MAX));
+  await waitForResultsChange();
+  return true;
+}
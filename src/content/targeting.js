@@ -0,0 +1,127 @@
+/**
+ * targeting.js — targeting rules, the blocklist/allowlist and invitation notes for a parsed card.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Targeting rules **/
+
+/**
+ * Check a parsed card against CONFIG.FILTERS.
+ * @param {CardInfo} info
+ * @returns {string|null} the rule that excludes this card, or null when it passes
+ */
+function findExcludingRule(info) {
+  const f = CONFIG.FILTERS;
+  const headline = normText(info.headline);
+  const loc = normText(info.location);
+
+  if (f.HEADLINE_ANY.length && !includesAny(headline, f.HEADLINE_ANY)) {
+    return `headline has none of: ${f.HEADLINE_ANY.join(', ')}`;
+  }
+  const badHeadline = f.HEADLINE_NONE.find(t => headline.includes(t));
+  if (badHeadline) return `headline contains "${badHeadline}"`;
+
+  if (f.LOCATION_ANY.length && !includesAny(loc, f.LOCATION_ANY)) {
+    return `location has none of: ${f.LOCATION_ANY.join(', ')}`;
+  }
+  const badLocation = f.LOCATION_NONE.find(t => loc.includes(t));
+  if (badLocation) return `location contains "${badLocation}"`;
+
+  if (f.DEGREES.length && !f.DEGREES.includes(info.degree)) {
+    return `degree ${info.degree || 'unknown'} not in ${f.DEGREES.join('/')}`;
+  }
+  if (info.mutualCount < f.MIN_MUTUAL) {
+    return `${info.mutualCount} mutual connections < ${f.MIN_MUTUAL}`;
+  }
+  return null;
+}
+
+/** Blocklist and allowlist **/
+
+/** How a kind of entry reads in a skip reason. */
+const LIST_KIND_LABELS = { companies: 'company', profiles: 'profile', names: 'name' };
+
+/**
+ * Install the lists from chrome.storage.local { accessLists }.
+ * @param {any} raw
+ */
+function applyAccessLists(raw) {
+  CONFIG.ACCESS_LISTS = sanitizeAccessLists(raw);
+}
+
+/**
+ * The list entry that keeps this card from being invited: a blocklist entry it matches,
+ * or, in allowlist-only mode, the allowlist it isn't on. The blocklist wins over the allowlist.
+ * @typedef {{ list: 'block'|'allow', kind: 'companies'|'profiles'|'names'|null, entry: string, rule: string }} ListMatch
+ * @param {CardInfo} info
+ * @returns {ListMatch|null}
+ */
+function findListMatch(info) {
+  const { block, allow, allowOnly } = CONFIG.ACCESS_LISTS;
+  const blocked = matchListEntries(info, block);
+  if (blocked) return { list: 'block', ...blocked, rule: `blocklist ${LIST_KIND_LABELS[blocked.kind]}: ${blocked.entry}` };
+  if (allowOnly && !matchListEntries(info, allow)) {
+    return { list: 'allow', kind: null, entry: '', rule: 'not on the allowlist' };
+  }
+  return null;
+}
+
+/**
+ * First entry of `entries` this card matches. A company only matches where the headline
+ * says someone works there ("… at Acme", "… @ Acme Inc"), as whole words, so "AI
+ * researcher", "ex-Acme" or "selling to Acme" don't count.
+ * @param {CardInfo} info
+ * @param {ListEntries} entries
+ * @returns {{ kind: 'companies'|'profiles'|'names', entry: string }|null}
+ */
+function matchListEntries(info, entries) {
+  const profile = info.profileUrl && entries.profiles.find(url => url === info.profileUrl);
+  if (profile) return { kind: 'profiles', entry: profile };
+
+  const companies = companiesFromHeadline(info.headline).map(normText);
+  const byCompany = entries.companies.find(c => companies.some(company => containsWords(company, c)));
+  if (byCompany) return { kind: 'companies', entry: byCompany };
+
+  const name = normText(info.name);
+  const byName = name && entries.names.find(pattern => namePatternRegExp(pattern).test(name));
+  if (byName) return { kind: 'names', entry: byName };
+  return null;
+}
+
+/**
+ * Does `text` contain `words` bounded by non-letters (so "acme" isn't found in "acmetech")?
+ * @param {string} text
+ * @param {string} words
+ */
+function containsWords(text, words) {
+  if (!words || !text.includes(words)) return false;
+  const escaped = words.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * A whole-name matcher for a pattern where `*` stands for any text.
+ * @param {string} pattern normalized (lowercase)
+ * @returns {RegExp}
+ */
+function namePatternRegExp(pattern) {
+  const parts = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('.*')}$`, 'u');
+}
+
+/** Invitation notes **/
+
+/**
+ * Pick a note template at random (when notes are enabled) and render it for this card.
+ * @param {CardInfo} info
+ * @returns {InviteNote|null}
+ */
+function pickInviteNote(info) {
+  const { ENABLED, TEMPLATES, MAX_CHARS } = CONFIG.NOTES;
+  if (!ENABLED || TEMPLATES.length === 0) return null;
+  const tpl = TEMPLATES[randomBetween(0, TEMPLATES.length - 1)];
+  const text = renderNoteTemplate(tpl.text, noteVarsFromCard(info), MAX_CHARS);
+  return text ? { templateId: tpl.id, templateName: tpl.name, text } : null;
+}
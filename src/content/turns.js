@@ -0,0 +1,54 @@
+/**
+ * turns.js — this tab's on/off switch and its turn to click, both kept by the service
+ * worker (src/background/tab-runs.js) so only one tab runs at a time.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * Announce this page to the tab registry.
+ * @returns {Promise<boolean>} whether this tab is switched on
+ */
+async function registerTab() {
+  try {
+    const res = await chrome.runtime.sendMessage({
+      type: 'TAB_REGISTER',
+      info: { url: location.href, title: document.title, connectable: isOnConnectSurface() }
+    });
+    return !!(res && res.enabled);
+  } catch (err) {
+    debugLog('Tab registration failed:', err);
+    return false;
+  }
+}
+
+/** Record this tab's own switch (e.g. a promoted dry run turns it on). */
+function setOwnTabEnabled(enabled) {
+  chrome.runtime.sendMessage({ type: 'TAB_SET_ENABLED', enabled }).catch(() => {});
+}
+
+/**
+ * Ask for the click turn. Refused while another tab runs; with `wait` this tab is
+ * then told (LINKEDIN_AUTOCONNECT_TURN) once the turn is free. The turn is asked for
+ * the next run (STATE.runId + 1) unless `runId` says otherwise (a paused run asking for
+ * it back), so the end of an earlier run doesn't give it up.
+ * `error` means the worker didn't answer (e.g. it was restarting): this tab is not in
+ * line then, and nobody will tell it when the turn is free.
+ * @param {{ wait?: boolean, runId?: number }} [options]
+ * @returns {Promise<{ ok: boolean, holderTabId?: number, error?: boolean }>}
+ */
+async function requestClickTurn({ wait = true, runId = STATE.runId + 1 } = {}) {
+  try {
+    const res = await chrome.runtime.sendMessage({ type: 'TURN_REQUEST', wait, runId });
+    return res || { ok: false, error: true };
+  } catch (err) {
+    debugLog('Turn request failed:', err);
+    return { ok: false, error: true };
+  }
+}
+
+/** Give the turn back without a finished run (one that ends reports 'done'/'stopped'). */
+function releaseClickTurn() {
+  chrome.runtime.sendMessage({ type: 'TURN_RELEASE' }).catch(() => {});
+}
@@ -0,0 +1,97 @@
+/**
+ * warnings.js — LinkedIn warning signals (weekly limit, security check, failed send)
+ * and the lockout they start.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/**
+ * A dialog, toast or challenge that means "stop now".
+ * @typedef {{ kind: 'weekly-limit'|'security-check'|'send-failed', text: string }} WarningSignal
+ */
+
+/** Keyword (see keywords.js) per signal kind, matched against normalized dialog/toast text. */
+const WARNING_KEYWORDS = {
+  'security-check': 'WARN_SECURITY_CHECK',
+  'weekly-limit': 'WARN_WEEKLY_LIMIT',
+  'send-failed': 'WARN_SEND_FAILED'
+};
+
+/** Which CONFIG.LOCKOUT_HOURS entry applies to each signal kind. */
+const LOCKOUT_SETTING = {
+  'weekly-limit': 'WEEKLY_LIMIT',
+  'security-check': 'SECURITY_CHECK',
+  'send-failed': 'SEND_FAILED'
+};
+
+/** Toasts and alerts LinkedIn shows after an action. */
+const TOAST_SELECTOR = '.artdeco-toast-item, [data-test-artdeco-toast-item-type], [role="alert"]';
+
+/** Error toasts (e.g. "Something went wrong"), whether or not they are a warning signal. */
+const ERROR_TOAST_SELECTOR = '[data-test-artdeco-toast-item-type="error"], .artdeco-toast-item--error';
+
+/**
+ * @param {string} text
+ * @returns {WarningSignal['kind']|null}
+ */
+function classifyWarning(text) {
+  const t = normText(text);
+  for (const [kind, key] of Object.entries(WARNING_KEYWORDS)) {
+    if (includesAny(t, kw(key))) return /** @type {WarningSignal['kind']} */ (kind);
+  }
+  return null;
+}
+
+/**
+ * Look for a warning in the topmost dialog, in toasts, or an embedded CAPTCHA.
+ * @returns {WarningSignal|null}
+ */
+function findWarningSignal() {
+  if (document.querySelector('iframe[src*="captcha" i], #captcha-internal, form[action*="/checkpoint/" i]')) {
+    return { kind: 'security-check', text: 'Security check (CAPTCHA) on the page' };
+  }
+  const sources = [getTopmostDialog(), ...document.querySelectorAll(TOAST_SELECTOR)];
+  for (const el of sources) {
+    if (!el || !isVisible(el)) continue;
+    const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+    const kind = classifyWarning(text);
+    if (kind) return { kind, text: text.slice(0, 200) };
+  }
+  return null;
+}
+
+/**
+ * Text of a visible error toast that isn't in `ignore`, or null.
+ * @param {Set<Element>} [ignore]
+ * @returns {string|null}
+ */
+function findErrorToast(ignore = new Set()) {
+  for (const el of document.querySelectorAll(ERROR_TOAST_SELECTOR)) {
+    if (ignore.has(el) || !isVisible(el)) continue;
+    return (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 200) || 'Error toast';
+  }
+  return null;
+}
+
+/**
+ * Stop immediately and ask the service worker for a lockout of the configured length
+ * (it stores it, notifies the user and refuses new invites until it ends).
+ * @param {WarningSignal} signal
+ */
+function triggerLockout(signal) {
+  const hours = CONFIG.LOCKOUT_HOURS[LOCKOUT_SETTING[signal.kind]];
+  debugLog(`LinkedIn warning (${signal.kind}): "${signal.text}" -> lockout for ${hours}h`);
+  publishProgress({ lastError: `LinkedIn warning: ${signal.text}` });
+  hardStop();
+  chrome.runtime.sendMessage({ type: 'LOCKOUT_START', signal: { ...signal, url: location.href }, hours }).catch(() => {});
+}
+
+/**
+ * The lockout in force, if any (kept by the service worker in chrome.storage.local).
+ * @returns {Promise<{ kind: string, text: string, until: number }|null>}
+ */
+async function getActiveLockout() {
+  const { lockout } = await chrome.storage.local.get({ lockout: null });
+  return lockout && lockout.until > Date.now() ? lockout : null;
+}
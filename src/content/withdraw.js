@@ -0,0 +1,296 @@
+/**
+ * withdraw.js — withdraw mode on "Manage invitations → Sent": tracking pending
+ * invitations and withdrawing stale ones.
+ *
+ * Part of the content script: classic scripts listed in order in manifest.json,
+ * sharing one global scope. See content.js for how a run works.
+ */
+
+/** Is this tab on "Manage invitations → Sent"? */
+function isOnSentInvitations() {
+  return /^https:\/\/www\.linkedin\.com\/mynetwork\/invitation-manager\/sent/i.test(location.href);
+}
+
+/** Days per age unit keyword (see keywords.js). */
+const SENT_AGE_UNIT_DAYS = { UNIT_MINUTE: 0, UNIT_HOUR: 0, UNIT_DAY: 1, UNIT_WEEK: 7, UNIT_MONTH: 30, UNIT_YEAR: 365 };
+
+/** Keyword tokens as a regex alternation. */
+function keywordPattern(key) {
+  return kw(key).map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+}
+
+/**
+ * Days since an invite was sent, from labels like "Sent 3 weeks ago", "vor 3 Wochen"
+ * or "Sent today", in the page's language (or English).
+ * @param {string} text
+ * @returns {number|null} null when the card shows no recognizable age
+ */
+function parseSentAgeDays(text) {
+  const t = normText(text);
+  const ago = keywordPattern('AGO');
+  for (const [key, days] of Object.entries(SENT_AGE_UNIT_DAYS)) {
+    const unit = keywordPattern(key);
+    const re = new RegExp(`(?<!\\p{L})(?:(?:${ago})\\s+(\\d+)\\s*(?:${unit})|(\\d+)\\s*(?:${unit})\\s+(?:${ago}))(?!\\p{L})`, 'u');
+    const m = t.match(re);
+    if (m) return Number(m[1] || m[2]) * days;
+  }
+  if (includesAny(t, kw('SENT_TODAY'))) return 0;
+  if (includesAny(t, kw('SENT_YESTERDAY'))) return 1;
+  return null;
+}
+
+/**
+ * Visible "Withdraw" buttons of the pending list (not the confirm dialog's).
+ * @returns {HTMLButtonElement[]}
+ */
+function queryWithdrawButtons() {
+  const withdrawKw = kw('WITHDRAW');
+  return Array.from(document.querySelectorAll('button')).filter((b) => {
+    if (b.closest('[role="dialog"], .artdeco-modal')) return false;
+    if (b.disabled || b.getAttribute('aria-disabled') === 'true' || !isVisible(b)) return false;
+    return matchesKeyword(b, withdrawKw);
+  });
+}
+
+/** The pending-invitation card a Withdraw button belongs to. */
+function getSentCard(button) {
+  return button.closest('li, .invitation-card') || button.parentElement;
+}
+
+/**
+ * Latest 'sent' timestamp per profile from our invitation history.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function loadSentHistory() {
+  const { inviteHistory } = await chrome.storage.local.get({ inviteHistory: [] });
+  const sentAt = new Map();
+  for (const r of inviteHistory || []) {
+    if (r.outcome === 'sent' && r.profileKey) sentAt.set(r.profileKey, r.ts);
+  }
+  return sentAt;
+}
+
+/**
+ * A pending invitation, its age and whether this extension sent it.
+ * The exact send time from the history wins over the page's rounded label.
+ * @typedef {{ name: string, profileUrl: string, profileKey: string, ageDays: number|null, tracked: boolean, sentAt: number|null }} PendingInvite
+ * @param {Element|null} card
+ * @param {Map<string, number>} sentAt
+ * @returns {PendingInvite}
+ */
+function parseSentCard(card, sentAt) {
+  const link = card && card.querySelector('a[href*="/in/"]');
+  const profileUrl = link ? normalizeProfileUrl(link.getAttribute('href') || '') : '';
+  const titleEl = card && card.querySelector('.invitation-card__title, .invitation-card__tvm-title, strong');
+  const name = ((titleEl || link || {}).textContent || '').replace(/\s+/g, ' ').trim();
+  const ts = profileUrl ? sentAt.get(profileUrl) : undefined;
+  const ageDays = ts ? Math.floor((Date.now() - ts) / (24 * 60 * 60 * 1000)) : parseSentAgeDays(card ? card.innerText || card.textContent : '');
+  return { name, profileUrl, profileKey: profileUrl, ageDays, tracked: ts != null, sentAt: ts || null };
+}
+
+/**
+ * Snapshot the visible pending list into chrome.storage.local { pendingInvites } for the popup.
+ * @returns {Promise<PendingInvite[]>}
+ */
+async function trackPendingInvitations() {
+  const sentAt = await loadSentHistory();
+  const items = queryWithdrawButtons().map(b => parseSentCard(getSentCard(b), sentAt));
+  const minAgeDays = CONFIG.WITHDRAW.MIN_AGE_DAYS;
+  await chrome.storage.local.set({
+    pendingInvites: {
+      scannedAt: Date.now(),
+      url: location.href,
+      total: items.length,
+      tracked: items.filter(i => i.tracked).length,
+      stale: items.filter(i => i.ageDays != null && i.ageDays >= minAgeDays).length,
+      minAgeDays,
+      items
+    }
+  }).catch(() => {});
+  debugLog(`Pending invitations: ${items.length} visible.`);
+  return items;
+}
+
+/**
+ * Withdraw one invitation: click its Withdraw button, then confirm in the dialog.
+ * Unlike clickBest(), only a button that says "Withdraw" confirms; anything else cancels.
+ * In dry-run mode nothing is clicked and 'previewed' is returned.
+ * @param {HTMLButtonElement} button
+ * @returns {Promise<'withdrawn'|'withdraw-no-confirm'|'error'|'previewed'>}
+ */
+async function withdrawInvitation(button) {
+  if (STATE.dryRun) {
+    markPreviewCard(getSentCard(button), 'target', 'Would withdraw');
+    return 'previewed';
+  }
+
+  try {
+    button.click();
+    let dialog = null;
+    const start = Date.now();
+    while (!dialog && Date.now() - start < CONFIG.DELAYS.DIALOG_APPEAR_TIMEOUT) {
+      await sleep(150);
+      if (!STATE.running) return 'error';
+      const dlg = getTopmostDialog();
+      if (dlg && isVisible(dlg)) dialog = dlg;
+    }
+    // Some layouts withdraw straight away; the button disappears with its card
+    if (!dialog) return document.contains(button) ? 'withdraw-no-confirm' : 'withdrawn';
+
+    const confirmBtn = findButtonByText(dialog, kw('WITHDRAW'));
+    if (!confirmBtn) {
+      clickBest(dialog, [
+        'button[aria-label*="dismiss" i]',
+        'button'
+      ], kw('CANCEL'));
+      await sleep(300);
+      return 'withdraw-no-confirm';
+    }
+    confirmBtn.click();
+    await sleep(400);
+    await waitDialogClose(dialog, 4000);
+    return 'withdrawn';
+  } catch (err) {
+    debugLog('withdrawInvitation error:', err);
+    return 'error';
+  }
+}
+
+/**
+ * Record a withdrawal attempt in the invitation history.
+ * @param {PendingInvite} info
+ * @param {string} outcome
+ */
+function recordWithdrawal(info, outcome) {
+  const record = {
+    name: info.name,
+    headline: '',
+    profileUrl: info.profileUrl,
+    profileKey: info.profileKey,
+    searchUrl: location.href,
+    outcome,
+    ageDays: info.ageDays
+  };
+  chrome.runtime.sendMessage({ type: 'HISTORY_APPEND', record }).catch(() => {});
+}
+
+/**
+ * Withdraw invitations older than CONFIG.WITHDRAW.MIN_AGE_DAYS, oldest pages last,
+ * up to WITHDRAW.MAX_PER_RUN and MAX_PAGES_PER_RUN. Invites of unknown age are kept.
+ * @returns {Promise<{ ok: boolean, reason?: string }>}
+ */
+async function startWithdrawRun() {
+  if (!isOnSentInvitations()) return { ok: false, reason: 'not-sent-page' };
+  if (STATE.running) return { ok: false, reason: 'busy' };
+  if (await getActiveLockout()) return { ok: false, reason: 'locked-out' };
+  // Withdrawing clicks too: not while another tab runs
+  if (!(await requestClickTurn({ wait: false })).ok) return { ok: false, reason: 'other-tab' };
+  if (STATE.running) return { ok: false, reason: 'busy' };
+
+  STATE.running = true;
+  STATE.mode = 'withdraw';
+  STATE.paused = null;
+  if (document.hidden) pauseRun('hidden');
+  const myRun = STATE.runId + 1;
+  STATE.runId = myRun;
+  attachObservers();
+
+  debugLog(`Starting ${STATE.dryRun ? 'dry ' : ''}withdraw run #${myRun}`);
+  resetProgress(myRun);
+  clearPreviewMarks();
+
+  (async () => {
+    try {
+      const { MIN_AGE_DAYS, MAX_PER_RUN } = CONFIG.WITHDRAW;
+      const sentAt = await loadSentHistory();
+      let withdrawn = 0;
+      let pagesProcessed = 0;
+
+      while (STATE.running && STATE.runId === myRun && isOnSentInvitations()) {
+        publishProgress({ phase: 'scanning', page: pagesProcessed + 1 });
+        await autoScrollOnce();
+        const buttons = queryWithdrawButtons();
+        publishProgress({ phase: 'withdrawing', buttonsFound: buttons.length });
+
+        for (const btn of buttons) {
+          await whilePaused(myRun);
+          if (!STATE.running || withdrawn >= MAX_PER_RUN) break;
+          // Withdrawn cards drop out of the list and may re-render the rest
+          if (!document.contains(btn)) continue;
+
+          const info = parseSentCard(getSentCard(btn), sentAt);
+          if (info.ageDays == null || info.ageDays < MIN_AGE_DAYS) continue;
+
+          await sleep(randomBetween(CONFIG.DELAYS.CONNECT_CLICK_MIN, CONFIG.DELAYS.CONNECT_CLICK_MAX));
+          await whilePaused(myRun);
+          if (!STATE.running) break;
+          if (!document.contains(btn)) continue;
+
+          publishProgress({ phase: 'waiting-for-dialog', lastAction: `Withdrawing ${info.name || 'invitation'} (${info.ageDays} days)` });
+          const outcome = await withdrawInvitation(btn);
+          const warning = findWarningSignal();
+          if (warning) {
+            triggerLockout(warning);
+            break;
+          }
+          if (outcome === 'withdrawn' || outcome === 'previewed') withdrawn += 1;
+          if (outcome !== 'previewed') recordWithdrawal(info, outcome);
+          publishProgress({
+            phase: 'withdrawing',
+            withdrawn: STATE.progress.withdrawn + (outcome === 'withdrawn' || outcome === 'previewed' ? 1 : 0),
+            skipped: STATE.progress.skipped + (outcome === 'withdraw-no-confirm' || outcome === 'error' ? 1 : 0),
+            lastAction: `${outcome === 'previewed' ? 'Would withdraw' : outcome}: ${info.name || 'invitation'}`,
+            ...(outcome === 'error' ? { lastError: `Withdraw failed for ${info.name || 'invitation'}` } : {})
+          });
+        }
+
+        if (withdrawn >= MAX_PER_RUN) {
+          debugLog(`Withdraw cap (${MAX_PER_RUN}) reached. Stopping.`);
+          break;
+        }
+        if (pagesProcessed >= CONFIG.MAX_PAGES_PER_RUN - 1) {
+          debugLog(`Max pages (${CONFIG.MAX_PAGES_PER_RUN}) reached. Stopping.`);
+          break;
+        }
+
+        await whilePaused(myRun);
+        if (!STATE.running) break;
+        publishProgress({ phase: 'paginating', lastAction: 'Moving to the next page' });
+        const moved = await findAndClickNextPage();
+        if (!moved) {
+          debugLog('No next page found. Stopping.');
+          break;
+        }
+        await sleep(randomBetween(CONFIG.DELAYS.PAGE_CHANGE_MIN, CONFIG.DELAYS.PAGE_CHANGE_MAX));
+        await waitForResultsChange();
+        pagesProcessed += 1;
+      }
+    } catch (err) {
+      debugLog('Withdraw run error:', err);
+      publishProgress({ lastError: String(err && err.message || err) });
+    } finally {
+      if (STATE.runId === myRun) {
+        STATE.running = false;
+        detachObservers();
+      }
+      if (STATE.progress && STATE.progress.runId === myRun && STATE.progress.phase !== 'stopped') {
+        publishProgress({ phase: 'done' });
+      }
+      if (isOnSentInvitations()) trackPendingInvitations();
+      debugLog('Withdraw run complete.');
+    }
+  })();
+  return { ok: true };
+}
+
+/**
+ * Wait for the pending list to render, then snapshot it.
+ * @param {number} [timeoutMs]
+ */
+async function trackWhenListReady(timeoutMs = 8000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs && queryWithdrawButtons().length === 0) {
+    await sleep(250);
+  }
+  return trackPendingInvitations();
+}
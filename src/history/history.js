@@ -0,0 +1,133 @@
+/* history.js
+ * Read-only view of the invitation history in chrome.storage.local: { inviteHistory }.
+ * Records are appended by the service worker (HISTORY_APPEND) after every Connect attempt.
+ * Exports the (filtered) records as CSV or JSON for reconciliation with a CRM.
+ * Sent invites later seen as connections carry `acceptedAt` (see src/analytics/).
+ */
+
+const rowsEl = document.getElementById('rows');
+const emptyEl = document.getElementById('empty');
+const summaryEl = document.getElementById('summary');
+const outcomeFilterEl = document.getElementById('outcomeFilter');
+
+/** Columns exported to CSV, in order. */
+const CSV_COLUMNS = ['ts', 'name', 'headline', 'profileUrl', 'searchUrl', 'outcome', 'status', 'rule', 'listEntry', 'noteTemplate', 'noteTemplateName', 'ageDays', 'acceptedAt', 'warning'];
+
+/** @type {object[]} */
+let records = [];
+
+function filteredRecords() {
+  const outcome = outcomeFilterEl.value;
+  return outcome ? records.filter(r => r.outcome === outcome) : records;
+}
+
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text || '';
+  return td;
+}
+
+function linkCell(href, text) {
+  const td = document.createElement('td');
+  if (href) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = text || href;
+    td.appendChild(a);
+  } else {
+    td.textContent = text || '';
+  }
+  return td;
+}
+
+function render() {
+  const list = filteredRecords().slice().reverse(); // newest first
+  rowsEl.innerHTML = '';
+  for (const r of list) {
+    const tr = document.createElement('tr');
+    tr.appendChild(cell(new Date(r.ts).toLocaleString()));
+    tr.appendChild(linkCell(r.profileUrl, r.name || r.profileUrl));
+    tr.appendChild(cell(r.headline));
+    const outcomeTd = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `outcome ${r.outcome}`;
+    badge.textContent = r.outcome;
+    outcomeTd.appendChild(badge);
+    if (r.acceptedAt) {
+      const accepted = document.createElement('span');
+      accepted.className = 'outcome accepted';
+      accepted.textContent = 'accepted';
+      accepted.title = `Detected ${new Date(r.acceptedAt).toLocaleString()}`;
+      outcomeTd.append(' ', accepted);
+    }
+    tr.appendChild(outcomeTd);
+    tr.appendChild(cell(r.rule
+      || r.warning
+      || (r.noteTemplateName ? `note: ${r.noteTemplateName}` : '')
+      || (r.ageDays != null ? `pending ${r.ageDays} days` : '')));
+    tr.appendChild(linkCell(r.searchUrl, r.searchUrl ? 'open' : ''));
+    rowsEl.appendChild(tr);
+  }
+  emptyEl.hidden = list.length > 0;
+  const sent = records.filter(r => r.outcome === 'sent').length;
+  const accepted = records.filter(r => r.outcome === 'sent' && r.acceptedAt).length;
+  summaryEl.textContent = `${records.length} attempts · ${sent} sent · ${accepted} accepted`;
+}
+
+/** Quote a value for CSV (RFC 4180). */
+function csvValue(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(list) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of list) {
+    lines.push(CSV_COLUMNS.map((col) => {
+      if ((col === 'ts' || col === 'acceptedAt') && r[col]) return csvValue(new Date(r[col]).toISOString());
+      return csvValue(r[col]);
+    }).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+function download(filename, mime, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function load() {
+  const { inviteHistory } = await chrome.storage.local.get({ inviteHistory: [] });
+  records = inviteHistory || [];
+  render();
+}
+
+(async function init() {
+  await load();
+
+  outcomeFilterEl.addEventListener('change', render);
+  document.getElementById('exportCsv').addEventListener('click', () => {
+    download(`linkedin-invites-${stamp()}.csv`, 'text/csv', toCsv(filteredRecords()));
+  });
+  document.getElementById('exportJson').addEventListener('click', () => {
+    download(`linkedin-invites-${stamp()}.json`, 'application/json', JSON.stringify(filteredRecords(), null, 2));
+  });
+  document.getElementById('clearHistory').addEventListener('click', async () => {
+    if (!confirm('Delete the whole invitation history? Export it first if you need it.')) return;
+    await chrome.storage.local.remove('inviteHistory');
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.inviteHistory) load();
+  });
+})();
@@ -0,0 +1,122 @@
+/* layouts.js
+ * Lists the layout profiles (src/shared/layouts.js) and manages the user's own in
+ * chrome.storage.local: { layoutProfiles } (accepted, tried before the built-ins) and
+ * { layoutSuggestions } (recorded by the content script when no profile matched).
+ */
+
+const layoutSuggestionsEl = document.getElementById('layoutSuggestions');
+const layoutSuggestionsEmptyEl = document.getElementById('layoutSuggestionsEmpty');
+const userLayoutsEl = document.getElementById('userLayouts');
+const userLayoutsEmptyEl = document.getElementById('userLayoutsEmpty');
+const builtinLayoutsEl = document.getElementById('builtinLayouts');
+const layoutsStatusEl = document.getElementById('layoutsStatus');
+
+/**
+ * One profile box: name, id/version, selectors, and the given action buttons.
+ * @param {LayoutProfile} profile
+ * @param {{ text: string, primary?: boolean, onClick: () => void }[]} actions
+ */
+function layoutBox(profile, actions) {
+  const box = document.createElement('div');
+  box.className = 'layout';
+  const row = document.createElement('div');
+  row.className = 'row';
+  const title = document.createElement('strong');
+  title.textContent = `${profile.label} (${layoutProfileName(profile)})`;
+  row.appendChild(title);
+  actions.forEach(({ text, primary, onClick }) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    if (primary) btn.className = 'primary';
+    btn.addEventListener('click', onClick);
+    row.appendChild(btn);
+  });
+  box.appendChild(row);
+
+  const lines = [
+    ['DOM path', profile.domPath],
+    ['Card', profile.card],
+    ['Results', profile.results]
+  ];
+  lines.filter(([, value]) => value).forEach(([name, value]) => {
+    const p = document.createElement('p');
+    const code = document.createElement('code');
+    code.textContent = value;
+    p.append(`${name}: `, code);
+    box.appendChild(p);
+  });
+  return box;
+}
+
+function renderLayouts(layoutProfiles, layoutSuggestions) {
+  const accepted = layoutProfiles || [];
+  const suggestions = layoutSuggestions || [];
+
+  layoutSuggestionsEl.innerHTML = '';
+  suggestions.forEach((s) => {
+    layoutSuggestionsEl.appendChild(layoutBox(s, [
+      { text: 'Accept', primary: true, onClick: () => acceptSuggestion(s.id) },
+      { text: 'Dismiss', onClick: () => dismissSuggestion(s.id) }
+    ]));
+  });
+  layoutSuggestionsEmptyEl.hidden = suggestions.length > 0;
+
+  userLayoutsEl.innerHTML = '';
+  accepted.forEach((p) => {
+    userLayoutsEl.appendChild(layoutBox(p, [{ text: 'Remove', onClick: () => removeUserLayout(p.id) }]));
+  });
+  userLayoutsEmptyEl.hidden = accepted.length > 0;
+}
+
+function renderBuiltinLayouts() {
+  builtinLayoutsEl.innerHTML = '';
+  LAYOUT_PROFILES.forEach((p) => {
+    const li = document.createElement('li');
+    li.textContent = `${p.label} (${layoutProfileName(p)})`;
+    li.title = `Card: ${p.card}`;
+    builtinLayoutsEl.appendChild(li);
+  });
+}
+
+/** Move a suggestion to the front of the accepted profiles. */
+async function acceptSuggestion(id) {
+  const { layoutProfiles, layoutSuggestions } = await chrome.storage.local.get({ layoutProfiles: [], layoutSuggestions: [] });
+  const suggestion = (layoutSuggestions || []).find(s => s.id === id);
+  if (!suggestion) return;
+  const { profile, errors } = sanitizeLayoutProfile(suggestion);
+  if (!profile) {
+    layoutsStatusEl.textContent = errors.join(' ');
+    return;
+  }
+  const accepted = [profile, ...(layoutProfiles || []).filter(p => p.id !== id)].slice(0, MAX_USER_LAYOUTS);
+  await chrome.storage.local.set({
+    layoutProfiles: accepted,
+    layoutSuggestions: layoutSuggestions.filter(s => s.id !== id)
+  });
+  layoutsStatusEl.textContent = `Accepted ${layoutProfileName(profile)}; open search tabs use it right away.`;
+}
+
+async function dismissSuggestion(id) {
+  const { layoutSuggestions } = await chrome.storage.local.get({ layoutSuggestions: [] });
+  await chrome.storage.local.set({ layoutSuggestions: (layoutSuggestions || []).filter(s => s.id !== id) });
+  layoutsStatusEl.textContent = 'Suggestion dismissed.';
+}
+
+async function removeUserLayout(id) {
+  const { layoutProfiles } = await chrome.storage.local.get({ layoutProfiles: [] });
+  await chrome.storage.local.set({ layoutProfiles: (layoutProfiles || []).filter(p => p.id !== id) });
+  layoutsStatusEl.textContent = 'Profile removed.';
+}
+
+(async function initLayouts() {
+  renderBuiltinLayouts();
+  const { layoutProfiles, layoutSuggestions } = await chrome.storage.local.get({ layoutProfiles: [], layoutSuggestions: [] });
+  renderLayouts(layoutProfiles, layoutSuggestions);
+
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local' || (!changes.layoutProfiles && !changes.layoutSuggestions)) return;
+    const latest = await chrome.storage.local.get({ layoutProfiles: [], layoutSuggestions: [] });
+    renderLayouts(latest.layoutProfiles, latest.layoutSuggestions);
+  });
+})();
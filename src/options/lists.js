@@ -0,0 +1,120 @@
+/* lists.js
+ * Edits the blocklist and allowlist in chrome.storage.local:
+ * { accessLists: { block: { companies, profiles, names }, allow: { … }, allowOnly } }.
+ * Entries are normalized by src/shared/lists.js; the content script checks every card
+ * against them before clicking Connect.
+ */
+
+const listsForm = document.getElementById('listsForm');
+const listsFileEl = document.getElementById('listsFile');
+const listsErrorsEl = document.getElementById('listsErrors');
+const listsStatusEl = document.getElementById('listsStatus');
+const allowOnlyEl = document.getElementById('allowOnly');
+
+/** The textarea of each list and kind. */
+const LIST_FIELDS = {
+  block: { companies: 'blockCompanies', profiles: 'blockProfiles', names: 'blockNames' },
+  allow: { companies: 'allowCompanies', profiles: 'allowProfiles', names: 'allowNames' }
+};
+
+/** Which list the next imported file goes to. */
+let listsImportTarget = 'block';
+
+/**
+ * @param {'block'|'allow'} list
+ * @param {'companies'|'profiles'|'names'} kind
+ * @returns {HTMLTextAreaElement}
+ */
+function listField(list, kind) {
+  return document.getElementById(LIST_FIELDS[list][kind]);
+}
+
+/** @param {AccessLists} lists */
+function fillLists(lists) {
+  for (const list of ['block', 'allow']) {
+    for (const kind of ACCESS_LIST_KINDS) listField(list, kind).value = lists[list][kind].join('\n');
+  }
+  allowOnlyEl.checked = lists.allowOnly;
+}
+
+/** @returns {{ lists: AccessLists, errors: string[] }} */
+function readLists() {
+  const errors = [];
+  const raw = { block: {}, allow: {}, allowOnly: allowOnlyEl.checked };
+  for (const list of ['block', 'allow']) {
+    for (const kind of ACCESS_LIST_KINDS) {
+      const lines = listField(list, kind).value.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+      raw[list][kind] = lines;
+      const label = list === 'block' ? 'Blocklist' : 'Allowlist';
+      for (const line of lines) {
+        if (kind === 'profiles' && !listProfileUrl(line)) errors.push(`${label}: "${line}" is not a LinkedIn profile URL.`);
+        if (kind === 'names' && /^[*\s]+$/.test(line)) errors.push(`${label}: the name pattern "${line}" matches everyone.`);
+      }
+      if (lines.length > ACCESS_LIST_MAX_ENTRIES) {
+        errors.push(`${label}: at most ${ACCESS_LIST_MAX_ENTRIES} entries per field.`);
+      }
+    }
+  }
+  const lists = sanitizeAccessLists(raw);
+  if (lists.allowOnly && ACCESS_LIST_KINDS.every(kind => lists.allow[kind].length === 0)) {
+    errors.push('Add at least one allowlist entry, or nobody will be invited.');
+  }
+  return { lists, errors };
+}
+
+function showListsErrors(errors) {
+  listsErrorsEl.innerHTML = '';
+  errors.forEach(msg => {
+    const li = document.createElement('li');
+    li.textContent = msg;
+    listsErrorsEl.appendChild(li);
+  });
+  listsErrorsEl.hidden = errors.length === 0;
+}
+
+/**
+ * Add a CSV's entries to the fields of `list` (saved with the form).
+ * @param {'block'|'allow'} list
+ * @param {File} file
+ */
+async function importListCsv(list, file) {
+  const { entries, ignored } = parseAccessListCsv(await file.text());
+  const current = {};
+  for (const kind of ACCESS_LIST_KINDS) current[kind] = listField(list, kind).value.split(/\r?\n/);
+  const merged = mergeListEntries(sanitizeListEntries(current), entries);
+  const found = ACCESS_LIST_KINDS.reduce((n, kind) => n + entries[kind].length, 0);
+  for (const kind of ACCESS_LIST_KINDS) listField(list, kind).value = merged[kind].join('\n');
+
+  showListsErrors(found ? [] : [`No entries found in ${file.name}. Use a company / profile url / name header, or kind,value rows.`]);
+  listsStatusEl.textContent = found
+    ? `${found} entr${found === 1 ? 'y' : 'ies'} read from ${file.name}${ignored ? ` (${ignored} cell${ignored === 1 ? '' : 's'} ignored)` : ''}. Save to apply.`
+    : '';
+}
+
+(async function initLists() {
+  const { accessLists } = await chrome.storage.local.get({ accessLists: null });
+  fillLists(sanitizeAccessLists(accessLists));
+
+  for (const list of ['block', 'allow']) {
+    document.getElementById(`${list}Import`).addEventListener('click', () => {
+      listsImportTarget = list;
+      listsFileEl.click();
+    });
+  }
+  listsFileEl.addEventListener('change', async () => {
+    const file = listsFileEl.files[0];
+    listsFileEl.value = '';
+    if (file) await importListCsv(listsImportTarget, file);
+  });
+
+  listsForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { lists, errors } = readLists();
+    showListsErrors(errors);
+    if (errors.length) return;
+    await chrome.storage.local.set({ accessLists: lists });
+    fillLists(lists);
+    const count = (l) => ACCESS_LIST_KINDS.reduce((n, kind) => n + l[kind].length, 0);
+    listsStatusEl.textContent = `Saved: ${count(lists.block)} blocked, ${count(lists.allow)} allowed${lists.allowOnly ? ' (allowlist only)' : ''}.`;
+  });
+})();
@@ -0,0 +1,197 @@
+/* options.js
+ * Edits the user settings object stored in chrome.storage.sync: { settings }.
+ * Fields are named by their path in DEFAULT_SETTINGS (e.g. "DELAYS.PAGE_CHANGE_MIN").
+ * Validation is sanitizeSettings() from src/shared/settings.js, the same function
+ * the content script uses when it merges settings over the defaults.
+ * Note templates (NOTES.TEMPLATES) are edited as a list of rows and previewed with
+ * renderNoteTemplate() from src/shared/notes.js.
+ */
+
+const form = document.getElementById('settingsForm');
+const resetBtn = document.getElementById('resetBtn');
+const errorsEl = document.getElementById('errors');
+const saveStatusEl = document.getElementById('saveStatus');
+const templatesEl = document.getElementById('templates');
+const addTemplateBtn = document.getElementById('addTemplate');
+
+/** Numeric fields whose default is a ceiling (DELAYS.* and LOCKOUT_HOURS.* are floors). */
+const CAP_FIELDS = ['MAX_INVITES_PER_PAGE', 'MAX_PAGES_PER_RUN', 'DAILY_INVITE_LIMIT', 'WEEKLY_INVITE_LIMIT', 'WITHDRAW.MAX_PER_RUN', 'NOTES.MAX_CHARS'];
+
+/** @param {object} obj @param {string} path */
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/** @param {object} obj @param {string} path @param {any} value */
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] = o[k] || {}), obj);
+  target[last] = value;
+}
+
+/** Note templates **/
+
+function maxNoteChars() {
+  return Number(form.elements['NOTES.MAX_CHARS'].value) || NOTE_CHAR_LIMIT;
+}
+
+/** Re-render the sample preview under one template row. */
+function updatePreview(row) {
+  const text = row.querySelector('.tpl-text').value;
+  const preview = row.querySelector('.preview');
+  const rendered = fillNoteTemplate(text, NOTE_SAMPLE_VARS);
+  const max = maxNoteChars();
+  preview.textContent = rendered
+    ? `Preview (${rendered.length}/${max}): ${renderNoteTemplate(text, NOTE_SAMPLE_VARS, max)}`
+    : '';
+  preview.classList.toggle('over', rendered.length > max);
+}
+
+/** @param {{ id?: string, name?: string, text?: string }} tpl */
+function addTemplateRow(tpl = {}) {
+  const row = document.createElement('div');
+  row.className = 'template';
+  row.dataset.id = tpl.id || `t-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+  row.innerHTML = `
+    <div class="row">
+      <input type="text" class="tpl-name" placeholder="Template name" />
+      <button type="button" class="tpl-remove">Remove</button>
+    </div>
+    <label>Note <textarea class="tpl-text" rows="3"></textarea></label>
+    <p class="preview"></p>`;
+  row.querySelector('.tpl-name').value = tpl.name || '';
+  row.querySelector('.tpl-text').value = tpl.text || '';
+  row.querySelector('.tpl-text').addEventListener('input', () => updatePreview(row));
+  row.querySelector('.tpl-remove').addEventListener('click', () => row.remove());
+  templatesEl.appendChild(row);
+  updatePreview(row);
+}
+
+function readTemplates() {
+  return Array.from(templatesEl.querySelectorAll('.template')).map(row => ({
+    id: row.dataset.id,
+    name: row.querySelector('.tpl-name').value,
+    text: row.querySelector('.tpl-text').value
+  }));
+}
+
+/** Form **/
+
+/** Fill the form from a (sanitized) settings object. */
+function fillForm(settings) {
+  for (const el of form.elements) {
+    if (!el.name) continue;
+    const value = getPath(settings, el.name);
+    if (el.type === 'checkbox') {
+      el.checked = !!value;
+      continue;
+    }
+    el.value = Array.isArray(value) ? value.join(', ') : (value ?? '');
+    if (el.type === 'number') {
+      const def = getPath(DEFAULT_SETTINGS, el.name);
+      // Delays and lockouts are floors, caps are ceilings; other fields carry their own range in the markup
+      if (el.name.startsWith('DELAYS.') || el.name.startsWith('LOCKOUT_HOURS.')) el.min = String(def);
+      else if (CAP_FIELDS.includes(el.name)) el.max = String(def);
+    }
+  }
+  templatesEl.innerHTML = '';
+  settings.NOTES.TEMPLATES.forEach(addTemplateRow);
+}
+
+/** Read the form into a raw settings object (not yet validated). */
+function readForm() {
+  const raw = {};
+  for (const el of form.elements) {
+    if (!el.name) continue;
+    const def = getPath(DEFAULT_SETTINGS, el.name);
+    if (el.type === 'checkbox') {
+      setPath(raw, el.name, el.checked);
+      continue;
+    }
+    let value = el.value.trim();
+    if (Array.isArray(def)) value = value.split(',').map(s => s.trim()).filter(Boolean);
+    else if (typeof def === 'number') value = value === '' ? def : Number(value);
+    setPath(raw, el.name, value);
+  }
+  setPath(raw, 'NOTES.TEMPLATES', readTemplates());
+  return raw;
+}
+
+function showErrors(errors) {
+  errorsEl.innerHTML = '';
+  errors.forEach(msg => {
+    const li = document.createElement('li');
+    li.textContent = msg;
+    errorsEl.appendChild(li);
+  });
+  errorsEl.hidden = errors.length === 0;
+}
+
+function flashStatus(text) {
+  saveStatusEl.textContent = text;
+  setTimeout(() => { if (saveStatusEl.textContent === text) saveStatusEl.textContent = ''; }, 2500);
+}
+
+async function save(event) {
+  event.preventDefault();
+  const { settings, errors } = sanitizeSettings(readForm());
+  showErrors(errors);
+  if (errors.length) {
+    flashStatus('Not saved.');
+    return;
+  }
+  await chrome.storage.sync.set({ settings });
+  fillForm(settings);
+  flashStatus('Saved. Open search tabs pick this up immediately.');
+}
+
+async function resetToDefaults() {
+  await chrome.storage.sync.remove('settings');
+  showErrors([]);
+  fillForm(cloneDefaultSettings());
+  flashStatus('Defaults restored.');
+}
+
+async function clearContacted() {
+  if (!confirm('Forget every contacted/skipped profile? They may be invited again.')) return;
+  await chrome.storage.local.remove('contactedProfiles');
+  flashStatus('Contacted profiles cleared.');
+}
+
+/** Lockout **/
+
+const lockoutStatusEl = document.getElementById('lockoutStatus');
+const clearLockoutBtn = document.getElementById('clearLockout');
+
+function renderLockout(lockout) {
+  const active = !!lockout && lockout.until > Date.now();
+  clearLockoutBtn.hidden = !active;
+  lockoutStatusEl.textContent = active
+    ? `Locked out until ${new Date(lockout.until).toLocaleString()}: ${lockoutLabel(lockout.kind)}${lockout.text ? ` (“${lockout.text}”)` : ''}.`
+    : 'No lockout in force.';
+}
+
+async function clearLockout() {
+  if (!confirm('End the lockout now? LinkedIn may restrict the account if the warning still applies.')) return;
+  await chrome.storage.local.remove('lockout');
+}
+
+(async function init() {
+  const { settings } = await chrome.storage.sync.get({ settings: null });
+  fillForm(sanitizeSettings(settings).settings);
+
+  form.addEventListener('submit', save);
+  resetBtn.addEventListener('click', resetToDefaults);
+  document.getElementById('clearContacted').addEventListener('click', clearContacted);
+  clearLockoutBtn.addEventListener('click', clearLockout);
+  const { lockout } = await chrome.storage.local.get({ lockout: null });
+  renderLockout(lockout);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.lockout) renderLockout(changes.lockout.newValue || null);
+  });
+  addTemplateBtn.addEventListener('click', () => addTemplateRow());
+  form.elements['NOTES.MAX_CHARS'].addEventListener('input', () => {
+    templatesEl.querySelectorAll('.template').forEach(updatePreview);
+  });
+})();
@@ -0,0 +1,109 @@
+/* schedule.js
+ * Edits the run schedule in chrome.storage.local: { schedule }. The service worker
+ * (src/background/scheduler.js) re-arms its alarm whenever this key changes and
+ * appends each scheduled run to { scheduleLog }, shown below the form.
+ */
+
+const scheduleForm = document.getElementById('scheduleForm');
+const schedEnabledEl = document.getElementById('schedEnabled');
+const schedSearchesEl = document.getElementById('schedSearches');
+const schedDaysEl = document.getElementById('schedDays');
+const schedStartEl = document.getElementById('schedStart');
+const schedEndEl = document.getElementById('schedEnd');
+const schedSpacingEl = document.getElementById('schedSpacing');
+const scheduleErrorsEl = document.getElementById('scheduleErrors');
+const scheduleStatusEl = document.getElementById('scheduleStatus');
+const scheduleLogEl = document.getElementById('scheduleLog');
+
+/** Shown when nothing is saved yet (mirrors the service worker's defaults). */
+const SCHEDULE_FORM_DEFAULTS = { enabled: false, searches: [], days: [1, 2, 3, 4, 5], startHour: 9, endHour: 17, spacingMinutes: 120 };
+
+const SEARCH_URL_RE = /^https:\/\/www\.linkedin\.com\/search\/results\//i;
+
+function fillSchedule(schedule) {
+  const s = { ...SCHEDULE_FORM_DEFAULTS, ...(schedule || {}) };
+  schedEnabledEl.checked = !!s.enabled;
+  schedSearchesEl.value = s.searches.join('\n');
+  schedDaysEl.querySelectorAll('input').forEach(el => { el.checked = s.days.includes(Number(el.value)); });
+  schedStartEl.value = s.startHour;
+  schedEndEl.value = s.endHour;
+  schedSpacingEl.value = s.spacingMinutes;
+}
+
+/** @returns {{ schedule: object, errors: string[] }} */
+function readSchedule() {
+  const errors = [];
+  const searches = schedSearchesEl.value.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  const bad = searches.filter(u => !SEARCH_URL_RE.test(u));
+  if (bad.length) errors.push(`Not a LinkedIn search URL: ${bad.join(', ')}`);
+
+  const days = Array.from(schedDaysEl.querySelectorAll('input:checked')).map(el => Number(el.value));
+  const startHour = Number(schedStartEl.value);
+  const endHour = Number(schedEndEl.value);
+  const spacingMinutes = Number(schedSpacingEl.value);
+
+  if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) errors.push('From hour must be 0–23.');
+  if (!Number.isInteger(endHour) || endHour < 1 || endHour > 24) errors.push('Until hour must be 1–24.');
+  if (startHour >= endHour) errors.push('From hour must be before until hour.');
+  if (!Number.isInteger(spacingMinutes) || spacingMinutes < 15) errors.push('Minutes between runs must be 15 or more.');
+  if (schedEnabledEl.checked && searches.length === 0) errors.push('Add at least one search URL to enable the schedule.');
+  if (schedEnabledEl.checked && days.length === 0) errors.push('Pick at least one day.');
+
+  return {
+    schedule: { enabled: schedEnabledEl.checked, searches, days, startHour, endHour, spacingMinutes },
+    errors
+  };
+}
+
+function showScheduleErrors(errors) {
+  scheduleErrorsEl.innerHTML = '';
+  errors.forEach(msg => {
+    const li = document.createElement('li');
+    li.textContent = msg;
+    scheduleErrorsEl.appendChild(li);
+  });
+  scheduleErrorsEl.hidden = errors.length === 0;
+}
+
+function renderScheduleLog(log) {
+  scheduleLogEl.innerHTML = '';
+  (log || []).slice(-20).reverse().forEach(e => {
+    const tr = document.createElement('tr');
+    const cells = [
+      new Date(e.ts).toLocaleString(),
+      e.searchUrl || '',
+      e.error ? `${e.result} (${e.error})` : e.result,
+      e.sent ?? '',
+      e.skipped ?? ''
+    ];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = String(text);
+      if (i === 1) {
+        td.className = 'url';
+        td.title = e.searchUrl || '';
+      }
+      tr.appendChild(td);
+    });
+    scheduleLogEl.appendChild(tr);
+  });
+}
+
+(async function initSchedule() {
+  const { schedule, scheduleLog } = await chrome.storage.local.get({ schedule: null, scheduleLog: [] });
+  fillSchedule(schedule);
+  renderScheduleLog(scheduleLog);
+
+  scheduleForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { schedule: next, errors } = readSchedule();
+    showScheduleErrors(errors);
+    if (errors.length) return;
+    await chrome.storage.local.set({ schedule: next });
+    scheduleStatusEl.textContent = next.enabled ? 'Schedule saved and armed.' : 'Schedule saved (off).';
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.scheduleLog) renderScheduleLog(changes.scheduleLog.newValue);
+  });
+})();
@@ -0,0 +1,78 @@
+/* searches.js
+ * Edits the saved searches in chrome.storage.local:
+ * { savedSearches: [{ id, name, url, maxInvites, maxPages }] }.
+ * The service worker's queue (src/background/queue.js) runs them in order.
+ */
+
+const searchesForm = document.getElementById('searchesForm');
+const searchesEl = document.getElementById('searches');
+const searchesErrorsEl = document.getElementById('searchesErrors');
+const searchesStatusEl = document.getElementById('searchesStatus');
+
+const SAVED_SEARCH_URL_RE = /^https:\/\/www\.linkedin\.com\/search\/results\//i;
+
+/** @param {{ id?: string, name?: string, url?: string, maxInvites?: number, maxPages?: number }} search */
+function addSearchRow(search = {}) {
+  const row = document.createElement('div');
+  row.className = 'search';
+  row.dataset.id = search.id || `s-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+  row.innerHTML = `
+    <label>Name <input type="text" class="s-name" placeholder="Berlin backend engineers" /></label>
+    <label>Search URL <input type="text" class="s-url" spellcheck="false" placeholder="https://www.linkedin.com/search/results/people/?keywords=…" /></label>
+    <label>Max invites <input type="number" class="s-invites" min="1" /></label>
+    <label>Max pages <input type="number" class="s-pages" min="1" /></label>
+    <button type="button" class="s-remove">Remove</button>`;
+  row.querySelector('.s-name').value = search.name || '';
+  row.querySelector('.s-url').value = search.url || '';
+  row.querySelector('.s-invites').value = search.maxInvites || 10;
+  row.querySelector('.s-pages').value = search.maxPages || DEFAULT_SETTINGS.MAX_PAGES_PER_RUN;
+  row.querySelector('.s-pages').max = String(DEFAULT_SETTINGS.MAX_PAGES_PER_RUN);
+  row.querySelector('.s-remove').addEventListener('click', () => row.remove());
+  searchesEl.appendChild(row);
+}
+
+/** @returns {{ searches: object[], errors: string[] }} */
+function readSearches() {
+  const errors = [];
+  const searches = Array.from(searchesEl.querySelectorAll('.search')).map((row, i) => {
+    const search = {
+      id: row.dataset.id,
+      name: row.querySelector('.s-name').value.trim() || `Search ${i + 1}`,
+      url: row.querySelector('.s-url').value.trim(),
+      maxInvites: Number(row.querySelector('.s-invites').value),
+      maxPages: Number(row.querySelector('.s-pages').value)
+    };
+    if (!SAVED_SEARCH_URL_RE.test(search.url)) errors.push(`${search.name}: not a LinkedIn search URL.`);
+    if (!Number.isInteger(search.maxInvites) || search.maxInvites < 1) errors.push(`${search.name}: max invites must be 1 or more.`);
+    if (!Number.isInteger(search.maxPages) || search.maxPages < 1 || search.maxPages > DEFAULT_SETTINGS.MAX_PAGES_PER_RUN) {
+      errors.push(`${search.name}: max pages must be between 1 and ${DEFAULT_SETTINGS.MAX_PAGES_PER_RUN}.`);
+    }
+    return search;
+  });
+  return { searches, errors };
+}
+
+function showSearchesErrors(errors) {
+  searchesErrorsEl.innerHTML = '';
+  errors.forEach(msg => {
+    const li = document.createElement('li');
+    li.textContent = msg;
+    searchesErrorsEl.appendChild(li);
+  });
+  searchesErrorsEl.hidden = errors.length === 0;
+}
+
+(async function initSearches() {
+  const { savedSearches } = await chrome.storage.local.get({ savedSearches: [] });
+  (savedSearches || []).forEach(addSearchRow);
+
+  document.getElementById('addSearch').addEventListener('click', () => addSearchRow());
+  searchesForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { searches, errors } = readSearches();
+    showSearchesErrors(errors);
+    if (errors.length) return;
+    await chrome.storage.local.set({ savedSearches: searches });
+    searchesStatusEl.textContent = `${searches.length} search${searches.length === 1 ? '' : 'es'} saved.`;
+  });
+})();
@@ -0,0 +1,174 @@
+/* targets.js
+ * Imports profile URLs into the target list and shows each row's result, from
+ * chrome.storage.local { targetList: { rows, run } }. The list itself is kept by the
+ * service worker (src/background/targets.js), which also runs it.
+ */
+
+const targetsForm = document.getElementById('targetsForm');
+const targetUrlsEl = document.getElementById('targetUrls');
+const targetsFileEl = document.getElementById('targetsFile');
+const targetsErrorsEl = document.getElementById('targetsErrors');
+const targetsStatusEl = document.getElementById('targetsStatus');
+const targetsSummaryEl = document.getElementById('targetsSummary');
+const targetsRowsEl = document.getElementById('targetsRows');
+
+/** Profile links anywhere in pasted text or a CSV cell (the worker normalizes them). */
+const PROFILE_LINK_RE = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[^\s,;"'<>]+/gi;
+
+/** Columns of the exported list, in order. */
+const TARGET_CSV_COLUMNS = ['url', 'name', 'status', 'outcome', 'ts'];
+
+/** Why a run stopped, as shown under the list. */
+const TARGET_STOP_REASONS = {
+  'stopped': 'stopped',
+  'run-cap': 'run cap reached',
+  'locked-out': 'paused after a LinkedIn warning',
+  'budget-spent': 'daily/weekly budget spent',
+  'other-tab': 'another tab is running',
+  'busy': 'the tab was busy'
+};
+
+/** Every profile link in `text`. */
+function findProfileLinks(text) {
+  return String(text || '').match(PROFILE_LINK_RE) || [];
+}
+
+/** @param {string[]} errors */
+function showTargetsErrors(errors) {
+  targetsErrorsEl.innerHTML = '';
+  errors.forEach(msg => {
+    const li = document.createElement('li');
+    li.textContent = msg;
+    targetsErrorsEl.appendChild(li);
+  });
+  targetsErrorsEl.hidden = errors.length === 0;
+}
+
+/**
+ * Send the links found in `text` to the worker.
+ * @param {string} text
+ * @param {string} source for the status line ("pasted", a file name)
+ */
+async function importTargetText(text, source) {
+  const urls = findProfileLinks(text);
+  if (urls.length === 0) {
+    showTargetsErrors([`No LinkedIn profile URLs found in ${source}.`]);
+    return false;
+  }
+  const res = await chrome.runtime.sendMessage({ type: 'TARGETS_IMPORT', urls }).catch(() => null);
+  if (!res || !res.ok) {
+    showTargetsErrors([res && res.reason === 'running' ? 'Stop the running list before importing.' : 'Import failed.']);
+    return false;
+  }
+  showTargetsErrors([]);
+  const skipped = urls.length - res.added;
+  targetsStatusEl.textContent = `${res.added} profile${res.added === 1 ? '' : 's'} added from ${source}`
+    + (skipped ? ` (${skipped} already listed or not a profile).` : '.');
+  return true;
+}
+
+/** Quote a value for CSV (RFC 4180). */
+function targetCsvValue(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** @param {object[]} rows */
+function targetsToCsv(rows) {
+  const lines = [TARGET_CSV_COLUMNS.join(',')];
+  for (const r of rows) {
+    lines.push(TARGET_CSV_COLUMNS.map(col => targetCsvValue(col === 'ts' && r.ts ? new Date(r.ts).toISOString() : r[col])).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+/** @param {{ rows: object[], run: object|null }|null} list */
+function renderTargets(list) {
+  const { rows, run } = list || { rows: [], run: null };
+  const pending = rows.filter(r => r.status === 'pending').length;
+  const sent = rows.filter(r => r.status === 'sent').length;
+  let summary = `${rows.length} profile${rows.length === 1 ? '' : 's'} · ${pending} pending · ${sent} sent`;
+  if (run && run.status === 'running') summary += ' · running';
+  else if (run && run.reason) summary += ` · last run: ${TARGET_STOP_REASONS[run.reason] || run.reason}`;
+  else if (run && run.status === 'done') summary += ' · last run finished';
+  targetsSummaryEl.textContent = summary;
+
+  const running = !!run && run.status === 'running';
+  document.getElementById('targetsStart').disabled = running || pending === 0;
+  document.getElementById('targetsStop').disabled = !running;
+  document.getElementById('targetsClear').disabled = running || rows.length === 0;
+  document.getElementById('targetsClearDone').disabled = running || pending === rows.length;
+  document.getElementById('targetsExport').disabled = rows.length === 0;
+
+  targetsRowsEl.innerHTML = '';
+  rows.forEach(r => {
+    const tr = document.createElement('tr');
+    const cells = [r.url, r.name || '', r.status, r.outcome || '', r.ts ? new Date(r.ts).toLocaleString() : ''];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 0) {
+        td.className = 'url';
+        td.title = r.url;
+      }
+      tr.appendChild(td);
+    });
+    targetsRowsEl.appendChild(tr);
+  });
+}
+
+/**
+ * Ask the worker to do `type` and show why it refused, if it did.
+ * @param {string} type
+ * @param {object} [extra]
+ */
+async function sendTargetsCommand(type, extra = {}) {
+  const res = await chrome.runtime.sendMessage({ type, ...extra }).catch(() => null);
+  if (res && res.ok) {
+    showTargetsErrors([]);
+    return;
+  }
+  const reasons = {
+    'already-running': 'The list is already running.',
+    'no-targets': 'No pending profiles.',
+    'locked-out': 'Paused after a LinkedIn warning; try again once the lockout ends.',
+    'running': 'Stop the running list first.'
+  };
+  showTargetsErrors([(res && reasons[res.reason]) || 'The background worker did not respond.']);
+}
+
+(async function initTargets() {
+  const { targetList } = await chrome.storage.local.get({ targetList: null });
+  renderTargets(targetList);
+
+  targetsForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (await importTargetText(targetUrlsEl.value, 'the pasted list')) targetUrlsEl.value = '';
+  });
+  document.getElementById('targetsImportFile').addEventListener('click', () => targetsFileEl.click());
+  targetsFileEl.addEventListener('change', async () => {
+    const file = targetsFileEl.files[0];
+    targetsFileEl.value = '';
+    if (file) await importTargetText(await file.text(), file.name);
+  });
+
+  document.getElementById('targetsStart').addEventListener('click', () => sendTargetsCommand('TARGETS_START'));
+  document.getElementById('targetsStop').addEventListener('click', () => sendTargetsCommand('TARGETS_STOP'));
+  document.getElementById('targetsClearDone').addEventListener('click', () => sendTargetsCommand('TARGETS_CLEAR', { onlyDone: true }));
+  document.getElementById('targetsClear').addEventListener('click', () => {
+    if (confirm('Remove every profile from the target list, with their results?')) sendTargetsCommand('TARGETS_CLEAR');
+  });
+  document.getElementById('targetsExport').addEventListener('click', async () => {
+    const { targetList: list } = await chrome.storage.local.get({ targetList: null });
+    const url = URL.createObjectURL(new Blob([targetsToCsv(list ? list.rows : [])], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `linkedin-targets-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.targetList) renderTargets(changes.targetList.newValue);
+  });
+})();
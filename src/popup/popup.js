@@ -1,39 +1,468 @@
 /* popup.js
- * Controls a single persisted toggle in chrome.storage.local: { enabled: boolean }.
- * Sends a broadcast request to background to notify the active tab immediately,
- * while all tabs also react to chrome.storage.onChanged.
+ * The toggle switches the active tab on or off (TAB_SET_ENABLED); the background keeps
+ * a registry of tabs and their run states (TAB_RUNS_LIST, chrome.storage.session
+ * { tabRuns }) and lets one tab click at a time. Any listed tab can be started or
+ * stopped from the runs list, and a running one paused and resumed (LINKEDIN_AUTOCONNECT_PAUSE).
+ * Also shows the remaining daily/weekly invite budget kept by the background,
+ * and a live dashboard of runs per tab (RUN_PROGRESS messages from content scripts).
+ * The dry-run checkbox persists { dryRun } and the last preview report can be
+ * promoted into a real run. The saved-search queue is started/stopped through
+ * the background (QUEUE_START / QUEUE_STOP) and its progress read from { searchQueue }.
+ * A run that was cut short (reload, browser restart, navigation) leaves a checkpoint
+ * in { runCheckpoints } that can be resumed or discarded from here.
+ * Pending invitations are summarized from { pendingInvites } (written by the content
+ * script on the Sent invitations page), where stale ones can be withdrawn.
+ * A lockout after a LinkedIn warning ({ lockout }) is shown until it ends.
+ * All text comes from chrome.i18n messages (_locales/, see src/shared/i18n.js).
  */
 
 const enabledToggle = document.getElementById('enabledToggle');
+const toggleHintEl = document.getElementById('toggleHint');
 const statusEl = document.getElementById('status');
+const lockoutEl = document.getElementById('lockout');
+const quotaDailyEl = document.getElementById('quotaDaily');
+const quotaWeeklyEl = document.getElementById('quotaWeekly');
+const openOptionsEl = document.getElementById('openOptions');
+const openHistoryEl = document.getElementById('openHistory');
+const openAnalyticsEl = document.getElementById('openAnalytics');
+const dryRunToggle = document.getElementById('dryRunToggle');
+const previewEl = document.getElementById('preview');
+const previewSummaryEl = document.getElementById('previewSummary');
+const previewListEl = document.getElementById('previewList');
+const promoteBtn = document.getElementById('promoteBtn');
+const queueStatusEl = document.getElementById('queueStatus');
+const queueStartBtn = document.getElementById('queueStart');
+const queueStopBtn = document.getElementById('queueStop');
+const resumeEl = document.getElementById('resume');
+const resumeSummaryEl = document.getElementById('resumeSummary');
+const resumeBtn = document.getElementById('resumeBtn');
+const discardBtn = document.getElementById('discardBtn');
+const pendingStatusEl = document.getElementById('pendingStatus');
+const withdrawBtn = document.getElementById('withdrawBtn');
+const withdrawStopBtn = document.getElementById('withdrawStopBtn');
+const runListEl = document.getElementById('runList');
+const noRunsEl = document.getElementById('noRuns');
+
+const SENT_INVITATIONS_URL = 'https://www.linkedin.com/mynetwork/invitation-manager/sent/';
+
+/** Latest progress per tab id, the tab registry, and the tab the popup was opened on. */
+let runStatus = {};
+let tabRuns = {};
+let activeTabId = null;
+
+/** Checkpoint currently offered for resuming. */
+let resumable = null;
 
 function setStatus(on) {
-  statusEl.innerHTML = `Status: <strong>${on ? 'On' : 'Off'}</strong>`;
+  const strong = document.createElement('strong');
+  strong.textContent = t(on ? 'statusOn' : 'statusOff');
+  statusEl.replaceChildren(`${t('statusLabel')} `, strong);
 }
 
-async function getEnabled() {
-  const { enabled } = await chrome.storage.local.get({ enabled: false });
-  return !!enabled;
+/** Switch one tab on or off; the background records it and tells the tab. */
+async function setTabEnabled(tabId, enabled) {
+  await chrome.runtime.sendMessage({ type: 'TAB_SET_ENABLED', tabId, enabled }).catch(() => {});
 }
 
 async function setEnabled(enabled) {
   // Optimistic UI
   enabledToggle.checked = enabled;
   setStatus(enabled);
+  if (activeTabId != null) await setTabEnabled(activeTabId, enabled);
+}
+
+/** The toggle follows the active tab; it only works where the content script runs. */
+function renderToggle() {
+  const entry = activeTabId != null ? tabRuns[activeTabId] : null;
+  const usable = !!entry && entry.connectable;
+  enabledToggle.disabled = !usable;
+  enabledToggle.checked = !!entry && entry.enabled;
+  toggleHintEl.hidden = usable;
+  setStatus(!!entry && entry.enabled);
+}
+
+function formatReset(ts) {
+  if (!ts) return '';
+  const d = new Date(ts);
+  const sameDay = d.toDateString() === new Date().toDateString();
+  const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return sameDay ? time : `${d.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+function renderWindow(el, label, w) {
+  const reset = w.used > 0 ? t('quotaNextSlot', [formatReset(w.resetsAt)]) : '';
+  el.textContent = t('quotaLine', [label, w.remaining, w.limit]) + reset;
+  el.classList.toggle('exhausted', w.remaining <= 0);
+}
+
+async function refreshQuota() {
+  const status = await chrome.runtime.sendMessage({ type: 'BUDGET_STATUS' }).catch(() => null);
+  if (!status) return;
+  renderWindow(quotaDailyEl, t('quotaToday'), status.daily);
+  renderWindow(quotaWeeklyEl, t('quotaWeek'), status.weekly);
+}
+
+/** @param {{ kind: string, text: string, until: number }|null} lockout */
+function renderLockout(lockout) {
+  const active = !!lockout && lockout.until > Date.now();
+  lockoutEl.hidden = !active;
+  if (!active) return;
+  lockoutEl.textContent = t('lockoutPaused', [formatReset(lockout.until), lockoutLabel(lockout.kind)]);
+  lockoutEl.title = lockout.text || '';
+}
+
+/** Short label for a search tab: its keywords, else the page title. */
+function runLabel(progress) {
+  if (progress.mode === 'withdraw') return t('runSentInvitations');
+  try {
+    const keywords = new URL(progress.url).searchParams.get('keywords');
+    if (keywords) return `“${keywords}”`;
+  } catch {}
+  return progress.title || t('runDefaultLabel');
+}
+
+/** Tabs with a run or a supported page, the active tab first. */
+function listedTabIds() {
+  const ids = new Set(Object.keys(runStatus));
+  for (const [tabId, r] of Object.entries(tabRuns)) if (r.connectable) ids.add(tabId);
+  return [...ids].sort((a, b) => (Number(b) === activeTabId) - (Number(a) === activeTabId));
+}
+
+function renderRuns() {
+  const tabIds = listedTabIds();
+  runListEl.innerHTML = '';
+  noRunsEl.hidden = tabIds.length > 0;
+
+  for (const tabId of tabIds) {
+    const p = runStatus[tabId] || null;
+    const r = tabRuns[tabId] || null;
+    const isActive = !!p && !['done', 'stopped'].includes(p.phase);
+    const waiting = !!r && r.state === 'waiting';
+    const el = document.createElement('div');
+    el.className = `run${Number(tabId) === activeTabId ? ' current' : ''}`;
+
+    const head = document.createElement('div');
+    head.className = 'run-head';
+    const title = document.createElement('span');
+    title.className = 'title';
+    title.textContent = `${Number(tabId) === activeTabId ? t('runThisTab') : ''}${runLabel(p || { url: r.url, title: r.title })}`;
+    const phase = document.createElement('span');
+    phase.className = `phase${isActive || waiting ? ' active' : ''}`;
+    phase.textContent = waiting ? t('tabWaiting') : p ? t(`phase_${p.phase.replace(/-/g, '_')}`) : t('tabIdle');
+    head.append(title, phase);
+    el.appendChild(head);
+
+    if (p) {
+      const counters = document.createElement('p');
+      counters.className = 'counters';
+      counters.textContent = p.mode === 'withdraw'
+        ? t('withdrawCounters', [t(p.dryRun ? 'withdrawKindDry' : 'withdrawKindReal'), p.runId, p.page, p.buttonsFound, p.withdrawn, p.skipped])
+        : t('runCounters', [t(p.dryRun ? 'runKindDry' : 'runKindReal'), p.runId, p.page, p.buttonsFound, p.sent, p.skipped])
+          + (p.failed || p.unconfirmed ? t('runCountersOutcomes', [p.failed || 0, p.unconfirmed || 0]) : '')
+          + (p.layout ? t('runLayout', [p.layout]) : '');
+      el.appendChild(counters);
+    }
+
+    if (p && (p.lastAction || (isActive && p.pausedBy))) {
+      const action = document.createElement('p');
+      action.className = 'action';
+      action.textContent = isActive && p.pausedBy ? t(`pausedBy_${p.pausedBy}`) : p.lastAction;
+      el.appendChild(action);
+    }
+    if (p && p.lastError) {
+      const error = document.createElement('p');
+      error.className = 'error';
+      error.textContent = p.lastError;
+      el.appendChild(error);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'run-actions';
+    // Pause between actions and resume where the run was
+    if (isActive) {
+      const pause = document.createElement('button');
+      pause.type = 'button';
+      pause.textContent = t(p.pausedBy ? 'resumeBtn' : 'pauseBtn');
+      pause.addEventListener('click', () => {
+        chrome.tabs.sendMessage(Number(tabId), { type: 'LINKEDIN_AUTOCONNECT_PAUSE', paused: !p.pausedBy }).catch(() => {});
+      });
+      actions.appendChild(pause);
+    }
+    // Stop whatever runs in the tab, or switch a supported page on
+    const on = (!!r && r.enabled) || isActive;
+    if (on || (r && r.connectable)) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      if (!on) toggle.className = 'primary';
+      toggle.textContent = t(on ? 'tabStop' : 'tabStart');
+      toggle.addEventListener('click', () => setTabEnabled(Number(tabId), !on));
+      actions.appendChild(toggle);
+    }
+    if (actions.childElementCount) el.appendChild(actions);
+    runListEl.appendChild(el);
+  }
+}
+
+async function loadRuns() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }).catch(() => []);
+  activeTabId = tab ? tab.id : null;
+  runStatus = await chrome.runtime.sendMessage({ type: 'RUN_STATUS_LIST' }).catch(() => ({})) || {};
+  const registry = await chrome.runtime.sendMessage({ type: 'TAB_RUNS_LIST' }).catch(() => null);
+  tabRuns = registry ? registry.tabRuns : {};
+  renderToggle();
+  renderRuns();
+  refreshResume();
+  refreshPending();
+}
+
+/** Interrupted runs **/
+
+/** Newest unexpired checkpoint whose tab isn't running it right now. */
+async function refreshResume() {
+  const { runCheckpoints } = await chrome.storage.local.get({ runCheckpoints: {} });
+  resumable = Object.values(runCheckpoints || {})
+    .filter(cp => cp.expiresAt > Date.now())
+    .filter(cp => !runStatus[cp.tabId] || ['done', 'stopped'].includes(runStatus[cp.tabId].phase))
+    .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+
+  resumeEl.hidden = !resumable;
+  if (!resumable) return;
+  const kind = t(resumable.queue ? 'resumeKindQueue' : resumable.scheduleRunId ? 'resumeKindScheduled' : 'resumeKindRun');
+  resumeSummaryEl.textContent = t('resumeSummary', [
+    kind,
+    runLabel({ url: resumable.pageUrl, title: '' }),
+    resumable.page,
+    resumable.sent,
+    resumable.skipped,
+    formatReset(resumable.updatedAt)
+  ]);
+}
+
+/**
+ * Reopen the checkpoint's page in its tab if that still shows the same search (any
+ * results page), else in a new tab so a tab the user has moved on in is left alone;
+ * the content script resumes from the checkpoint on load. Ordinary runs also need
+ * the toggle On.
+ */
+async function resumeRun() {
+  const cp = resumable;
+  if (!cp) return;
+  resumeEl.hidden = true;
+  const current = cp.tabId != null ? await chrome.tabs.get(cp.tabId).catch(() => null) : null;
+  const tab = current && isSameSearch(current.url, cp.pageUrl)
+    ? await chrome.tabs.update(cp.tabId, { url: cp.pageUrl, active: true }).catch(() => null)
+    : null;
+  const target = tab || await chrome.tabs.create({ url: cp.pageUrl });
+  if (!cp.queue && !cp.scheduleRunId) await setTabEnabled(target.id, true);
+}
+
+/**
+ * Do two URLs show the same search, whichever results page? (`url` is undefined for a
+ * tab outside linkedin.com: the popup only sees URLs it has host permission for.)
+ * @param {string|undefined} url
+ * @param {string} searchUrl
+ */
+function isSameSearch(url, searchUrl) {
+  const key = (href) => {
+    const u = new URL(href);
+    u.searchParams.delete('page');
+    u.searchParams.sort();
+    return `${u.origin}${u.pathname}?${u.searchParams}`;
+  };
+  try {
+    return !!url && key(url) === key(searchUrl);
+  } catch {
+    return false;
+  }
+}
 
-  // Persist
-  await chrome.storage.local.set({ enabled });
+/** Pending invitations **/
 
-  // Ask background to nudge the active tab (fast UX). All tabs will also get storage event.
-  chrome.runtime.sendMessage({ type: 'BROADCAST_TOGGLE', enabled }).catch(() => {});
+function renderPending(snapshot) {
+  const active = activeTabId != null && runStatus[activeTabId];
+  const withdrawing = !!active && active.mode === 'withdraw' && !['done', 'stopped'].includes(active.phase);
+  withdrawBtn.hidden = withdrawing;
+  withdrawStopBtn.hidden = !withdrawing;
+  if (!snapshot) return;
+  pendingStatusEl.textContent = t('pendingSummary', [
+    snapshot.total,
+    snapshot.tracked,
+    snapshot.stale,
+    snapshot.minAgeDays,
+    formatReset(snapshot.scannedAt)
+  ]);
+}
+
+async function refreshPending() {
+  const { pendingInvites } = await chrome.storage.local.get({ pendingInvites: null });
+  renderPending(pendingInvites);
+}
+
+/** Start a withdraw run in the active tab, or open the Sent invitations page first. */
+async function withdrawStale() {
+  const res = activeTabId != null
+    ? await chrome.tabs.sendMessage(activeTabId, { type: 'LINKEDIN_AUTOCONNECT_WITHDRAW' }).catch(() => null)
+    : null;
+  if (res && res.ok) return;
+  if (res && res.reason === 'busy') {
+    pendingStatusEl.textContent = t('pendingBusy');
+    return;
+  }
+  if (res && res.reason === 'other-tab') {
+    pendingStatusEl.textContent = t('pendingOtherTab');
+    return;
+  }
+  chrome.tabs.create({ url: SENT_INVITATIONS_URL });
+  pendingStatusEl.textContent = t('pendingOpened');
+}
+
+/** Saved-search queue **/
+
+function renderQueue(savedSearches, queue) {
+  const running = !!queue && queue.status === 'running';
+  queueStartBtn.hidden = running || savedSearches.length === 0;
+  queueStopBtn.hidden = !running;
+
+  if (running) {
+    const search = savedSearches.find(s => s.id === queue.searchIds[queue.index]);
+    queueStatusEl.textContent = t(queue.waiting ? 'queueWaiting' : 'queueRunning', [queue.index + 1, queue.searchIds.length, search ? search.name : '…']);
+  } else if (queue && queue.results.length) {
+    const sent = queue.results.reduce((n, r) => n + (r.sent || 0), 0);
+    queueStatusEl.textContent = t('queueLast', [t(`phase_${queue.status}`), queue.results.length, queue.searchIds.length, sent]);
+  } else {
+    queueStatusEl.textContent = savedSearches.length
+      ? t('queueCount', [savedSearches.length])
+      : t('queueEmpty');
+  }
+}
+
+async function refreshQueue() {
+  const { savedSearches, searchQueue } = await chrome.storage.local.get({ savedSearches: [], searchQueue: null });
+  renderQueue(savedSearches || [], searchQueue);
+}
+
+/** Dry run **/
+
+function renderPreview(report) {
+  previewEl.hidden = !report;
+  if (!report) return;
+  const state = t(report.finished ? 'previewFinished' : 'previewInProgress');
+  previewSummaryEl.textContent = t('previewSummary', [report.targets.length, report.excluded.length, state]);
+  previewListEl.innerHTML = '';
+  for (const target of report.targets) {
+    const li = document.createElement('li');
+    li.textContent = target.name || target.profileUrl || t('unknownProfile');
+    if (target.note) li.title = target.note;
+    previewListEl.appendChild(li);
+  }
+  for (const x of report.excluded) {
+    const li = document.createElement('li');
+    li.className = 'excluded';
+    li.textContent = `${x.name || t('unknownProfile')} — ${x.reason}`;
+    previewListEl.appendChild(li);
+  }
+  promoteBtn.disabled = report.targets.length === 0;
+}
+
+/**
+ * Turn the preview into a real run: restart the search tab from the preview's
+ * first page with dry run off (or open it in a new tab if it isn't the active one).
+ */
+async function promoteDryRun() {
+  const { dryRunReport } = await chrome.storage.local.get({ dryRunReport: null });
+  if (!dryRunReport) return;
+
+  dryRunToggle.checked = false;
+  enabledToggle.checked = true;
+  setStatus(true);
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }).catch(() => []);
+  const res = tab && await chrome.tabs.sendMessage(tab.id, {
+    type: 'LINKEDIN_AUTOCONNECT_PROMOTE',
+    startUrl: dryRunReport.startUrl
+  }).catch(() => null);
+
+  await chrome.storage.local.set({ dryRun: false });
+  await chrome.storage.local.remove('dryRunReport');
+  // The tab switches itself on when promoted; a new tab is switched on before it loads
+  if (!res) {
+    const created = await chrome.tabs.create({ url: dryRunReport.startUrl });
+    await setTabEnabled(created.id, true);
+  }
 }
 
 (async function init() {
-  const enabled = await getEnabled();
-  enabledToggle.checked = enabled;
-  setStatus(enabled);
+  localizePage();
+  await loadRuns();
 
   enabledToggle.addEventListener('change', async () => {
     await setEnabled(enabledToggle.checked);
   });
+
+  const { dryRun, dryRunReport } = await chrome.storage.local.get({ dryRun: false, dryRunReport: null });
+  dryRunToggle.checked = !!dryRun;
+  renderPreview(dryRunReport);
+  dryRunToggle.addEventListener('change', () => {
+    chrome.storage.local.set({ dryRun: dryRunToggle.checked });
+  });
+  promoteBtn.addEventListener('click', promoteDryRun);
+
+  withdrawBtn.addEventListener('click', withdrawStale);
+  withdrawStopBtn.addEventListener('click', () => {
+    if (activeTabId == null) return;
+    chrome.tabs.sendMessage(activeTabId, { type: 'LINKEDIN_AUTOCONNECT_WITHDRAW', stop: true }).catch(() => {});
+  });
+
+  resumeBtn.addEventListener('click', resumeRun);
+  discardBtn.addEventListener('click', () => {
+    if (!resumable) return;
+    resumeEl.hidden = true;
+    chrome.runtime.sendMessage({ type: 'CHECKPOINT_CLEAR', searchKey: resumable.searchKey }).catch(() => {});
+  });
+
+  refreshQueue();
+  queueStartBtn.addEventListener('click', async () => {
+    const res = await chrome.runtime.sendMessage({ type: 'QUEUE_START' }).catch(() => null);
+    if (!res || !res.ok) queueStatusEl.textContent = t('queueNotStarted', [res ? res.reason : t('noResponse')]);
+  });
+  queueStopBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'QUEUE_STOP' }).catch(() => {});
+  });
+
+  openOptionsEl.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  openHistoryEl.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/history/history.html') });
+  });
+  openAnalyticsEl.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/analytics/analytics.html') });
+  });
+
+  refreshQuota();
+  chrome.storage.local.get({ lockout: null }).then(({ lockout }) => renderLockout(lockout));
+  chrome.runtime.onMessage.addListener((msg, sender) => {
+    if (!msg || msg.type !== 'RUN_PROGRESS' || !sender.tab) return;
+    runStatus[sender.tab.id] = msg.progress;
+    renderRuns();
+    refreshResume();
+    refreshPending();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.inviteLedger) refreshQuota();
+    if (area === 'local' && changes.lockout) renderLockout(changes.lockout.newValue || null);
+    if (area === 'local' && (changes.searchQueue || changes.savedSearches)) refreshQueue();
+    if (area === 'local' && changes.runCheckpoints) refreshResume();
+    if (area === 'local' && changes.pendingInvites) renderPending(changes.pendingInvites.newValue || null);
+    if (area === 'local' && changes.dryRunReport) renderPreview(changes.dryRunReport.newValue || null);
+    if (area === 'sync' && changes.settings) refreshQuota();
+    if (area === 'session' && changes.tabRuns) {
+      tabRuns = changes.tabRuns.newValue || {};
+      renderToggle();
+      renderRuns();
+    }
+  });
 })();
@@ -0,0 +1,46 @@
+/**
+ * i18n.js — chrome.i18n helpers for the extension's pages (popup and newer UI) and
+ * the content script's in-page panel.
+ *
+ * Loaded as a classic script (like settings.js), so everything here is a plain global.
+ *
+ * Messages live in _locales/<locale>/messages.json (English is the default locale).
+ * Static text is marked up with data-i18n="messageKey" (or data-i18n-title for tooltips)
+ * and filled in by localizePage(); dynamic text goes through t().
+ */
+
+/**
+ * The message for `key` in the browser's language, with $1…$9 substitutions.
+ * Falls back to the key itself so a missing message is visible rather than blank.
+ * @param {string} key
+ * @param {(string|number)[]} [substitutions]
+ * @returns {string}
+ */
+function t(key, substitutions) {
+  const subs = substitutions ? substitutions.map(String) : undefined;
+  return chrome.i18n.getMessage(key, subs) || key;
+}
+
+/**
+ * A lockout's signal kind (e.g. 'weekly-limit') in the browser's language.
+ * @param {string} kind
+ * @returns {string}
+ */
+function lockoutLabel(kind) {
+  return chrome.i18n.getMessage(`lockoutKind_${String(kind).replace(/-/g, '_')}`) || t('lockoutKind_other');
+}
+
+/**
+ * Fill [data-i18n] text and [data-i18n-title] tooltips under `root`; for a whole page,
+ * also set <html lang> (not for a shadow root on someone else's page, see panel.js).
+ * @param {ParentNode} [root]
+ */
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+  if (root === document) document.documentElement.lang = chrome.i18n.getUILanguage();
+}
@@ -0,0 +1,149 @@
+/**
+ * layouts.js — versioned layout profiles: every CSS selector the content script needs
+ * for one LinkedIn search-results layout. Shared by the content script and the options page.
+ *
+ * Loaded as a classic script (like settings.js), so everything here is a plain global.
+ *
+ * The content script tries the user's profiles (accepted suggestions, chrome.storage.local
+ * { layoutProfiles }) first, then the built-ins below, and uses the first one whose card
+ * selector matches the page. When none matches but Connect buttons are still found by text,
+ * it records a suggested profile built from the buttons' DOM path ({ layoutSuggestions })
+ * that the options page can accept.
+ */
+
+/**
+ * Card field selectors. Each field lists selectors tried in order; the first non-empty text wins.
+ * @typedef {{ name: string[], headline: string[], location: string[], badge: string[], insight: string[] }} CardFields
+ */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   version: number,
+ *   label: string,
+ *   results: string,
+ *   card: string,
+ *   button: string,
+ *   scope?: string,
+ *   pagination: string,
+ *   fields: CardFields,
+ *   domPath?: string,
+ *   createdAt?: number
+ * }} LayoutProfile
+ * `results` is the list container, `card` one result card, `button` the candidate buttons
+ * inside it, `scope` an optional container searched first (obfuscated layouts), `pagination`
+ * the numbered page list. Suggested profiles also carry the `domPath` they were built from.
+ */
+
+/** @type {CardFields} */
+const DEFAULT_CARD_FIELDS = {
+  name: ['.entity-result__title-text a span[aria-hidden="true"]', '.entity-result__title-text a'],
+  headline: ['.entity-result__primary-subtitle'],
+  location: ['.entity-result__secondary-subtitle'],
+  badge: ['.entity-result__badge-text, .entity-result__badge'],
+  insight: ['.entity-result__simple-insight-text, .entity-result__insights']
+};
+
+const DEFAULT_BUTTON_SELECTOR = 'button:has(span.artdeco-button__text), button.artdeco-button';
+const DEFAULT_PAGINATION_SELECTOR = 'ul.artdeco-pagination__pages, ul[class*="artdeco-pagination__pages"]';
+
+/** Built-in profiles, newest layout first. Bump `version` whenever a profile's selectors change. */
+const LAYOUT_PROFILES = [
+  {
+    id: 'reusable-search',
+    version: 2,
+    label: 'Search results list (reusable-search)',
+    results: 'ul.reusable-search__entity-result-list, div.reusable-search__container',
+    card: 'li.reusable-search__result-container, div.reusable-search__result-container',
+    button: DEFAULT_BUTTON_SELECTOR,
+    pagination: DEFAULT_PAGINATION_SELECTOR,
+    fields: DEFAULT_CARD_FIELDS
+  },
+  {
+    id: 'entity-result',
+    version: 1,
+    label: 'Entity result cards',
+    results: 'div.search-results-container, div.scaffold-finite-scroll__content',
+    card: 'div.entity-result',
+    button: DEFAULT_BUTTON_SELECTOR,
+    pagination: DEFAULT_PAGINATION_SELECTOR,
+    fields: DEFAULT_CARD_FIELDS
+  },
+  {
+    id: 'obfuscated-2024',
+    version: 1,
+    label: 'Obfuscated class names (2024)',
+    results: 'main',
+    card: 'div.trMOuCrxGuyMcoBfUoxZIQAILvdyMtzfftN.SbIBLepHrzBVCRarZbIJSiSzqpwqueZ',
+    scope: 'div.trMOuCrxGuyMcoBfUoxZIQAILvdyMtzfftN.SbIBLepHrzBVCRarZbIJSiSzqpwqueZ',
+    button: 'button.artdeco-button',
+    pagination: DEFAULT_PAGINATION_SELECTOR,
+    fields: DEFAULT_CARD_FIELDS
+  }
+];
+
+/** At most this many accepted profiles and pending suggestions are kept. */
+const MAX_USER_LAYOUTS = 10;
+const MAX_LAYOUT_SUGGESTIONS = 5;
+
+/**
+ * "reusable-search v2" — how a profile is shown in progress, logs and the UI.
+ * @param {LayoutProfile|null} profile
+ * @returns {string}
+ */
+function layoutProfileName(profile) {
+  return profile ? `${profile.id} v${profile.version}` : 'none';
+}
+
+/**
+ * Validate a stored or suggested profile. Unknown keys are dropped and missing
+ * optional selectors fall back to the defaults above.
+ * @param {any} raw
+ * @returns {{ profile: LayoutProfile|null, errors: string[] }}
+ */
+function sanitizeLayoutProfile(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object') return { profile: null, errors: ['Layout profile must be an object.'] };
+
+  const id = String(raw.id || '').trim();
+  if (!/^[\w-]{1,64}$/.test(id)) errors.push('Layout profile id must be 1–64 letters, digits, "-" or "_".');
+  const name = id || 'profile';
+
+  const version = Number(raw.version);
+  const selector = (key, fallback) => {
+    const value = raw[key] == null || raw[key] === '' ? fallback : String(raw[key]).trim();
+    if (value == null) {
+      errors.push(`${name}: ${key} selector is required.`);
+      return '';
+    }
+    if (!isValidSelector(value)) errors.push(`${name}: ${key} is not a valid CSS selector.`);
+    return value;
+  };
+
+  /** @type {LayoutProfile} */
+  const profile = {
+    id,
+    version: Number.isInteger(version) && version >= 1 ? version : 1,
+    label: String(raw.label || id).trim().slice(0, 120),
+    results: selector('results', null),
+    card: selector('card', null),
+    button: selector('button', DEFAULT_BUTTON_SELECTOR),
+    pagination: selector('pagination', DEFAULT_PAGINATION_SELECTOR),
+    fields: {}
+  };
+  if (raw.scope) profile.scope = selector('scope', null);
+
+  for (const [field, fallback] of Object.entries(DEFAULT_CARD_FIELDS)) {
+    const list = raw.fields && Array.isArray(raw.fields[field])
+      ? raw.fields[field].map(s => String(s || '').trim()).filter(Boolean)
+      : [];
+    const bad = list.filter(s => !isValidSelector(s));
+    if (bad.length) errors.push(`${name}: fields.${field} has an invalid selector (${bad[0]}).`);
+    profile.fields[field] = list.length ? list : fallback.slice();
+  }
+
+  if (raw.domPath) profile.domPath = String(raw.domPath).slice(0, 500);
+  if (Number.isFinite(raw.createdAt)) profile.createdAt = raw.createdAt;
+
+  return { profile: errors.length ? null : profile, errors };
+}
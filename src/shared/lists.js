@@ -0,0 +1,196 @@
+/**
+ * lists.js — the blocklist and allowlist (companies, profile URLs, name patterns),
+ * shared by the content script and the options page.
+ *
+ * Loaded as a classic script (like settings.js), so everything here is a plain global.
+ * The service worker has its own module copy of listProfileUrl() in
+ * src/background/profile-url.js; keep the two in step.
+ *
+ * The options page writes { accessLists } to chrome.storage.local (lists of customers or
+ * colleagues outgrow the sync quota); readers pass it through sanitizeAccessLists().
+ * The content script checks every parsed card against them before clicking Connect
+ * (see findListMatch() in targeting.js).
+ *
+ * Entries are stored normalized: companies and name patterns lowercase and
+ * whitespace-collapsed, profiles as https://www.linkedin.com/in/<slug>/.
+ * A name pattern matches the whole name; `*` stands for any text ("* smith").
+ */
+
+/** Entries kept per list and kind. */
+const ACCESS_LIST_MAX_ENTRIES = 5000;
+
+/** Kinds of entries, in the order they are checked and shown. */
+const ACCESS_LIST_KINDS = ['companies', 'profiles', 'names'];
+
+/**
+ * @typedef {{ companies: string[], profiles: string[], names: string[] }} ListEntries
+ * @typedef {{ block: ListEntries, allow: ListEntries, allowOnly: boolean }} AccessLists
+ */
+
+/** @returns {AccessLists} */
+function emptyAccessLists() {
+  return {
+    block: { companies: [], profiles: [], names: [] },
+    allow: { companies: [], profiles: [], names: [] },
+    allowOnly: false // invite only people on the allowlist
+  };
+}
+
+/**
+ * https://www.linkedin.com/in/<slug>/ for a profile link (any subdomain, with or
+ * without scheme, query or hash), or '' when it isn't one.
+ * @param {string} text
+ * @returns {string}
+ */
+function listProfileUrl(text) {
+  const m = String(text || '').trim().match(/^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/([^/?#\s]+)/i);
+  if (!m) return '';
+  try {
+    return `https://www.linkedin.com/in/${decodeURIComponent(m[1]).toLowerCase()}/`;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Normalize one entry of `kind`; '' when it can't be one.
+ * @param {'companies'|'profiles'|'names'} kind
+ * @param {any} value
+ * @returns {string}
+ */
+function normalizeListEntry(kind, value) {
+  if (kind === 'profiles') return listProfileUrl(value);
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize, de-duplicate and cap the entries of one list.
+ * @param {any} raw
+ * @returns {ListEntries}
+ */
+function sanitizeListEntries(raw) {
+  const entries = {};
+  for (const kind of ACCESS_LIST_KINDS) {
+    const values = raw && Array.isArray(raw[kind]) ? raw[kind] : [];
+    const normalized = values.map(v => normalizeListEntry(kind, v)).filter(Boolean);
+    entries[kind] = Array.from(new Set(normalized)).slice(0, ACCESS_LIST_MAX_ENTRIES);
+  }
+  return entries;
+}
+
+/**
+ * Stored lists with every field present and normalized.
+ * @param {any} raw
+ * @returns {AccessLists}
+ */
+function sanitizeAccessLists(raw) {
+  const lists = emptyAccessLists();
+  if (!raw || typeof raw !== 'object') return lists;
+  lists.block = sanitizeListEntries(raw.block);
+  lists.allow = sanitizeListEntries(raw.allow);
+  lists.allowOnly = raw.allowOnly === true;
+  return lists;
+}
+
+/** CSV header cells naming a column's kind. */
+const LIST_CSV_HEADERS = {
+  companies: ['company', 'companies', 'company name', 'organization', 'organisation', 'account', 'account name'],
+  profiles: ['profile', 'profiles', 'profile url', 'url', 'linkedin', 'linkedin url'],
+  names: ['name', 'names', 'name pattern', 'full name', 'person']
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting; `,` or `;` separated).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cellText = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cellText += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cellText += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === sep) {
+      row.push(cellText.trim());
+      cellText = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(cellText.trim());
+      rows.push(row);
+      row = [];
+      cellText = '';
+    } else {
+      cellText += c;
+    }
+  }
+  row.push(cellText.trim());
+  rows.push(row);
+  return rows.filter(r => r.some(Boolean));
+}
+
+/**
+ * Entries from a CSV. Either each row is `kind,value` ("company,Acme", after an
+ * optional "type,value" header), or a header row names the columns ("company",
+ * "profile url", "name"…). Profile links are recognized in any cell either way.
+ * @param {string} text
+ * @returns {{ entries: ListEntries, ignored: number }} `ignored`: non-empty cells not used
+ */
+function parseAccessListCsv(text) {
+  const rows = parseCsvRows(text);
+  const entries = { companies: [], profiles: [], names: [] };
+  let ignored = 0;
+  const add = (kind, value) => {
+    const entry = normalizeListEntry(kind, value);
+    if (entry) entries[kind].push(entry);
+    else ignored += 1;
+  };
+  const kindOf = (cell) => ACCESS_LIST_KINDS.find(k => LIST_CSV_HEADERS[k].includes(normalizeListEntry('names', cell))) || null;
+  const isPairRow = (row) => !!kindOf(row[0]) && !!row[1] && !kindOf(row[1]);
+
+  const body = rows.length && /^(type|kind|list)$/i.test(rows[0][0] || '') ? rows.slice(1) : rows;
+  if (body.length && body.every(row => isPairRow(row) || listProfileUrl(row[0]))) {
+    for (const [first, second] of body) {
+      if (listProfileUrl(first)) add('profiles', first);
+      else add(kindOf(first), second);
+    }
+  } else {
+    const header = rows.length ? rows[0].map(kindOf) : [];
+    const hasHeader = header.some(Boolean);
+    for (const row of hasHeader ? rows.slice(1) : rows) {
+      row.forEach((cellValue, i) => {
+        if (!cellValue) return;
+        if (listProfileUrl(cellValue)) add('profiles', cellValue);
+        else if (header[i]) add(header[i], cellValue);
+        else ignored += 1;
+      });
+    }
+  }
+  return { entries: sanitizeListEntries(entries), ignored };
+}
+
+/**
+ * Add `extra` entries to `entries` (normalized, de-duplicated, capped).
+ * @param {ListEntries} entries
+ * @param {ListEntries} extra
+ * @returns {ListEntries}
+ */
+function mergeListEntries(entries, extra) {
+  const merged = {};
+  for (const kind of ACCESS_LIST_KINDS) merged[kind] = [...(entries[kind] || []), ...(extra[kind] || [])];
+  return sanitizeListEntries(merged);
+}
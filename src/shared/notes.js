@@ -0,0 +1,93 @@
+/**
+ * notes.js — invitation note templates, shared by the content script and the options page.
+ *
+ * Loaded as a classic script (like settings.js), so everything here is a plain global.
+ *
+ * Template syntax: {firstName}, {lastName}, {name}, {company}, {headline}, {location}.
+ * A fallback can follow a pipe for when the card doesn't provide the value:
+ * "Hi {firstName|there}, I saw your work at {company|your company}."
+ */
+
+/** LinkedIn rejects notes longer than this. */
+const NOTE_CHAR_LIMIT = 300;
+
+/** Variables a template may use, with sample values for previews. */
+const NOTE_SAMPLE_VARS = {
+  firstName: 'Ana',
+  lastName: 'Souza',
+  name: 'Ana Souza',
+  company: 'Acme',
+  headline: 'Backend Engineer at Acme',
+  location: 'Berlin, Germany'
+};
+
+/**
+ * Best-effort company from a headline such as "Backend Engineer at Acme | Go, k8s".
+ * @param {string} headline
+ * @returns {string}
+ */
+function companyFromHeadline(headline) {
+  return companiesFromHeadline(headline).pop() || '';
+}
+
+/**
+ * Every company a headline names after "at"/"@" (or the other languages' word), in
+ * order: "CTO at Acme | Advisor at Box" gives ["Acme", "Box"].
+ * @param {string} headline
+ * @returns {string[]}
+ */
+function companiesFromHeadline(headline) {
+  const parts = String(headline || '').split(/\s+(?:at|@|em|en|na|no|bei|chez|presso|bij)\s+/i);
+  return parts.slice(1).map(part => part.split(/\s*[|•·,;]\s*/)[0].trim()).filter(Boolean);
+}
+
+/**
+ * Build template variables from parsed card details.
+ * @param {{ name?: string, headline?: string, location?: string }} info
+ * @returns {Record<string, string>}
+ */
+function noteVarsFromCard(info) {
+  const name = String(info.name || '').trim();
+  const [firstName = '', ...rest] = name.split(/\s+/);
+  return {
+    firstName,
+    lastName: rest.join(' '),
+    name,
+    company: companyFromHeadline(info.headline),
+    headline: String(info.headline || '').trim(),
+    location: String(info.location || '').trim()
+  };
+}
+
+/**
+ * Substitute variables (no length limit; see renderNoteTemplate).
+ * @param {string} template
+ * @param {Record<string, string>} vars
+ * @returns {string}
+ */
+function fillNoteTemplate(template, vars) {
+  return String(template || '')
+    .replace(/\{(\w+)(?:\|([^}]*))?\}/g, (m, key, fallback) => {
+      const v = vars[key];
+      return v ? v : (fallback != null ? fallback : '');
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ +([,.!?])/g, '$1')
+    .trim();
+}
+
+/**
+ * Fill a template and enforce the character limit (cut at a word boundary).
+ * @param {string} template
+ * @param {Record<string, string>} vars
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+function renderNoteTemplate(template, vars, maxChars = NOTE_CHAR_LIMIT) {
+  const text = fillNoteTemplate(template, vars);
+  const limit = Math.min(maxChars, NOTE_CHAR_LIMIT);
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > limit * 0.6 ? cut.slice(0, lastSpace) : cut).trim();
+}
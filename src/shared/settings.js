@@ -0,0 +1,301 @@
+/**
+ * settings.js — user-editable settings shared by the content script and the options page.
+ *
+ * Loaded as a classic script (listed before content.js in the manifest and via
+ * <script> in options.html), so everything here is a plain global.
+ *
+ * The options page writes { settings } to chrome.storage.sync; readers always
+ * pass it through sanitizeSettings() so a hand-edited or stale object can never
+ * make pacing faster or caps higher than the built-in defaults.
+ */
+
+/** Built-in defaults. Delays are floors and caps are ceilings for user settings. */
+const DEFAULT_SETTINGS = {
+  // Pacing (milliseconds)
+  DELAYS: {
+    CONNECT_CLICK_MIN: 800,
+    CONNECT_CLICK_MAX: 1500,
+    PAGE_CHANGE_MIN: 1200,
+    PAGE_CHANGE_MAX: 2500,
+    DIALOG_APPEAR_TIMEOUT: 5000,
+    RESULTS_CHANGE_TIMEOUT: 12000,
+    SEND_VERIFY_TIMEOUT: 6000 // how long a send may take to show "Pending" on the card
+  },
+  // Safety caps
+  MAX_INVITES_PER_PAGE: 8,   // default small number; adjust carefully
+  MAX_PAGES_PER_RUN: 3,      // default small number; adjust carefully
+  DAILY_INVITE_LIMIT: 20,    // rolling 24h budget (enforced by the service worker)
+  WEEKLY_INVITE_LIMIT: 100,  // rolling 7-day budget (enforced by the service worker)
+
+  // Pause after LinkedIn warnings (hours); may be made longer, not shorter
+  LOCKOUT_HOURS: {
+    WEEKLY_LIMIT: 72,   // "You've reached the weekly invitation limit"
+    SECURITY_CHECK: 24, // CAPTCHA / security verification
+    SEND_FAILED: 6      // "Your invitation couldn't be sent"
+  },
+
+  // Cross-session dedupe: days before a skipped (not invited) profile may be tried again
+  SKIP_COOLDOWN_DAYS: 30,
+
+  // Card targeting rules (empty lists / 0 = no constraint). Keywords are lowercase.
+  FILTERS: {
+    HEADLINE_ANY: [],   // headline must contain at least one of these
+    HEADLINE_NONE: [],  // headline must contain none of these
+    LOCATION_ANY: [],
+    LOCATION_NONE: [],
+    DEGREES: [],        // allowed connection degrees, e.g. [2]; 3 also matches "3rd+"
+    MIN_MUTUAL: 0       // minimum mutual connections
+  },
+
+  // Withdrawing stale invitations on "Manage invitations → Sent"
+  WITHDRAW: {
+    MIN_AGE_DAYS: 21,   // only invites pending at least this long
+    MAX_PER_RUN: 10     // cap per withdrawal run; may be lowered, not raised
+  },
+
+  // Personalized "Add a note" invitations (templates: see src/shared/notes.js)
+  NOTES: {
+    ENABLED: false,
+    MAX_CHARS: 300,     // LinkedIn's note limit; may be lowered, not raised
+    TEMPLATES: []       // [{ id, name, text }]; one is picked at random per invite
+  },
+
+  // In-page control panel on search results (src/content/panel.js)
+  PANEL: {
+    ENABLED: false
+  },
+
+  // Keywords (keep all lowercase; normText lowercases DOM text)
+  KW: {
+    CONNECT: ['connect', 'conectar', 'invite', 'invitar', 'convidar', 'connecter', 'connetti', 'verbinden'],
+    PENDING: ['pending', 'pendente', 'pendiente', 'en attente'],
+    MESSAGE: ['message', 'mensagem', 'mensaje', 'messaggio'],
+    FOLLOW:  ['follow', 'seguir', 'suivre', 'segui'],
+    WITHDRAW: ['withdraw', 'retirar', 'retirer', 'zurückziehen', 'ritira']
+  },
+
+  // Optional extra container to search for Connect buttons first. Layout-specific
+  // selectors live in the layout profiles (src/shared/layouts.js).
+  SELECTORS: {
+    OB_CONTAINER: ''
+  }
+};
+
+/** Upper bound for any single delay, so a typo can't stall a run for hours. */
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+/** Upper bound for any LOCKOUT_HOURS value (30 days). */
+const MAX_LOCKOUT_HOURS = 720;
+
+/** Upper bound for SKIP_COOLDOWN_DAYS. */
+const MAX_COOLDOWN_DAYS = 365;
+
+/** Upper bound for WITHDRAW.MIN_AGE_DAYS. */
+const MAX_WITHDRAW_AGE_DAYS = 365;
+
+/** Note templates: how many, and how long the raw (unrendered) text may be. */
+const MAX_NOTE_TEMPLATES = 10;
+const MAX_TEMPLATE_LENGTH = 1000;
+
+/** Deep copy of the defaults (plain JSON data only). */
+function cloneDefaultSettings() {
+  return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+/**
+ * Validate a settings object and merge it over the defaults.
+ * Invalid fields fall back to their default and are reported in `errors`.
+ * @param {any} raw
+ * @returns {{ settings: typeof DEFAULT_SETTINGS, errors: string[] }}
+ */
+function sanitizeSettings(raw) {
+  const settings = cloneDefaultSettings();
+  const errors = [];
+  if (!raw || typeof raw !== 'object') return { settings, errors };
+
+  const toInt = (v) => (typeof v === 'string' && v.trim() !== '' ? Number(v) : v);
+
+  // Delays: never below the defaults
+  const delays = raw.DELAYS || {};
+  for (const key of Object.keys(DEFAULT_SETTINGS.DELAYS)) {
+    if (delays[key] == null) continue;
+    const v = toInt(delays[key]);
+    const min = DEFAULT_SETTINGS.DELAYS[key];
+    if (!Number.isInteger(v) || v < min || v > MAX_DELAY_MS) {
+      errors.push(`DELAYS.${key} must be a whole number between ${min} and ${MAX_DELAY_MS}.`);
+    } else {
+      settings.DELAYS[key] = v;
+    }
+  }
+  for (const [lo, hi] of [['CONNECT_CLICK_MIN', 'CONNECT_CLICK_MAX'], ['PAGE_CHANGE_MIN', 'PAGE_CHANGE_MAX']]) {
+    if (settings.DELAYS[lo] > settings.DELAYS[hi]) {
+      errors.push(`DELAYS.${lo} must not exceed DELAYS.${hi}.`);
+      settings.DELAYS[lo] = DEFAULT_SETTINGS.DELAYS[lo];
+      settings.DELAYS[hi] = Math.max(settings.DELAYS[hi], DEFAULT_SETTINGS.DELAYS[hi]);
+    }
+  }
+
+  // Caps: never above the defaults
+  for (const key of ['MAX_INVITES_PER_PAGE', 'MAX_PAGES_PER_RUN', 'DAILY_INVITE_LIMIT', 'WEEKLY_INVITE_LIMIT']) {
+    if (raw[key] == null) continue;
+    const v = toInt(raw[key]);
+    const max = DEFAULT_SETTINGS[key];
+    if (!Number.isInteger(v) || v < 1 || v > max) {
+      errors.push(`${key} must be a whole number between 1 and ${max}.`);
+    } else {
+      settings[key] = v;
+    }
+  }
+  if (settings.DAILY_INVITE_LIMIT > settings.WEEKLY_INVITE_LIMIT) {
+    errors.push('DAILY_INVITE_LIMIT must not exceed WEEKLY_INVITE_LIMIT.');
+    settings.DAILY_INVITE_LIMIT = Math.min(DEFAULT_SETTINGS.DAILY_INVITE_LIMIT, settings.WEEKLY_INVITE_LIMIT);
+  }
+
+  // Lockouts: never shorter than the defaults
+  const lockoutHours = raw.LOCKOUT_HOURS || {};
+  for (const key of Object.keys(DEFAULT_SETTINGS.LOCKOUT_HOURS)) {
+    if (lockoutHours[key] == null) continue;
+    const v = toInt(lockoutHours[key]);
+    const min = DEFAULT_SETTINGS.LOCKOUT_HOURS[key];
+    if (!Number.isInteger(v) || v < min || v > MAX_LOCKOUT_HOURS) {
+      errors.push(`LOCKOUT_HOURS.${key} must be a whole number between ${min} and ${MAX_LOCKOUT_HOURS}.`);
+    } else {
+      settings.LOCKOUT_HOURS[key] = v;
+    }
+  }
+
+  // Cool-down: 0 (retry skipped profiles right away) up to a year
+  if (raw.SKIP_COOLDOWN_DAYS != null) {
+    const v = toInt(raw.SKIP_COOLDOWN_DAYS);
+    if (!Number.isInteger(v) || v < 0 || v > MAX_COOLDOWN_DAYS) {
+      errors.push(`SKIP_COOLDOWN_DAYS must be a whole number between 0 and ${MAX_COOLDOWN_DAYS}.`);
+    } else {
+      settings.SKIP_COOLDOWN_DAYS = v;
+    }
+  }
+
+  // Stale-invite withdrawal
+  const withdraw = raw.WITHDRAW || {};
+  if (withdraw.MIN_AGE_DAYS != null) {
+    const v = toInt(withdraw.MIN_AGE_DAYS);
+    if (!Number.isInteger(v) || v < 1 || v > MAX_WITHDRAW_AGE_DAYS) {
+      errors.push(`WITHDRAW.MIN_AGE_DAYS must be a whole number between 1 and ${MAX_WITHDRAW_AGE_DAYS}.`);
+    } else {
+      settings.WITHDRAW.MIN_AGE_DAYS = v;
+    }
+  }
+  if (withdraw.MAX_PER_RUN != null) {
+    const v = toInt(withdraw.MAX_PER_RUN);
+    const max = DEFAULT_SETTINGS.WITHDRAW.MAX_PER_RUN;
+    if (!Number.isInteger(v) || v < 1 || v > max) errors.push(`WITHDRAW.MAX_PER_RUN must be a whole number between 1 and ${max}.`);
+    else settings.WITHDRAW.MAX_PER_RUN = v;
+  }
+
+  // Targeting rules
+  const filters = raw.FILTERS || {};
+  for (const key of ['HEADLINE_ANY', 'HEADLINE_NONE', 'LOCATION_ANY', 'LOCATION_NONE']) {
+    if (filters[key] == null) continue;
+    if (!Array.isArray(filters[key])) errors.push(`FILTERS.${key} must be a list of keywords.`);
+    else settings.FILTERS[key] = normalizeTokens(filters[key]);
+  }
+  if (filters.DEGREES != null) {
+    const degrees = Array.isArray(filters.DEGREES) ? filters.DEGREES.map(toInt) : null;
+    if (!degrees || degrees.some(d => ![1, 2, 3].includes(d))) {
+      errors.push('FILTERS.DEGREES may only contain 1, 2 and 3.');
+    } else {
+      settings.FILTERS.DEGREES = Array.from(new Set(degrees)).sort();
+    }
+  }
+  if (filters.MIN_MUTUAL != null) {
+    const v = toInt(filters.MIN_MUTUAL);
+    if (!Number.isInteger(v) || v < 0) errors.push('FILTERS.MIN_MUTUAL must be a whole number of 0 or more.');
+    else settings.FILTERS.MIN_MUTUAL = v;
+  }
+
+  // Note templates
+  const notes = raw.NOTES || {};
+  if (notes.ENABLED != null) settings.NOTES.ENABLED = !!notes.ENABLED;
+  if (notes.MAX_CHARS != null) {
+    const v = toInt(notes.MAX_CHARS);
+    const max = DEFAULT_SETTINGS.NOTES.MAX_CHARS;
+    if (!Number.isInteger(v) || v < 1 || v > max) errors.push(`NOTES.MAX_CHARS must be a whole number between 1 and ${max}.`);
+    else settings.NOTES.MAX_CHARS = v;
+  }
+  if (notes.TEMPLATES != null) {
+    if (!Array.isArray(notes.TEMPLATES)) {
+      errors.push('NOTES.TEMPLATES must be a list.');
+    } else {
+      const templates = notes.TEMPLATES
+        .filter(t => t && String(t.text || '').trim())
+        .map((t, i) => ({
+          id: String(t.id || `t${i + 1}`),
+          name: String(t.name || '').trim() || `Template ${i + 1}`,
+          text: String(t.text).trim()
+        }));
+      if (templates.length > MAX_NOTE_TEMPLATES) errors.push(`At most ${MAX_NOTE_TEMPLATES} note templates are allowed.`);
+      if (templates.some(t => t.text.length > MAX_TEMPLATE_LENGTH)) errors.push(`Note templates must be at most ${MAX_TEMPLATE_LENGTH} characters.`);
+      settings.NOTES.TEMPLATES = templates
+        .slice(0, MAX_NOTE_TEMPLATES)
+        .filter(t => t.text.length <= MAX_TEMPLATE_LENGTH);
+    }
+  }
+  if (settings.NOTES.ENABLED && settings.NOTES.TEMPLATES.length === 0) {
+    errors.push('Add at least one note template to enable personalized notes.');
+    settings.NOTES.ENABLED = false;
+  }
+
+  // In-page panel
+  const panel = raw.PANEL || {};
+  if (panel.ENABLED != null) settings.PANEL.ENABLED = !!panel.ENABLED;
+
+  // Keyword lists: lowercase, non-empty tokens
+  const kw = raw.KW || {};
+  for (const key of Object.keys(DEFAULT_SETTINGS.KW)) {
+    if (kw[key] == null) continue;
+    if (!Array.isArray(kw[key])) {
+      errors.push(`KW.${key} must be a list of keywords.`);
+      continue;
+    }
+    const tokens = normalizeTokens(kw[key]);
+    if (tokens.length === 0) {
+      errors.push(`KW.${key} needs at least one keyword.`);
+    } else {
+      settings.KW[key] = tokens;
+    }
+  }
+
+  // Selectors: empty disables the extra container; otherwise it must parse
+  const sel = raw.SELECTORS && raw.SELECTORS.OB_CONTAINER;
+  if (sel != null) {
+    const s = String(sel).trim();
+    if (s && !isValidSelector(s)) {
+      errors.push('SELECTORS.OB_CONTAINER is not a valid CSS selector.');
+    } else {
+      settings.SELECTORS.OB_CONTAINER = s;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Lowercase, whitespace-collapse and de-duplicate keyword tokens; drop empties.
+ * @param {any[]} list
+ * @returns {string[]}
+ */
+function normalizeTokens(list) {
+  const tokens = list
+    .map(t => String(t || '').toLowerCase().replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return Array.from(new Set(tokens));
+}
+
+/** @param {string} selector */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,81 @@
+/* detect.test.js — queryConnectButtons() on saved result pages. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/content-script');
+
+/** Whose card each button is on (the fixtures tag cards with data-test-card). */
+function owners(buttons) {
+  return Array.from(buttons, b => b.closest('[data-test-card]').getAttribute('data-test-card'));
+}
+
+test('finds one Connect per card and skips Pending, Message and hidden cards', (t) => {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+
+  assert.deepEqual(owners(page.run('queryConnectButtons()')), ['ana', 'dee', 'finn']);
+  assert.equal(page.run('STATE.layout'), 'reusable-search v2');
+});
+
+test('a Follow-only card is offered once, through its "More" button', (t) => {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+
+  const buttons = page.run('queryConnectButtons()');
+  const more = buttons[1];
+  assert.equal(more.getAttribute('aria-label'), 'More actions');
+  assert.equal(page.run('isOverflowTrigger')(more), true);
+  assert.equal(page.run('isOverflowTrigger')(buttons[0]), false);
+  assert.equal(buttons.filter(b => b === more).length, 1);
+});
+
+test('obfuscated class names are matched by the 2024 layout profile', (t) => {
+  const page = loadPage('search-obfuscated.html');
+  t.after(page.close);
+
+  const buttons = page.run('queryConnectButtons()');
+  assert.deepEqual(Array.from(buttons, b => b.getAttribute('aria-label')), [
+    'Invite Gia Rossi to connect',
+    'Invite Ivy Tanaka to connect'
+  ]);
+  assert.equal(page.run('STATE.layout'), 'obfuscated-2024 v1');
+});
+
+test('German page: Vernetzen is found, Ausstehend and Nachricht are not', (t) => {
+  const page = loadPage('search-results-de.html');
+  t.after(page.close);
+
+  assert.deepEqual(owners(page.run('queryConnectButtons()')), ['jonas']);
+});
+
+test('buttons that turn Pending drop out of the next scan', (t) => {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+
+  const [ana] = page.run('queryConnectButtons()');
+  ana.querySelector('.artdeco-button__text').textContent = 'Pending';
+  assert.deepEqual(owners(page.run('queryConnectButtons()')), ['dee', 'finn']);
+});
+
+test('no layout profile matched: buttons are still found by text and a profile is suggested', (t) => {
+  const page = loadPage('search-obfuscated.html');
+  t.after(page.close);
+  // A page from before the obfuscated profile existed
+  page.run("CONFIG.LAYOUTS = CONFIG.LAYOUTS.filter(p => p.id !== 'obfuscated-2024')");
+
+  const buttons = page.run('queryConnectButtons()');
+  assert.equal(buttons.length, 2);
+  const suggestion = page.chrome.sent.find(msg => msg.type === 'LAYOUT_SUGGEST');
+  assert.ok(suggestion, 'a LAYOUT_SUGGEST message was sent');
+  assert.match(suggestion.profile.card, /trMOuCrxGuyMcoBfUoxZIQAILvdyMtzfftN/);
+});
+
+test('People you may know: only buttons inside person cards count', (t) => {
+  const page = loadPage('mynetwork-grow.html', { url: 'https://www.linkedin.com/mynetwork/grow/' });
+  t.after(page.close);
+
+  assert.deepEqual(owners(page.run('queryConnectButtons()')), ['mia', 'oli']);
+  assert.equal(page.run('currentSurface().id'), 'my-network');
+});
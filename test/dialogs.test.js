@@ -0,0 +1,205 @@
+/* dialogs.test.js — waitForDialogOrPending() and clickConnectAndConfirm() against the
+ * saved invite modals (confirm, "Add a note", email gate, weekly limit). */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, appendFixture, showPending, answerWithDialog } = require('./helpers/content-script');
+
+/** A page with a run in progress and short timeouts. */
+function loadRunningPage(fixture) {
+  const page = loadPage(fixture);
+  page.run(`
+    Object.assign(CONFIG.DELAYS, { DIALOG_APPEAR_TIMEOUT: 500, SEND_VERIFY_TIMEOUT: 800 });
+    STATE.enabled = true;
+    STATE.running = true;
+  `);
+  return page;
+}
+
+/** The Connect button on the card tagged `name`. */
+function connectButton(page, name) {
+  return page.document.querySelector(`[data-test-card="${name}"] button`);
+}
+
+test('waitForDialogOrPending: true once a dialog opens', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  page.window.setTimeout(() => appendFixture(page.document, 'dialog-send-without-note.html'), 100);
+
+  assert.equal(await page.run('waitForDialogOrPending')(connectButton(page, 'ana')), true);
+});
+
+test('waitForDialogOrPending: false when the button turns Pending without a dialog', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  page.window.setTimeout(() => showPending(ana), 100);
+
+  assert.equal(await page.run('waitForDialogOrPending')(ana), false);
+});
+
+test('waitForDialogOrPending: false after the timeout when nothing happens', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+
+  const start = Date.now();
+  assert.equal(await page.run('waitForDialogOrPending')(connectButton(page, 'ana')), false);
+  assert.ok(Date.now() - start >= 500);
+});
+
+test('waitForDialogOrPending: gives up as soon as the extension is switched off', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  page.run('STATE.enabled = false');
+
+  const start = Date.now();
+  assert.equal(await page.run('waitForDialogOrPending')(connectButton(page, 'ana')), false);
+  assert.ok(Date.now() - start < 500);
+});
+
+test('clickConnectAndConfirm: sends without a note and confirms the Pending button', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  answerWithDialog(page.document, ana, 'dialog-send-without-note.html');
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'sent');
+  assert.equal(result.status, 'sent');
+  assert.equal(result.note, null);
+  assert.equal(page.run('getTopmostDialog()'), null);
+  assert.equal(ana.textContent.trim(), 'Pending');
+});
+
+test('clickConnectAndConfirm: no dialog at all, the button turns Pending', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  ana.addEventListener('click', () => showPending(ana));
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'sent');
+});
+
+test('clickConnectAndConfirm: nothing on the page confirms the send', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'unverified');
+  assert.equal(result.status, 'unknown');
+});
+
+test('clickConnectAndConfirm: an error toast after the click fails the invite', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  page.document.body.insertAdjacentHTML('beforeend',
+    '<div class="artdeco-toast-item" data-test-artdeco-toast-item-type="error">An earlier error</div>');
+  ana.addEventListener('click', () => {
+    page.document.body.insertAdjacentHTML('beforeend',
+      '<div class="artdeco-toast-item" data-test-artdeco-toast-item-type="error">Something went wrong. Please try again.</div>');
+  });
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'failed-toast');
+  assert.equal(result.status, 'failed');
+  assert.equal(result.toast, 'Something went wrong. Please try again.');
+});
+
+test('clickConnectAndConfirm: with a note, fills "Add a note" and sends it', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  answerWithDialog(page.document, ana, 'dialog-send-without-note.html');
+  let typed = null;
+  page.document.addEventListener('input', (event) => { typed = event.target.value; }, true);
+  const note = { templateId: 't1', templateName: 'Hello', text: 'Hi Ana, great talk at the meetup!' };
+
+  const result = await page.run('clickConnectAndConfirm')(ana, note);
+  assert.equal(result.outcome, 'sent');
+  assert.equal(result.note.text, note.text);
+  assert.equal(typed, note.text);
+  assert.equal(ana.textContent.trim(), 'Pending');
+});
+
+test('clickConnectAndConfirm: the email gate is dismissed and skipped', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  answerWithDialog(page.document, ana, 'dialog-email-gate.html');
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'skipped-email-gate');
+  assert.equal(result.status, 'skipped');
+  assert.equal(page.run('getTopmostDialog()'), null);
+  assert.equal(ana.textContent.trim(), 'Connect');
+});
+
+test('clickConnectAndConfirm: a weekly-limit notice is reported as blocked and left open', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const ana = connectButton(page, 'ana');
+  answerWithDialog(page.document, ana, 'dialog-weekly-limit.html');
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'blocked');
+  assert.equal(result.status, 'failed');
+  assert.equal(result.warning.kind, 'weekly-limit');
+  assert.ok(page.run('getTopmostDialog()'));
+});
+
+test('clickConnectAndConfirm: German modal, "Ohne Nachricht senden"', async (t) => {
+  const page = loadRunningPage('search-results-de.html');
+  t.after(page.close);
+  const jonas = connectButton(page, 'jonas');
+  let clicked = null;
+  page.document.addEventListener('click', (event) => { clicked = event.target.closest('button'); }, true);
+  answerWithDialog(page.document, jonas, 'dialog-send-without-note-de.html');
+
+  const result = await page.run('clickConnectAndConfirm')(jonas);
+  assert.equal(clicked.getAttribute('aria-label'), 'Ohne Nachricht senden');
+  assert.equal(result.outcome, 'sent');
+});
+
+test('clickConnectAndConfirm: picks Connect from a card\'s "More" menu', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  const more = page.run('queryConnectButtons()')[1];
+  // The artdeco dropdown stays in the DOM and is only hidden when closed
+  more.insertAdjacentHTML('afterend', `
+    <div class="artdeco-dropdown__content" role="menu" hidden>
+      <div class="artdeco-dropdown__item" role="button">Send profile in a message</div>
+      <div class="artdeco-dropdown__item" role="button">Connect</div>
+    </div>`);
+  const menu = more.nextElementSibling;
+  const item = menu.querySelectorAll('[role="button"]')[1];
+  more.addEventListener('click', () => {
+    const open = more.getAttribute('aria-expanded') === 'true';
+    more.setAttribute('aria-expanded', String(!open));
+    menu.hidden = open;
+  });
+  item.addEventListener('click', () => showPending(item));
+
+  const result = await page.run('clickConnectAndConfirm')(more);
+  assert.equal(result.outcome, 'sent');
+  assert.equal(item.textContent.trim(), 'Pending');
+  assert.equal(more.getAttribute('aria-expanded'), 'false');
+});
+
+test('clickConnectAndConfirm: a dry run only outlines the card', async (t) => {
+  const page = loadRunningPage('search-results.html');
+  t.after(page.close);
+  page.run('STATE.dryRun = true');
+  const ana = connectButton(page, 'ana');
+  let clicks = 0;
+  ana.addEventListener('click', () => { clicks += 1; });
+
+  const result = await page.run('clickConnectAndConfirm')(ana);
+  assert.equal(result.outcome, 'previewed');
+  assert.equal(clicks, 0);
+  assert.equal(ana.closest('.entity-result').getAttribute('data-li-autoconnect-preview'), 'target');
+});
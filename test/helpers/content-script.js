@@ -0,0 +1,165 @@
+/* content-script.js
+ * Loads the content script into a jsdom window the way Chrome does: the classic scripts
+ * listed in manifest.json, in order, evaluated with vm in one shared global scope.
+ * content.js is left out (it boots a run on load); everything it calls is loaded.
+ *
+ * jsdom does no layout, so elements get a fixed box unless they or an ancestor are
+ * display:none (isVisible() depends on it), and innerText falls back to textContent.
+ * It has no CSS.escape() either; a minimal one is added.
+ * Arrays returned by `run` belong to the page: copy them (Array.from) before deepEqual.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/** The content script's files, in manifest order, without the controller. */
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'))
+  .content_scripts[0].js
+  .filter(file => !file.endsWith('/content.js'));
+
+/** @param {string} name file name in test/fixtures */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/** Give every rendered element a box, as isVisible() expects from a real page. */
+function installLayout(window) {
+  const { HTMLElement } = window;
+  const rendered = (el) => {
+    for (let node = el; node; node = node.parentElement) {
+      if (window.getComputedStyle(node).display === 'none') return false;
+    }
+    return el.isConnected;
+  };
+  const box = (el) => (rendered(el) ? { width: 120, height: 32 } : { width: 0, height: 0 });
+
+  HTMLElement.prototype.getBoundingClientRect = function () {
+    const { width, height } = box(this);
+    return { x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height, toJSON() { return this; } };
+  };
+  HTMLElement.prototype.getClientRects = function () {
+    return rendered(this) ? [this.getBoundingClientRect()] : [];
+  };
+  Object.defineProperty(HTMLElement.prototype, 'offsetWidth', { get() { return box(this).width; } });
+  Object.defineProperty(HTMLElement.prototype, 'offsetHeight', { get() { return box(this).height; } });
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    get() { return this.textContent; },
+    set(value) { this.textContent = value; }
+  });
+  if (!window.CSS) {
+    window.CSS = { escape: (value) => String(value).replace(/^\d|[^\w-]/g, c => `\\${c.codePointAt(0).toString(16)} `) };
+  }
+}
+
+/** The chrome.* calls the content script makes, answered with empty results. */
+function chromeStub() {
+  const sent = [];
+  const area = () => ({
+    get: async (defaults) => (defaults && typeof defaults === 'object' ? { ...defaults } : {}),
+    set: async () => {},
+    remove: async () => {}
+  });
+  return {
+    sent,
+    runtime: {
+      sendMessage: async (msg) => {
+        sent.push(msg);
+        return { ok: true };
+      },
+      onMessage: { addListener() {} }
+    },
+    storage: { local: area(), sync: area(), onChanged: { addListener() {} } },
+    i18n: { getMessage: (key) => key, getUILanguage: () => 'en' }
+  };
+}
+
+/**
+ * A page from test/fixtures with the content script loaded.
+ * @param {string} fixture file name in test/fixtures
+ * @param {{ url?: string }} [options] the page's address (search results by default)
+ * @returns {{ window: Window, document: Document, chrome: object, run: (code: string) => any, close: () => void }}
+ *   `run` evaluates `code` in the content script's scope (STATE, CONFIG, its functions)
+ */
+function loadPage(fixture, { url = 'https://www.linkedin.com/search/results/people/?keywords=engineer' } = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  installLayout(window);
+  const chrome = chromeStub();
+  window.chrome = chrome;
+
+  const context = dom.getInternalVMContext();
+  for (const file of CONTENT_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  const run = (code) => vm.runInContext(code, context);
+  run('STATE.debug = false');
+
+  return { window, document: window.document, chrome, run, close: () => window.close() };
+}
+
+/**
+ * Append the markup of a fixture (e.g. a dialog) to the page's <body>.
+ * @param {Document} document
+ * @param {string} fixture file name in test/fixtures
+ * @returns {Element} the first element added
+ */
+function appendFixture(document, fixture) {
+  const template = document.createElement('template');
+  template.innerHTML = readFixture(fixture);
+  const first = template.content.firstElementChild;
+  document.body.appendChild(template.content);
+  return first;
+}
+
+/**
+ * Turn a Connect button (or menu item) into LinkedIn's "Pending" state.
+ * @param {Element} el
+ */
+function showPending(el) {
+  const label = el.querySelector('.artdeco-button__text') || el;
+  label.textContent = 'Pending';
+  el.setAttribute('aria-label', 'Pending, click to withdraw invitation');
+}
+
+/**
+ * Make `button` open the invite modal from `fixture` the way LinkedIn does: Send closes
+ * it and the button turns Pending, Dismiss/Cancel close it, "Add a note" swaps in the
+ * note form (whose Send is enabled once there is text).
+ * @param {Document} document
+ * @param {Element} button
+ * @param {string} fixture file name in test/fixtures
+ */
+function answerWithDialog(document, button, fixture) {
+  const wire = (overlay) => {
+    for (const b of overlay.querySelectorAll('button')) {
+      const label = (b.getAttribute('aria-label') || b.textContent).trim().toLowerCase();
+      b.addEventListener('click', () => {
+        if (label === 'add a note') {
+          overlay.remove();
+          wire(appendFixture(document, 'dialog-add-note.html'));
+        } else if (/^(dismiss|verwerfen|cancel)/.test(label) || label === 'got it') {
+          overlay.remove();
+        } else {
+          overlay.remove();
+          showPending(button);
+        }
+      });
+    }
+    const textarea = overlay.querySelector('textarea');
+    if (textarea) {
+      textarea.addEventListener('input', () => {
+        overlay.querySelector('button[aria-label="Send invitation"]').disabled = !textarea.value;
+      });
+    }
+  };
+  button.addEventListener('click', () => wire(appendFixture(document, fixture)));
+}
+
+module.exports = { loadPage, appendFixture, showPending, answerWithDialog };
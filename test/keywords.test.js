@@ -0,0 +1,64 @@
+/* keywords.test.js — the language packs: sent-invite ages and LinkedIn warnings. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/content-script');
+
+/** The content script on a page whose <html lang> is `lang`. */
+function pageIn(t, lang) {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+  page.document.documentElement.lang = lang;
+  return page;
+}
+
+const SENT_AGES = {
+  en: [['Sent 3 weeks ago', 21], ['Sent 1 day ago', 1], ['Sent 2 months ago', 60], ['Sent today', 0], ['Sent yesterday', 1]],
+  de: [['Vor 3 Wochen gesendet', 21], ['Vor 1 Tag gesendet', 1], ['Vor 2 Jahren gesendet', 730], ['Gestern gesendet', 1]],
+  fr: [['Envoyée il y a 3 semaines', 21], ['Envoyée il y a 1 an', 365], ['Envoyée il y a 2 ans', 730], ['Envoyée hier', 1]],
+  es: [['Enviada hace 3 semanas', 21], ['Enviada hace 4 días', 4], ['Enviada hace 1 año', 365], ['Enviada hoy', 0]],
+  it: [['Inviato 3 settimane fa', 21], ['Inviato 1 giorno fa', 1], ['Inviato 2 mesi fa', 60], ['Inviato ieri', 1]],
+  nl: [['3 weken geleden verzonden', 21], ['1 dag geleden verzonden', 1], ['2 jaar geleden verzonden', 730], ['Vandaag verzonden', 0]],
+  pt: [['Enviado há 3 semanas', 21], ['Enviado ha 5 dias', 5], ['Enviado há 2 meses', 60], ['Enviado ontem', 1]]
+};
+
+for (const [lang, cases] of Object.entries(SENT_AGES)) {
+  test(`parseSentAgeDays() reads ${lang} labels`, (t) => {
+    const parse = pageIn(t, lang).run('parseSentAgeDays');
+    for (const [label, days] of cases) assert.equal(parse(label), days, label);
+  });
+}
+
+test('parseSentAgeDays() only takes whole words for "ago" and units', (t) => {
+  assert.equal(pageIn(t, 'fr').run('parseSentAgeDays')('il y a 3 annonces'), null);
+  assert.equal(pageIn(t, 'it').run('parseSentAgeDays')('3 giorni fatti'), null);
+  assert.equal(pageIn(t, 'it').run('parseSentAgeDays')('sofa 3 giorni'), null);
+  assert.equal(pageIn(t, 'pt').run('parseSentAgeDays')('2 semanas habituais'), null);
+  assert.equal(pageIn(t, 'pt').run('parseSentAgeDays')('chave 2 semanas'), null);
+  assert.equal(pageIn(t, 'en').run('parseSentAgeDays')('Connect with 3 people'), null);
+});
+
+const WARNINGS = {
+  en: [['You’ve reached the weekly invitation limit', 'weekly-limit'], ['Let’s do a quick security check', 'security-check'], ["Your invitation couldn't be sent", 'send-failed']],
+  de: [['Sie haben das wöchentliche Einladungslimit erreicht', 'weekly-limit'], ['Bitte bestätigen Sie, dass Sie ein Mensch sind', 'security-check'], ['Die Einladung konnte nicht gesendet werden', 'send-failed']],
+  fr: [['Vous avez atteint la limite hebdomadaire', 'weekly-limit'], ['Vérification de sécurité', 'security-check'], ['L’invitation n’a pas pu être envoyée', 'send-failed']],
+  es: [['Has alcanzado el límite semanal de invitaciones', 'weekly-limit'], ['Verificación de seguridad', 'security-check'], ['No se pudo enviar la invitación', 'send-failed']],
+  it: [['Hai raggiunto il limite settimanale', 'weekly-limit'], ['Controllo di sicurezza', 'security-check'], ['Impossibile inviare l’invito', 'send-failed']],
+  nl: [['U hebt de wekelijkse uitnodigingslimiet bereikt', 'weekly-limit'], ['Beveiligingscontrole', 'security-check'], ['Uitnodiging kon niet worden verzonden', 'send-failed']],
+  pt: [['Você atingiu o limite semanal de convites', 'weekly-limit'], ['Verificação de segurança', 'security-check'], ['Não foi possível enviar o convite', 'send-failed']]
+};
+
+for (const [lang, cases] of Object.entries(WARNINGS)) {
+  test(`classifyWarning() recognizes ${lang} warnings`, (t) => {
+    const classify = pageIn(t, lang).run('classifyWarning');
+    for (const [text, kind] of cases) assert.equal(classify(text), kind, text);
+    assert.equal(classify('Invitation sent'), null);
+  });
+}
+
+test('a character limit in a note is not the weekly invitation limit', (t) => {
+  const classify = pageIn(t, 'en').run('classifyWarning');
+  assert.equal(classify('You’ve reached the limit of 300 characters'), null);
+});
@@ -0,0 +1,78 @@
+/* lists.test.js — blocklist/allowlist entries: profile URLs and CSV import (shared/lists.js). */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/content-script');
+
+/** shared/lists.js as the content script loads it; results copied out of the page. */
+function lists(t) {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  return {
+    listProfileUrl: page.run('listProfileUrl'),
+    parseCsvRows: (text) => copy(page.run('parseCsvRows')(text)),
+    parseAccessListCsv: (text) => copy(page.run('parseAccessListCsv')(text))
+  };
+}
+
+test('listProfileUrl() normalizes profile links and rejects anything else', (t) => {
+  const { listProfileUrl } = lists(t);
+
+  assert.equal(listProfileUrl('https://www.linkedin.com/in/Ana-Souza/?miniProfileUrn=x'), 'https://www.linkedin.com/in/ana-souza/');
+  assert.equal(listProfileUrl('de.linkedin.com/in/jörg-müller#about'), 'https://www.linkedin.com/in/jörg-müller/');
+  assert.equal(listProfileUrl('  http://linkedin.com/in/j%C3%B6rg  '), 'https://www.linkedin.com/in/jörg/');
+  assert.equal(listProfileUrl('https://www.linkedin.com/company/acme/'), '');
+  assert.equal(listProfileUrl('https://evil.example/linkedin.com/in/ana'), '');
+  assert.equal(listProfileUrl('https://www.linkedin.com/in/%E0%A4%A/'), '');
+  assert.equal(listProfileUrl(null), '');
+});
+
+test('the service worker module gives the same profile URLs as shared/lists.js', async (t) => {
+  const { listProfileUrl } = lists(t);
+  const worker = await import('../src/background/profile-url.js');
+
+  for (const text of ['https://www.linkedin.com/in/Ana-Souza/?x=1', 'de.linkedin.com/in/j%C3%B6rg', 'https://www.linkedin.com/company/acme/', '']) {
+    assert.equal(worker.listProfileUrl(text), listProfileUrl(text), text);
+  }
+});
+
+test('parseCsvRows() handles quoting, semicolons and blank lines', (t) => {
+  const { parseCsvRows } = lists(t);
+
+  assert.deepEqual(parseCsvRows('﻿company,"Acme, Inc."\r\n\r\nname,"The ""Boss"""\n'), [
+    ['company', 'Acme, Inc.'],
+    ['name', 'The "Boss"']
+  ]);
+  assert.deepEqual(parseCsvRows('Company;Profile URL\nAcme;https://linkedin.com/in/ana'), [
+    ['Company', 'Profile URL'],
+    ['Acme', 'https://linkedin.com/in/ana']
+  ]);
+  assert.deepEqual(parseCsvRows('"multi\nline",x'), [['multi\nline', 'x']]);
+});
+
+test('parseAccessListCsv() reads kind,value rows', (t) => {
+  const { parseAccessListCsv } = lists(t);
+
+  assert.deepEqual(parseAccessListCsv('type,value\ncompany,Acme  Corp\nname,* Smith\nhttps://www.linkedin.com/in/ana/'), {
+    entries: { companies: ['acme corp'], profiles: ['https://www.linkedin.com/in/ana/'], names: ['* smith'] },
+    ignored: 0
+  });
+});
+
+test('parseAccessListCsv() reads columns named by a header row', (t) => {
+  const { parseAccessListCsv } = lists(t);
+
+  const csv = [
+    'Account Name,Full Name,LinkedIn URL,Notes',
+    'Acme,Ana Souza,https://www.linkedin.com/in/ana/,customer',
+    'acme,Bo Lee,,',
+    ',,not a link,'
+  ].join('\n');
+  assert.deepEqual(parseAccessListCsv(csv), {
+    entries: { companies: ['acme'], profiles: ['https://www.linkedin.com/in/ana/'], names: ['ana souza', 'bo lee'] },
+    ignored: 2
+  });
+});
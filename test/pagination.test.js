@@ -0,0 +1,68 @@
+/* pagination.test.js — findAndClickNextPage() on each kind of pagination. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/content-script');
+
+/** Record which element a click lands on. */
+function recordClicks(document) {
+  const clicked = [];
+  document.addEventListener('click', (event) => clicked.push(event.target.closest('button, a')), true);
+  return clicked;
+}
+
+test('numbered pages: clicks the page after the one marked aria-current', async (t) => {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+  const clicked = recordClicks(page.document);
+
+  assert.equal(await page.run('findAndClickNextPage()'), true);
+  assert.deepEqual(clicked.map(b => b.getAttribute('aria-label')), ['Page 2']);
+});
+
+test('numbered pages without aria-current: the "active selected" item is the current page', async (t) => {
+  const page = loadPage('pagination-active-li.html');
+  t.after(page.close);
+  const clicked = recordClicks(page.document);
+
+  assert.equal(await page.run('findAndClickNextPage()'), true);
+  assert.deepEqual(clicked.map(b => b.getAttribute('aria-label')), ['Page 3']);
+});
+
+test('no page numbers: clicks the Next arrow', async (t) => {
+  const page = loadPage('pagination-next-arrow.html');
+  t.after(page.close);
+  const clicked = recordClicks(page.document);
+
+  assert.equal(await page.run('findAndClickNextPage()'), true);
+  assert.deepEqual(clicked.map(b => b.getAttribute('aria-label')), ['Next']);
+});
+
+test('German page without numbers: clicks the "Weiter" arrow', async (t) => {
+  const page = loadPage('search-results-de.html');
+  t.after(page.close);
+  const clicked = recordClicks(page.document);
+
+  assert.equal(await page.run('findAndClickNextPage()'), true);
+  assert.deepEqual(clicked.map(b => b.getAttribute('aria-label')), ['Weiter']);
+});
+
+test('"Show more results" is clicked when there are no pages', async (t) => {
+  const page = loadPage('pagination-show-more.html');
+  t.after(page.close);
+  const clicked = recordClicks(page.document);
+
+  assert.equal(await page.run('findAndClickNextPage()'), true);
+  assert.deepEqual(clicked.map(b => b.textContent.trim()), ['Show more results']);
+});
+
+test('last page with a hidden Next arrow: nothing is clicked', async (t) => {
+  const page = loadPage('pagination-last-page.html');
+  t.after(page.close);
+  const clicked = recordClicks(page.document);
+
+  assert.equal(await page.run('findAndClickNextPage()'), false);
+  assert.equal(clicked.length, 0);
+});
@@ -0,0 +1,67 @@
+/* pause.test.js — whilePaused() and the click turn. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/content-script');
+
+const turnMessages = (chrome) => chrome.sent.filter(m => /^TURN_/.test(m.type)).map(m => m.type);
+
+/** A running run (runId 3) that is paused for `reason`. */
+function pausedPage(t, reason) {
+  const page = loadPage('search-results.html');
+  t.after(() => {
+    page.run('hardStop()');
+    page.close();
+  });
+  page.run(`STATE.running = true; STATE.runId = 3; pauseRun('${reason}')`);
+  return page;
+}
+
+test('a hidden pause gives the click turn up and asks for it back for the same run', async (t) => {
+  const page = pausedPage(t, 'hidden');
+
+  const done = page.run('whilePaused(3)');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(turnMessages(page.chrome), ['TURN_RELEASE']);
+
+  page.run("resumePausedRun('hidden')");
+  assert.equal(await done, true);
+  assert.deepEqual(turnMessages(page.chrome), ['TURN_RELEASE', 'TURN_REQUEST']);
+  assert.equal(page.chrome.sent.find(m => m.type === 'TURN_REQUEST').runId, 3);
+  assert.equal(page.run('STATE.paused'), null);
+});
+
+test('an activity pause keeps the click turn', async (t) => {
+  const page = pausedPage(t, 'activity');
+
+  const done = page.run('whilePaused(3)');
+  page.run("resumePausedRun('activity')");
+  assert.equal(await done, true);
+  assert.deepEqual(turnMessages(page.chrome), []);
+});
+
+test('a run whose turn was taken meanwhile waits until the worker calls it', async (t) => {
+  const page = pausedPage(t, 'user');
+  const { sendMessage } = page.chrome.runtime;
+  let holder = 7;
+  page.chrome.runtime.sendMessage = async (msg) => {
+    await sendMessage(msg);
+    return msg.type === 'TURN_REQUEST' && holder ? { ok: false, holderTabId: holder } : { ok: true };
+  };
+
+  let finished = false;
+  const done = page.run('whilePaused(3)').then(() => { finished = true; });
+  page.run('resumePausedRun()');
+  await new Promise(resolve => setTimeout(resolve, 700));
+  assert.equal(page.run('STATE.paused.reason'), 'turn');
+  assert.equal(finished, false);
+
+  // What the LINKEDIN_AUTOCONNECT_TURN handler does once tab 7 is done
+  holder = null;
+  page.run("resumePausedRun('turn')");
+  await done;
+  assert.deepEqual(turnMessages(page.chrome), ['TURN_RELEASE', 'TURN_REQUEST', 'TURN_REQUEST']);
+  assert.equal(page.run('STATE.paused'), null);
+});
@@ -0,0 +1,116 @@
+/* tab-runs.test.js — the click turn in the service worker (background/tab-runs.js).
+ * The module is imported as it is (an ES module; Node detects that from its syntax)
+ * against a chrome stub with in-memory session storage and a set of open tabs. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * A fresh chrome stub on globalThis. Tabs in `open` exist; `answers[tabId]` is what the
+ * tab's content script replies to a message (no reply when it's missing).
+ * @param {number[]} open
+ */
+function installChrome(open) {
+  let session = {};
+  const calls = [];
+  const tabs = new Set(open);
+  const answers = {};
+  globalThis.chrome = {
+    storage: {
+      session: {
+        get: async (defaults) => ({ ...defaults, ...JSON.parse(JSON.stringify(session)) }),
+        set: async (items) => { session = { ...session, ...JSON.parse(JSON.stringify(items)) }; }
+      }
+    },
+    tabs: {
+      get: async (tabId) => {
+        if (!tabs.has(tabId)) throw new Error(`No tab with id: ${tabId}`);
+        return { id: tabId };
+      },
+      sendMessage: async (tabId, msg) => {
+        calls.push({ tabId, type: msg.type });
+        if (!tabs.has(tabId)) throw new Error('Could not establish connection');
+        return answers[tabId];
+      }
+    }
+  };
+  return { calls, tabs, answers, session: () => session };
+}
+
+const load = () => import('../src/background/tab-runs.js');
+
+test('the turn goes to the first tab and is handed to the one waiting when its run ends', async () => {
+  const { requestTurn, onTabRunProgress } = await load();
+  const chrome = installChrome([1, 2]);
+  chrome.answers[2] = { ok: true };
+
+  assert.deepEqual(await requestTurn(1, { runId: 1 }), { ok: true });
+  assert.deepEqual(await requestTurn(2, { runId: 1 }), { ok: false, holderTabId: 1 });
+  assert.equal(chrome.session().tabRuns[2].state, 'waiting');
+
+  await onTabRunProgress(1, { runId: 1, phase: 'inviting' });
+  assert.equal(chrome.session().clickTurn.tabId, 1);
+  assert.deepEqual(chrome.calls, []);
+
+  await onTabRunProgress(1, { runId: 1, phase: 'done' });
+  assert.equal(chrome.session().clickTurn, null);
+  assert.deepEqual(chrome.calls, [{ tabId: 2, type: 'LINKEDIN_AUTOCONNECT_TURN' }]);
+  assert.deepEqual(await requestTurn(2, { runId: 1 }), { ok: true });
+});
+
+test('the end of an older run does not give up a turn granted to the next one', async () => {
+  const { requestTurn, onTabRunProgress } = await load();
+  const chrome = installChrome([1, 2]);
+
+  await requestTurn(1, { runId: 1 });
+  await requestTurn(1, { runId: 2 });
+  await onTabRunProgress(1, { runId: 1, phase: 'stopped' });
+  assert.equal(chrome.session().clickTurn.tabId, 1);
+  assert.equal(chrome.session().clickTurn.runId, 2);
+
+  // Asking again for an older run keeps the newer run id
+  await requestTurn(1, { runId: 1 });
+  assert.equal(chrome.session().clickTurn.runId, 2);
+
+  await onTabRunProgress(1, { runId: 2, phase: 'stopped' });
+  assert.equal(chrome.session().clickTurn, null);
+});
+
+test('tabs in line that no longer want the turn drop out, longest wait first', async () => {
+  const { requestTurn, releaseTurn } = await load();
+  const chrome = installChrome([1, 2, 3]);
+  chrome.answers[2] = { ok: false };
+  chrome.answers[3] = { ok: true };
+
+  await requestTurn(1);
+  await requestTurn(2);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await requestTurn(3);
+  await releaseTurn(1);
+
+  assert.deepEqual(chrome.calls.map(c => c.tabId), [2, 3]);
+  assert.equal(chrome.session().tabRuns[2].state, 'idle');
+  assert.equal(chrome.session().tabRuns[3].state, 'waiting');
+});
+
+test('a closed holder tab loses the turn to the next request', async () => {
+  const { requestTurn } = await load();
+  const chrome = installChrome([1, 2]);
+
+  await requestTurn(1, { runId: 4 });
+  chrome.tabs.delete(1);
+  assert.deepEqual(await requestTurn(2, { runId: 1 }), { ok: true });
+  assert.equal(chrome.session().clickTurn.tabId, 2);
+});
+
+test('releasing a turn another tab holds changes nothing', async () => {
+  const { requestTurn, releaseTurn } = await load();
+  const chrome = installChrome([1, 2]);
+
+  await requestTurn(1);
+  await releaseTurn(2);
+  assert.equal(chrome.session().clickTurn.tabId, 1);
+  assert.deepEqual(chrome.calls, []);
+});
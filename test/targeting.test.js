@@ -0,0 +1,49 @@
+/* targeting.test.js — blocklist/allowlist matching (matchListEntries, containsWords). */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/content-script');
+
+/** matchListEntries() for a card with `headline`, against company entries only. */
+function companyMatcher(t) {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+  const match = page.run('(headline, companies) => matchListEntries({ headline, name: "", profileUrl: "" }, { companies, profiles: [], names: [] })');
+  return (headline, companies) => {
+    const found = match(headline, companies);
+    return found && found.entry;
+  };
+}
+
+test('a company entry matches where the headline says the person works there', (t) => {
+  const match = companyMatcher(t);
+
+  assert.equal(match('Backend Engineer at Acme', ['acme']), 'acme');
+  assert.equal(match('Backend Engineer @ Acme Inc | Go, k8s', ['acme']), 'acme');
+  assert.equal(match('CTO at Foo | Advisor at Acme', ['acme']), 'acme');
+  assert.equal(match('Ingenieurin bei Meta Platforms', ['meta']), 'meta');
+});
+
+test('a company named elsewhere in the headline does not match', (t) => {
+  const match = companyMatcher(t);
+
+  assert.equal(match('AI researcher at Foo', ['ai']), null);
+  assert.equal(match('IT manager at Foo', ['it']), null);
+  assert.equal(match('Ex-Acme, now freelance', ['acme']), null);
+  assert.equal(match('Account executive selling to Acme', ['acme']), null);
+  assert.equal(match('Engineer at Dropbox', ['box']), null);
+});
+
+test('containsWords() only finds whole words', (t) => {
+  const page = loadPage('search-results.html');
+  t.after(page.close);
+  const containsWords = page.run('containsWords');
+
+  assert.equal(containsWords('acme inc', 'acme'), true);
+  assert.equal(containsWords('acmetech', 'acme'), false);
+  assert.equal(containsWords('scale ai', 'ai'), true);
+  assert.equal(containsWords('münchen rück', 'rück'), true);
+  assert.equal(containsWords('anything', ''), false);
+});